@@ -5,9 +5,54 @@
  *  - runBFS(nodes, edges, options)
  *  - runDFS(nodes, edges, options)
  *  - runDijkstra(nodes, edges, options)
+ *  - runAStar(nodes, edges, options)
+ *  - runDepthLimitedDFS(nodes, edges, options)
+ *  - runIDDFS(nodes, edges, options)
+ *  - runBidirectionalBFS(nodes, edges, options)
+ *  - runBidirectionalDijkstra(nodes, edges, options)
+ *  - runYenKShortest(nodes, edges, options)   // K shortest loopless paths (Yen)
  *  - runSCC(nodes, edges, options)        // Kosaraju's algorithm (visualization-friendly)
+ *  - runTarjanSCC(nodes, edges, options)  // Tarjan's single-pass lowlink algorithm
+ *  - runTwoSat(nodes, edges, options)     // 2-SAT on an implication graph via runSCC
+ *  - parseTwoCnf(text), buildImplicationGraph(text) // 2-CNF formula -> implication graph
+ *  - runArticulationPoints(nodes, edges, options) // cut vertices and bridges
  *  - runBellmanFord(nodes, edges, options)
  *  - runTopologicalSort(nodes, edges, options)
+ *  - runPrim(nodes, edges, options)
+ *  - runKruskal(nodes, edges, options)
+ *  - runFloydWarshall(nodes, edges, options)
+ *  - runEdmondsKarp(nodes, edges, options)  // max flow, BFS augmenting paths
+ *  - runDinic(nodes, edges, options)        // max flow, level graph + blocking flow
+ *  - runMinCostFlow(nodes, edges, options)  // min-cost max flow, successive shortest paths
+ *  - runBipartite(nodes, edges, options)    // two-coloring BFS or odd cycle
+ *  - runHopcroftKarp(nodes, edges, options) // maximum bipartite matching
+ *  - runHungarian(nodes, edges, options)    // minimum-cost bipartite assignment
+ *  - runEulerian(nodes, edges, options)     // Hierholzer's Euler path / circuit
+ *  - runTspNearestNeighbor(nodes, edges, options) // TSP tour construction
+ *  - runTwoOpt(nodes, edges, options)             // TSP 2-opt improvement of that tour
+ *  - runChristofides(nodes, edges, options)       // TSP via MST + odd-node matching
+ *  - runHeldKarp(nodes, edges, options)           // exact TSP, small graphs only
+ *  - runCycleDetection(nodes, edges, options) // first cycle, directed or undirected
+ *  - runPageRank(nodes, edges, options)               // power iteration
+ *  - runDegreeCentrality(nodes, edges, options)
+ *  - runClosenessCentrality(nodes, edges, options)
+ *  - runBetweennessCentrality(nodes, edges, options)  // Brandes
+ *  - runLabelPropagation(nodes, edges, options) // community detection
+ *  - runLouvain(nodes, edges, options)          // community detection by modularity
+ *  - runGreedyColoring(nodes, edges, options) // vertex coloring in node order
+ *  - runWelshPowell(nodes, edges, options)    // vertex coloring by descending degree
+ *  - runDSatur(nodes, edges, options)         // vertex coloring by saturation degree
+ *  - runBronKerbosch(nodes, edges, options)   // all maximal cliques, with pivoting
+ *  - runVF2(nodes, edges, options)            // (subgraph) isomorphism against options.pattern
+ *  - runDagPaths(nodes, edges, options)       // DAG shortest / longest paths, critical path
+ *  - runJohnson(nodes, edges, options)        // all-pairs: Bellman-Ford potentials + Dijkstra
+ *  - runChuLiuEdmonds(nodes, edges, options)  // minimum arborescence (directed MST)
+ *  - runTransitiveClosure(nodes, edges, options)   // Warshall reachability
+ *  - runTransitiveReduction(nodes, edges, options) // DAG reduction
+ *  - runTreeLCA(nodes, edges, options)         // binary-lifting LCA of startNode / endNode
+ *  - runTreeDiameter(nodes, edges, options)    // longest path by double BFS
+ *  - runTreeCenter(nodes, edges, options)      // center by leaf peeling
+ *  - runEulerTour(nodes, edges, options)       // Euler tour with depth array
  *
  * Each algorithm returns an array of "steps". A step is a plain object describing
  * the state at a point in time suitable for visualization. The shape intentionally
@@ -25,6 +70,94 @@
  *  - foundSccs: array of arrays (SCC)
  *  - sccColors: { nodeId: color } (SCC)
  *  - showTransposed: boolean (SCC visualization)
+ *  - lowlinks: { nodeId: lowlink } (Tarjan SCC, articulation points)
+ *  - articulationPoints: array of nodeIds (cut vertices)
+ *  - bridges: array of edge descriptors whose removal disconnects the graph
+ *  - tarjanStack: array of nodeIds (Tarjan SCC)
+ *  - sccComparison: { algorithm, sccs, agree } result of the other SCC algorithm (final SCC step)
+ *  - satAssignment: { variable: boolean } decided so far, satConflict: variable whose x and ¬x
+ *    share an SCC (2-SAT; also replays the SCC keys)
+ *  - edgeStates: { edgeId: state } (edge-level highlighting, e.g. "mst", "considering", "rejected")
+ *  - sortedEdges / acceptedEdges / rejectedEdges: arrays of edge descriptors (Kruskal)
+ *  - currentEdge: edge descriptor under consideration (MST)
+ *  - disjointSet: { nodeId: parentId } union-find forest (Kruskal)
+ *  - frontier: array of edge descriptors ordered by weight (Prim priority queue)
+ *  - visitedForward / visitedBackward, frontierForward / frontierBackward: arrays of nodeIds
+ *    per search direction; meetingNode: nodeId; direction: "forward" | "backward" (bidirectional)
+ *  - distancesForward / distancesBackward: { nodeId: distance } (bidirectional Dijkstra)
+ *  - expansions: { forward, backward, unidirectional } nodes expanded (bidirectional)
+ *  - depthLimit: current depth bound, depths: { nodeId: depth from start }, beyondLimit: nodeIds
+ *    more than depthLimit hops away, cutoff: nodeIds at the bound with unreached neighbors
+ *    (depth-limited DFS, IDDFS)
+ *  - kPaths / candidatePaths: arrays of { nodes, edgeIds, cost } accepted and candidate
+ *    paths, selectedPath: index into kPaths being highlighted, spurNode: nodeId,
+ *    rootPath: nodeIds kept before the spur node, excludedNodes: blocked root nodes,
+ *    spurNote: outcome of the spur search (Yen)
+ *  - gScore / hScore / fScore: { nodeId: number } (A*)
+ *  - openSet / closedSet: arrays of nodeIds (A*)
+ *  - matrixNodes: array of nodeIds giving the row/column order of the matrices (Floyd-Warshall)
+ *  - distMatrix / nextMatrix: number[][] / (nodeId | null)[][] (Floyd-Warshall)
+ *  - matrixCell: { k, i, j, updated } indices of the relaxation being shown (Floyd-Warshall)
+ *  - negativeCycleNodes: array of nodeIds with a negative diagonal entry (Floyd-Warshall)
+ *  - edgeFlows: { edgeId: { flow, capacity, cost? } } (max flow; cost for min-cost flow)
+ *  - residualEdges: array of { id, edgeId, from, to, weight, reverse } arcs with spare capacity (max flow)
+ *  - showResidual: boolean, draw residualEdges instead of the graph (max flow)
+ *  - augmentingPath: array of nodeIds, bottleneck: number (max flow)
+ *  - levels: { nodeId: level } BFS level graph (Dinic, Hopcroft-Karp layers)
+ *  - minCut: { sourceSide, edges, capacity }, maxFlow: number (max flow, final step)
+ *  - flowCost: total cost of the flow so far, pathCost: per-unit cost of the
+ *    augmenting path (min-cost flow; also uses potentials)
+ *  - assignmentCost: cost of the current matching, potentialShift: last shift of the
+ *    potentials by the smallest slack (Hungarian; also uses potentials, matching
+ *    and augmentingPath)
+ *  - partition: { nodeId: 0 | 1 } two-coloring side (bipartite check)
+ *  - oddCycle: array of nodeIds closing an odd cycle (bipartite check fails)
+ *  - matching: array of matched edge descriptors (Hopcroft-Karp)
+ *  - pathEdges: array of edgeIds to highlight as the path, used instead of
+ *    matching `path` by endpoints so parallel edges stay distinct (Euler)
+ *  - degrees: { nodeId: { in, out } | { degree } }, degreeIssues: offending entries (Euler)
+ *  - eulerStack: sub-tour stack of nodeIds, eulerCircuit: circuit built so far,
+ *    consumedEdges: array of used edgeIds (Euler)
+ *  - dfsStack: nodeIds on the DFS stack (gray nodes), cycle: closed nodeId sequence (cycle detection, topological sort)
+ *  - coloring: { nodeId: colorIndex } into DEFAULT_COLORS, also mirrored to sccColors (coloring)
+ *  - colorOrder: nodeIds in the order they are colored, saturation: { nodeId: n } (DSatur)
+ *  - blockedColors: color indices used by the current node's neighbors (coloring)
+ *  - colorsUsed: number, cliqueBound: nodeIds of the greedy clique lower bound (coloring)
+ *  - scores: { nodeId: number }, scoreName: string (PageRank / centrality; drives node size or color)
+ *  - iteration / delta: PageRank iteration count and L1 change of the rank vector
+ *  - pathCounts / dependencies: { nodeId: number } shortest-path counts and dependencies
+ *    for the current source (Brandes betweenness)
+ *  - communities: { nodeId: communityIndex }, mirrored to sccColors; modularity: number (community detection)
+ *  - cliqueR / cliqueP / cliqueX: nodeId arrays of the current recursion frame, pivot: nodeId,
+ *    recursionDepth: number, cliques: maximal cliques reported so far, maxClique (Bron–Kerbosch)
+ *  - louvainLevel / louvainPass / superNodes: aggregation level, local-move pass and
+ *    node count of the current level graph (Louvain)
+ *  - dagMode: "shortest" | "longest" | "schedule" echoed on each step (DAG paths)
+ *  - earliestStart / latestStart / slack: { nodeId: number }, projectDuration: number (DAG schedule)
+ *  - potentials: { nodeId: h }, reweighted: { edgeId: w' }, dijkstraSource: nodeId (Johnson; phases
+ *    "potentials", "reweight", "dijkstra", "finished"); potentials are also the node
+ *    potentials of min-cost flow and the row / column duals of the Hungarian algorithm
+ *  - overlayEdges: edges not in the graph drawn on top of it (transitive closure)
+ *  - resultEdges: replacement edge list offered as "apply to graph" (transitive closure / reduction)
+ *  - edgeNote: why the edge under review is kept or removed (transitive reduction)
+ *  - contractedNodes: array of { id, label, members } super-nodes drawn around their member
+ *    nodes, contractionLevel: number (Chu–Liu/Edmonds; also uses reweighted for entering edges)
+ *  - isoMapping: { patternNodeId: nodeId } partial mapping, isoBadges: { nodeId: pattern label },
+ *    isoCandidate: { pattern, label, target, feasible }, searchDepth / statesExplored: numbers,
+ *    comparisonLayout: { patternNodeId: { x, y } } on success (VF2)
+ *  - treeViolations: nodeIds explaining why the graph is not a tree (tree algorithms)
+ *  - ancestors: { nodeId: [2^0, 2^1, ... ancestor ids] }, liftPointers: [a, b] nodes being
+ *    lifted, liftLog: lift descriptions (LCA; also uses depths)
+ *  - leafLayer: leaves removed this round, peeledNodes: nodes already removed,
+ *    peelRound: number (tree center)
+ *  - eulerTour: nodeIds in tour order, tourDepths: depth of each entry,
+ *    tourRange: { from, to, min } tour positions of an LCA query (Euler tour)
+ *  - tspTour: nodeIds in visiting order (closed back to the first once complete),
+ *    tourCost: number (TSP; legs are shown through edgeStates and overlayEdges)
+ *  - twoOptSwap: { removed, added, delta, applied? } legs as [from, to] pairs,
+ *    swapLog: applied swaps with the tour cost after each (2-opt)
+ *  - oddNodes: odd-degree MST nodes to be matched (Christofides; also uses eulerCircuit)
+ *  - subsetSize: subset size of the DP layer, dpStates: states computed (Held–Karp)
  *  - finished: boolean
  *  - result: string
  *
@@ -32,6 +165,16 @@
  *  - isDirected: boolean (default: false)
  *  - startNode: nodeId (for traversals/shortest-paths)
  *  - endNode: nodeId (optional target for shortest-paths)
+ *  - heuristic: "euclidean" | "manhattan" | "zero" (A*, default: "euclidean")
+ *  - depthLimit: number (depth-limited DFS bound, IDDFS maximum depth; default 3)
+ *  - pathCount: number of paths K (Yen, default 3)
+ *  - damping (default 0.85), tolerance (default 1e-6), maxIterations (default 100) (PageRank)
+ *  - seed: number (label propagation visiting order and tie breaks, default 1)
+ *  - dagMode: "shortest" | "longest" | "schedule" (DAG paths, default "shortest")
+ *  - tspEuclidean: boolean, measure TSP legs by node coordinates instead of
+ *    shortest paths over the edge weights (default false)
+ *  - pattern: { nodes, edges } comparison graph, isoMode: "isomorphism" | "subgraph",
+ *    maxStates (default 5000) (VF2)
  *
  * This file is intended to be framework-agnostic and pure (no side-effects).
  */
@@ -71,13 +214,51 @@ function buildAdjacency(nodes, edges, isDirected = false, weighted = false) {
   return adj;
 }
 
+/**
+ * Stable identifier for an edge. Edges created by the editor always carry an id,
+ * but imported or hand-written graphs may not.
+ */
+function edgeKey(e) {
+  return e.id ?? `${e.from}->${e.to}`;
+}
+
+/**
+ * Edge descriptor used by edge-centric algorithms: { id, from, to, weight }
+ */
+function describeEdge(e) {
+  return { id: edgeKey(e), from: e.from, to: e.to, weight: e.weight ?? 1 };
+}
+
+/**
+ * Like buildAdjacency(weighted) but keeps the edge id on each entry so
+ * algorithms can highlight the exact edge they traverse.
+ */
+function buildIncidence(nodes, edges, isDirected = false) {
+  const inc = {};
+  nodes.forEach((n) => {
+    inc[n.id] = [];
+  });
+  edges.forEach((e) => {
+    const d = describeEdge(e);
+    if (!inc[e.from]) inc[e.from] = [];
+    if (!inc[e.to]) inc[e.to] = [];
+    inc[e.from].push({ edge: d, node: e.to, weight: d.weight });
+    if (!isDirected)
+      inc[e.to].push({ edge: d, node: e.from, weight: d.weight });
+  });
+  return inc;
+}
+
 function buildPath(previous, targetNodeId) {
   const path = [];
   if (!targetNodeId) return path;
   let cur = targetNodeId;
   // If previous[cur] is undefined but cur exists as starting node with null
-  // we still handle it gracefully. Loop until cur is null or undefined.
-  while (cur !== null && cur !== undefined) {
+  // we still handle it gracefully. Loop until cur is null or undefined, or
+  // until a node repeats (Bellman-Ford predecessors can form a negative cycle).
+  const seen = new Set();
+  while (cur !== null && cur !== undefined && !seen.has(cur)) {
+    seen.add(cur);
     path.unshift(cur);
     cur = previous[cur];
   }
@@ -254,6 +435,202 @@ export function runDFS(nodes, edges, options = {}) {
   return steps;
 }
 
+/**
+ * One depth-limited DFS pass from startNode. A node is (re-)entered whenever
+ * it is reached at a smaller depth than before, so nothing within `limit`
+ * hops is missed because a deeper branch got there first.
+ * Returns { found, depths, previous, cutoff } where cutoff lists nodes at
+ * the limit that still had unreached neighbors.
+ */
+function depthLimitedSearch(adj, startNode, endNode, limit, onVisit) {
+  const depths = { [startNode]: 0 };
+  const previous = { [startNode]: null };
+  let found = false;
+
+  const visit = (u) => {
+    onVisit(u, depths, previous);
+    if (u === endNode) {
+      found = true;
+      return;
+    }
+    if (depths[u] >= limit) return;
+    for (const v of adj[u] || []) {
+      if (found) return;
+      if (depths[v] === undefined || depths[u] + 1 < depths[v]) {
+        depths[v] = depths[u] + 1;
+        previous[v] = u;
+        visit(v);
+      }
+    }
+  };
+  visit(startNode);
+
+  const cutoff = Object.keys(depths).filter(
+    (u) =>
+      depths[u] === limit &&
+      (adj[u] || []).some((v) => depths[v] === undefined),
+  );
+  return { found, depths, previous, cutoff };
+}
+
+/**
+ * Hop distance from startNode (BFS), used to dim nodes past the depth limit
+ */
+function hopDistances(adj, startNode) {
+  const dist = { [startNode]: 0 };
+  const queue = [startNode];
+  while (queue.length) {
+    const u = queue.shift();
+    (adj[u] || []).forEach((v) => {
+      if (dist[v] === undefined) {
+        dist[v] = dist[u] + 1;
+        queue.push(v);
+      }
+    });
+  }
+  return dist;
+}
+
+/**
+ * Depth-limited DFS
+ * - DFS from startNode that never goes deeper than depthLimit edges
+ * - Reports a cutoff when the end node may lie beyond the limit
+ */
+export function runDepthLimitedDFS(nodes, edges, options = {}) {
+  const { isDirected = false, startNode, endNode, depthLimit = 3 } = options;
+  if (!startNode || !nodes.some((n) => n.id === startNode)) {
+    return [{ finished: true }];
+  }
+
+  const adj = buildAdjacency(nodes, edges, isDirected, false);
+  const hops = hopDistances(adj, startNode);
+  const beyondLimit = nodes
+    .map((n) => n.id)
+    .filter((id) => !(hops[id] <= depthLimit));
+  const steps = [];
+
+  const { found, depths, previous, cutoff } = depthLimitedSearch(
+    adj,
+    startNode,
+    endNode,
+    depthLimit,
+    (u, d, prev) => {
+      steps.push({
+        visited: new Set(Object.keys(d)),
+        current: u,
+        path: buildPath(prev, u),
+        depths: { ...d },
+        depthLimit,
+        beyondLimit,
+      });
+    },
+  );
+
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  let result;
+  if (found) {
+    result = `Found ${label(endNode)} at depth ${depths[endNode]} (limit ${depthLimit})`;
+  } else if (endNode && cutoff.length > 0) {
+    result = `Cutoff: ${label(endNode)} not found within depth ${depthLimit}`;
+  } else if (endNode) {
+    result = `No path from ${label(startNode)} to ${label(endNode)}`;
+  } else {
+    result = `Reached ${Object.keys(depths).length} nodes within depth ${depthLimit}${
+      cutoff.length > 0 ? " (cut off)" : ""
+    }`;
+  }
+  steps.push({
+    ...steps[steps.length - 1],
+    current: found ? endNode : null,
+    path: found ? buildPath(previous, endNode) : [],
+    cutoff,
+    finished: true,
+    result,
+  });
+  return steps;
+}
+
+/**
+ * Iterative deepening DFS
+ * - Depth-limited DFS with limits 0, 1, 2, ... up to depthLimit
+ * - Finds a shallowest path like BFS while using DFS memory; stops early
+ *   once a pass is not cut off (everything reachable was explored)
+ */
+export function runIDDFS(nodes, edges, options = {}) {
+  const { isDirected = false, startNode, endNode, depthLimit = 3 } = options;
+  if (!startNode || !nodes.some((n) => n.id === startNode)) {
+    return [{ finished: true }];
+  }
+
+  const adj = buildAdjacency(nodes, edges, isDirected, false);
+  const hops = hopDistances(adj, startNode);
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const steps = [];
+  let expanded = 0;
+
+  for (let limit = 0; limit <= depthLimit; limit++) {
+    const beyondLimit = nodes
+      .map((n) => n.id)
+      .filter((id) => !(hops[id] <= limit));
+    const { found, depths, previous, cutoff } = depthLimitedSearch(
+      adj,
+      startNode,
+      endNode,
+      limit,
+      (u, d, prev) => {
+        expanded++;
+        steps.push({
+          visited: new Set(Object.keys(d)),
+          current: u,
+          path: buildPath(prev, u),
+          depths: { ...d },
+          depthLimit: limit,
+          beyondLimit,
+        });
+      },
+    );
+
+    const last = {
+      ...steps[steps.length - 1],
+      current: null,
+      path: [],
+      cutoff,
+    };
+    if (found) {
+      steps.push({
+        ...last,
+        current: endNode,
+        path: buildPath(previous, endNode),
+        finished: true,
+        result: `Found ${label(endNode)} at depth ${depths[endNode]} after ${
+          limit + 1
+        } iteration${limit === 0 ? "" : "s"} (${expanded} node visits)`,
+      });
+      return steps;
+    }
+    if (cutoff.length === 0) {
+      steps.push({
+        ...last,
+        finished: true,
+        result: endNode
+          ? `No path from ${label(startNode)} to ${label(endNode)}`
+          : `Explored all ${Object.keys(depths).length} reachable nodes by depth ${limit}`,
+      });
+      return steps;
+    }
+    steps.push(last);
+  }
+
+  steps.push({
+    ...steps[steps.length - 1],
+    finished: true,
+    result: endNode
+      ? `Cutoff: ${label(endNode)} not found within depth ${depthLimit}`
+      : `Stopped at depth limit ${depthLimit}`,
+  });
+  return steps;
+}
+
 /**
  * Dijkstra's algorithm (simple O(V^2) implementation)
  */
@@ -332,371 +709,6064 @@ export function runDijkstra(nodes, edges, options = {}) {
 }
 
 /**
- * SCC - Kosaraju's algorithm (produces visualization steps)
+ * Reverse every edge (for searching backward from the target)
  */
-export function runSCC(nodes, edges, options = {}) {
-  const isDirected = true; // SCC is meaningful for directed graphs; callers should ensure this
-  const adj = buildAdjacency(nodes, edges, isDirected, false);
-  // Transposed adjacency
-  const adjT = {};
-  nodes.forEach((n) => (adjT[n.id] = []));
-  edges.forEach((e) => {
-    if (!adjT[e.to]) adjT[e.to] = [];
-    adjT[e.to].push(e.from);
-  });
-
-  const steps = [];
-  let visited = new Set();
-  const finishOrderStack = [];
-  let time = 0;
-  const discoveryTimes1 = {};
-  const finishTimes1 = {};
+function reverseEdges(edges) {
+  return edges.map((e) => ({ ...e, from: e.to, to: e.from }));
+}
 
-  const dfs1 = (u) => {
-    time++;
-    discoveryTimes1[u] = time;
-    visited.add(u);
-    steps.push({
-      phase: "dfs1",
-      visited: new Set(visited),
-      current: u,
-      finishOrderStack: [...finishOrderStack],
-      foundSccs: [],
-      sccColors: {},
-      showTransposed: false,
-      discoveryTimes: { ...discoveryTimes1 },
-      finishTimes: { ...finishTimes1 },
-    });
+/**
+ * Join a forward search tree and a backward search tree at `meet`
+ */
+function joinPaths(previousForward, previousBackward, meet) {
+  const path = buildPath(previousForward, meet);
+  for (let cur = previousBackward[meet]; cur != null;) {
+    path.push(cur);
+    cur = previousBackward[cur];
+  }
+  return path;
+}
 
-    (adj[u] || []).forEach((v) => {
-      if (!visited.has(v)) dfs1(v);
-    });
+/**
+ * Bidirectional BFS
+ * - Searches from startNode and (over reversed edges) from endNode, always
+ *   expanding a whole level of the smaller frontier
+ * - When a level touches the other search, the meeting node with the
+ *   shortest combined distance is kept, which makes the path shortest
+ * - expansions compares nodes expanded per direction with plain BFS
+ */
+export function runBidirectionalBFS(nodes, edges, options = {}) {
+  const { isDirected = false, startNode, endNode } = options;
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  if (
+    !nodes.some((n) => n.id === startNode) ||
+    !nodes.some((n) => n.id === endNode)
+  ) {
+    return [{ finished: true }];
+  }
 
-    time++;
-    finishTimes1[u] = time;
-    finishOrderStack.push(u);
-    steps.push({
-      phase: "dfs1",
-      visited: new Set(visited),
-      current: u,
-      finishOrderStack: [...finishOrderStack],
-      foundSccs: [],
-      sccColors: {},
-      showTransposed: false,
-      discoveryTimes: { ...discoveryTimes1 },
-      finishTimes: { ...finishTimes1 },
-    });
+  const adj = {
+    forward: buildAdjacency(nodes, edges, isDirected),
+    backward: buildAdjacency(nodes, reverseEdges(edges), isDirected),
   };
 
-  // First pass
-  nodes.forEach((n) => {
-    if (!visited.has(n.id)) dfs1(n.id);
-  });
-
-  // Transpose step
-  steps.push({
-    phase: "transpose",
-    showTransposed: true,
-    finishOrderStack: [...finishOrderStack],
-    visited: new Set(),
-    current: null,
-    foundSccs: [],
-    sccColors: {},
-    discoveryTimes: {},
-    finishTimes: {},
-  });
+  // Plain BFS expansions until the target is dequeued, for comparison
+  const unidirectional = (() => {
+    const seen = new Set([startNode]);
+    const queue = [startNode];
+    let count = 0;
+    while (queue.length) {
+      const u = queue.shift();
+      count++;
+      if (u === endNode) break;
+      adj.forward[u].forEach((v) => {
+        if (!seen.has(v)) {
+          seen.add(v);
+          queue.push(v);
+        }
+      });
+    }
+    return count;
+  })();
 
-  // Second pass on transposed graph
-  visited = new Set();
-  const foundSccs = [];
-  const sccColors = {};
-  let sccIndex = 0;
-  time = 0;
-  const discoveryTimes2 = {};
-  const finishTimes2 = {};
+  const side = {
+    forward: { dist: { [startNode]: 0 }, previous: { [startNode]: null } },
+    backward: { dist: { [endNode]: 0 }, previous: { [endNode]: null } },
+  };
+  side.forward.frontier = [startNode];
+  side.backward.frontier = [endNode];
+  const expansions = { forward: 0, backward: 0, unidirectional };
+  const steps = [];
+  let meet = startNode === endNode ? startNode : null;
 
-  // Copy of stack for visualization (we will pop)
-  const vizStack = [...finishOrderStack];
+  const snapshot = (current, extra = {}) => ({
+    visited: new Set([
+      ...Object.keys(side.forward.dist),
+      ...Object.keys(side.backward.dist),
+    ]),
+    visitedForward: Object.keys(side.forward.dist),
+    visitedBackward: Object.keys(side.backward.dist),
+    frontierForward: [...side.forward.frontier],
+    frontierBackward: [...side.backward.frontier],
+    meetingNode: meet,
+    expansions: { ...expansions },
+    current,
+    path: [],
+    ...extra,
+  });
 
-  const dfs2 = (u, bucket) => {
-    time++;
-    discoveryTimes2[u] = time;
-    visited.add(u);
-    bucket.push(u);
-    sccColors[u] = DEFAULT_COLORS[sccIndex % DEFAULT_COLORS.length];
+  steps.push(snapshot(startNode));
 
-    steps.push({
-      phase: "dfs2",
-      visited: new Set(visited),
-      current: u,
-      foundSccs: [...foundSccs, bucket],
-      sccColors: { ...sccColors },
-      showTransposed: true,
-      finishOrderStack: [...vizStack],
-      discoveryTimes: { ...discoveryTimes2 },
-      finishTimes: { ...finishTimes2 },
-    });
+  while (
+    meet === null &&
+    side.forward.frontier.length > 0 &&
+    side.backward.frontier.length > 0
+  ) {
+    const dir =
+      side.forward.frontier.length <= side.backward.frontier.length
+        ? "forward"
+        : "backward";
+    const other = dir === "forward" ? "backward" : "forward";
+    const me = side[dir];
+    const level = me.frontier;
+    me.frontier = [];
+    let best = null;
 
-    (adjT[u] || []).forEach((v) => {
-      if (!visited.has(v)) dfs2(v, bucket);
-    });
+    for (const u of level) {
+      expansions[dir]++;
+      for (const v of adj[dir][u]) {
+        if (me.dist[v] !== undefined) continue;
+        me.dist[v] = me.dist[u] + 1;
+        me.previous[v] = u;
+        me.frontier.push(v);
+        if (
+          side[other].dist[v] !== undefined &&
+          (best === null ||
+            me.dist[v] + side[other].dist[v] <
+              me.dist[best] + side[other].dist[best])
+        ) {
+          best = v;
+        }
+      }
+      steps.push(snapshot(u, { direction: dir }));
+    }
+    meet = best;
+  }
 
-    time++;
-    finishTimes2[u] = time;
+  if (meet === null) {
     steps.push({
-      ...steps[steps.length - 1],
-      finishTimes: { ...finishTimes2 },
+      ...snapshot(null),
+      finished: true,
+      result: `No path from ${label(startNode)} to ${label(endNode)}`,
     });
-  };
-
-  while (vizStack.length) {
-    const u = vizStack.pop();
-    if (!visited.has(u)) {
-      const bucket = [];
-      foundSccs.push(bucket);
-      dfs2(u, bucket);
-      sccIndex++;
-    }
+    return steps;
   }
 
+  const path = joinPaths(side.forward.previous, side.backward.previous, meet);
   steps.push({
-    phase: "finished",
-    visited: new Set(visited),
-    current: null,
-    foundSccs: [...foundSccs],
-    sccColors: { ...sccColors },
-    showTransposed: false,
-    finishOrderStack: [],
+    ...snapshot(meet),
+    path,
     finished: true,
-    result: `Found ${foundSccs.length} SCCs.`,
-    discoveryTimes: { ...discoveryTimes2 },
-    finishTimes: { ...finishTimes2 },
+    result: `Met at ${label(meet)}: path length ${path.length - 1}, expanded ${
+      expansions.forward + expansions.backward
+    } nodes (BFS: ${unidirectional})`,
   });
-
   return steps;
 }
 
 /**
- * Bellman-Ford
- * - Handles graphs with negative edges, detects negative cycles
- * - Returns steps tracking distances updates per relaxation
+ * Bidirectional Dijkstra
+ * - Alternately settles the closest node of the forward search (from
+ *   startNode) and the backward search (to endNode over reversed edges),
+ *   whichever has the smaller tentative distance
+ * - mu tracks the best start-to-end distance through any node reached from
+ *   both sides; the search stops once the two frontier minima sum to >= mu
+ * - expansions compares nodes settled per direction with runDijkstra
  */
-export function runBellmanFord(nodes, edges, options = {}) {
+export function runBidirectionalDijkstra(nodes, edges, options = {}) {
   const { isDirected = false, startNode, endNode } = options;
-  const steps = [];
-
-  if (!startNode || !nodes.some((n) => n.id === startNode)) {
-    steps.push({ finished: true });
-    return steps;
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  if (
+    !nodes.some((n) => n.id === startNode) ||
+    !nodes.some((n) => n.id === endNode)
+  ) {
+    return [{ finished: true }];
   }
 
-  const distances = {};
-  const previous = {};
-  nodes.forEach((n) => {
-    distances[n.id] = n.id === startNode ? 0 : Infinity;
-    previous[n.id] = null;
-  });
+  const adj = {
+    forward: buildAdjacency(nodes, edges, isDirected, true),
+    backward: buildAdjacency(nodes, reverseEdges(edges), isDirected, true),
+  };
+  const plain = runDijkstra(nodes, edges, options);
+  const unidirectional = plain[plain.length - 1].visited?.size ?? 0;
 
-  // initial state: mark visited as nodes with finite distance (start only)
-  steps.push({
-    distances: { ...distances },
-    visited: new Set(
-      Object.keys(distances).filter((id) => distances[id] !== Infinity),
-    ),
-    current: startNode,
+  const init = (source) => {
+    const dist = {};
+    const previous = {};
+    nodes.forEach((n) => {
+      dist[n.id] = Infinity;
+      previous[n.id] = null;
+    });
+    dist[source] = 0;
+    return { dist, previous, settled: new Set() };
+  };
+  const side = { forward: init(startNode), backward: init(endNode) };
+  const expansions = { forward: 0, backward: 0, unidirectional };
+  const steps = [];
+  let mu = startNode === endNode ? 0 : Infinity;
+  let meet = startNode === endNode ? startNode : null;
+
+  const closest = (s) => {
+    let best = null;
+    nodes.forEach(({ id }) => {
+      if (s.settled.has(id) || s.dist[id] === Infinity) return;
+      if (best === null || s.dist[id] < s.dist[best]) best = id;
+    });
+    return best;
+  };
+  const finite = (dist) => {
+    const out = {};
+    Object.entries(dist).forEach(([id, d]) => {
+      if (d !== Infinity) out[id] = d;
+    });
+    return out;
+  };
+  const frontier = (s) =>
+    Object.keys(finite(s.dist)).filter((id) => !s.settled.has(id));
+
+  const snapshot = (current, extra = {}) => ({
+    visited: new Set([...side.forward.settled, ...side.backward.settled]),
+    visitedForward: [...side.forward.settled],
+    visitedBackward: [...side.backward.settled],
+    frontierForward: frontier(side.forward),
+    frontierBackward: frontier(side.backward),
+    distancesForward: finite(side.forward.dist),
+    distancesBackward: finite(side.backward.dist),
+    meetingNode: meet,
+    expansions: { ...expansions },
+    current,
     path: [],
-    previous: { ...previous },
+    ...extra,
   });
 
-  // Relax edges |V|-1 times
-  const edgeList = edges.map((e) => ({
-    from: e.from,
-    to: e.to,
-    weight: e.weight ?? 1,
-  }));
+  steps.push(snapshot(startNode));
 
-  // Track last node that was relaxed/updated so we can show a path if endNode not provided
-  let lastUpdated = null;
+  for (;;) {
+    const f = closest(side.forward);
+    const b = closest(side.backward);
+    if (f === null || b === null) break;
+    if (side.forward.dist[f] + side.backward.dist[b] >= mu) break;
 
-  for (let i = 1; i <= nodes.length - 1; i++) {
-    let updated = false;
-    for (const e of edgeList) {
-      const { from, to, weight } = e;
-      if (
-        distances[from] !== Infinity &&
-        distances[from] + weight < distances[to]
-      ) {
-        distances[to] = distances[from] + weight;
-        previous[to] = from;
-        updated = true;
-        lastUpdated = to;
-        steps.push({
-          distances: { ...distances },
-          visited: new Set(
-            Object.keys(distances).filter((id) => distances[id] !== Infinity),
-          ),
-          current: to,
-          path: buildPath(previous, endNode || to),
-          previous: { ...previous },
-        });
+    const dir =
+      side.forward.dist[f] <= side.backward.dist[b] ? "forward" : "backward";
+    const other = side[dir === "forward" ? "backward" : "forward"];
+    const me = side[dir];
+    const u = dir === "forward" ? f : b;
+    me.settled.add(u);
+    expansions[dir]++;
+
+    for (const { node: v, weight } of adj[dir][u]) {
+      const nd = me.dist[u] + (weight ?? 1);
+      if (nd < me.dist[v]) {
+        me.dist[v] = nd;
+        me.previous[v] = u;
       }
-      if (!isDirected) {
-        // also consider reverse if undirected
-        if (
-          distances[to] !== Infinity &&
-          distances[to] + weight < distances[from]
-        ) {
-          distances[from] = distances[to] + weight;
-          previous[from] = to;
-          updated = true;
-          lastUpdated = from;
-          steps.push({
-            distances: { ...distances },
-            visited: new Set(
-              Object.keys(distances).filter((id) => distances[id] !== Infinity),
-            ),
-            current: from,
-            path: buildPath(previous, endNode || from),
-            previous: { ...previous },
-          });
-        }
+      if (me.dist[v] + other.dist[v] < mu) {
+        mu = me.dist[v] + other.dist[v];
+        meet = v;
       }
     }
-    if (!updated) break;
+    steps.push(snapshot(u, { direction: dir }));
   }
 
-  // Check for negative cycles
-  let negativeCycle = false;
-  for (const e of edgeList) {
-    const { from, to, weight } = e;
-    if (
-      distances[from] !== Infinity &&
-      distances[from] + weight < distances[to]
-    ) {
-      negativeCycle = true;
-      break;
+  if (meet === null) {
+    steps.push({
+      ...snapshot(null),
+      finished: true,
+      result: `No path from ${label(startNode)} to ${label(endNode)}`,
+    });
+    return steps;
+  }
+
+  steps.push({
+    ...snapshot(meet),
+    path: joinPaths(side.forward.previous, side.backward.previous, meet),
+    finished: true,
+    result: `Distance to ${label(endNode)}: ${mu} (met at ${label(meet)}), settled ${
+      expansions.forward + expansions.backward
+    } nodes (Dijkstra: ${unidirectional})`,
+  });
+  return steps;
+}
+
+/**
+ * Dijkstra from source to target that skips the given edge ids and nodes.
+ * Returns { nodes, edgeIds, cost } or null when target is unreachable.
+ */
+function shortestPathAvoiding(inc, source, target, removedEdges, removedNodes) {
+  const dist = { [source]: 0 };
+  const previous = { [source]: null };
+  const done = new Set();
+  while (true) {
+    let u = null;
+    for (const id in dist) {
+      if (!done.has(id) && (u === null || dist[id] < dist[u])) u = id;
     }
-    if (!isDirected) {
-      if (
-        distances[to] !== Infinity &&
-        distances[to] + weight < distances[from]
-      ) {
-        negativeCycle = true;
-        break;
+    if (u === null) return null;
+    if (u === target) break;
+    done.add(u);
+    for (const { edge, node: v, weight } of inc[u] || []) {
+      if (removedEdges.has(edge.id) || removedNodes.has(v) || done.has(v)) {
+        continue;
+      }
+      if (dist[v] === undefined || dist[u] + weight < dist[v]) {
+        dist[v] = dist[u] + weight;
+        previous[v] = { node: u, edgeId: edge.id };
       }
     }
   }
+  const path = { nodes: [target], edgeIds: [], cost: dist[target] };
+  for (let cur = target; previous[cur]; cur = previous[cur].node) {
+    path.nodes.unshift(previous[cur].node);
+    path.edgeIds.unshift(previous[cur].edgeId);
+  }
+  return path;
+}
 
-  // Determine final path target: prefer explicit endNode, otherwise use lastUpdated if present
-  const finalTarget = endNode || lastUpdated || null;
+/**
+ * Yen's K shortest loopless paths from startNode to endNode
+ * - The first path is a plain Dijkstra shortest path
+ * - For path k, every node of path k - 1 is tried as a spur node: the root
+ *   path up to it is kept, edges leaving it along already accepted paths with
+ *   the same root are removed, root nodes are blocked, and Dijkstra finds the
+ *   spur path to the end node
+ * - Root + spur paths become candidates; the cheapest candidate is accepted
+ * - Edge ids are tracked so parallel edges give distinct paths; weights
+ *   must be non-negative
+ */
+export function runYenKShortest(nodes, edges, options = {}) {
+  const { isDirected = false, startNode, endNode, pathCount = 3 } = options;
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  if (!startNode || !endNode) {
+    return [
+      {
+        finished: true,
+        result: "Select a start and an end node to find K shortest paths",
+      },
+    ];
+  }
+  if (hasNegativeWeight(edges)) {
+    return [
+      {
+        finished: true,
+        result: "Yen's algorithm requires non-negative edge weights",
+      },
+    ];
+  }
+  const inc = buildIncidence(nodes, edges, isDirected);
+  const weightOf = {};
+  edges.forEach((e) => {
+    weightOf[edgeKey(e)] = e.weight ?? 1;
+  });
+  const pathKey = (p) => p.edgeIds.join("|");
+  const describe = (p) => `${p.nodes.map(label).join(" → ")} (${p.cost})`;
+  const steps = [];
 
-  steps.push({
-    distances: { ...distances },
-    visited: new Set(
-      Object.keys(distances).filter((id) => distances[id] !== Infinity),
-    ),
-    finished: true,
-    result: negativeCycle
-      ? "Negative cycle detected"
-      : finalTarget
-        ? `Distance to ${finalTarget}: ${distances[finalTarget] === Infinity ? "∞" : distances[finalTarget]}`
-        : "Finished",
-    path: buildPath(previous, finalTarget),
-    previous: { ...previous },
+  const accepted = [];
+  let candidates = [];
+  const snapshot = (extra = {}) => ({
+    kPaths: accepted.map((p) => ({ ...p })),
+    candidatePaths: candidates.map((p) => ({ ...p })),
+    selectedPath: null,
+    spurNode: null,
+    rootPath: [],
+    excludedNodes: [],
+    visited: new Set(),
+    current: null,
+    path: [],
+    pathEdges: [],
+    edgeStates: {},
+    ...extra,
   });
 
+  const first = shortestPathAvoiding(
+    inc,
+    startNode,
+    endNode,
+    new Set(),
+    new Set(),
+  );
+  if (!first) {
+    steps.push(
+      snapshot({
+        finished: true,
+        result: `No path from ${label(startNode)} to ${label(endNode)}`,
+      }),
+    );
+    return steps;
+  }
+  accepted.push(first);
+  steps.push(
+    snapshot({
+      phase: "accept",
+      selectedPath: 0,
+      path: first.nodes,
+      pathEdges: first.edgeIds,
+      visited: new Set(first.nodes),
+    }),
+  );
+
+  while (accepted.length < pathCount) {
+    const prev = accepted[accepted.length - 1];
+    for (let i = 0; i < prev.nodes.length - 1; i++) {
+      const spurNode = prev.nodes[i];
+      const rootNodes = prev.nodes.slice(0, i + 1);
+      const rootEdges = prev.edgeIds.slice(0, i);
+      const rootKey = rootEdges.join("|");
+      const rootCost = rootEdges.reduce((sum, id) => sum + weightOf[id], 0);
+
+      const removedEdges = new Set();
+      accepted.forEach((p) => {
+        if (p.edgeIds.slice(0, i).join("|") === rootKey && p.edgeIds[i]) {
+          removedEdges.add(p.edgeIds[i]);
+        }
+      });
+      const removedNodes = new Set(rootNodes.slice(0, -1));
+
+      const spur = shortestPathAvoiding(
+        inc,
+        spurNode,
+        endNode,
+        removedEdges,
+        removedNodes,
+      );
+      const edgeStates = {};
+      rootEdges.forEach((id) => {
+        edgeStates[id] = "level";
+      });
+      removedEdges.forEach((id) => {
+        edgeStates[id] = "removed";
+      });
+      (spur?.edgeIds || []).forEach((id) => {
+        edgeStates[id] = "considering";
+      });
+
+      let note;
+      if (!spur) {
+        note = `Spur ${label(spurNode)}: no path to ${label(endNode)}`;
+      } else {
+        const candidate = {
+          nodes: [...rootNodes.slice(0, -1), ...spur.nodes],
+          edgeIds: [...rootEdges, ...spur.edgeIds],
+          cost: rootCost + spur.cost,
+        };
+        const key = pathKey(candidate);
+        if (
+          accepted.some((p) => pathKey(p) === key) ||
+          candidates.some((p) => pathKey(p) === key)
+        ) {
+          note = `Spur ${label(spurNode)}: ${describe(candidate)} already known`;
+        } else {
+          candidates.push(candidate);
+          note = `Spur ${label(spurNode)}: candidate ${describe(candidate)}`;
+        }
+      }
+      steps.push(
+        snapshot({
+          phase: "spur",
+          spurNode,
+          current: spurNode,
+          rootPath: rootNodes,
+          excludedNodes: [...removedNodes],
+          edgeStates,
+          spurNote: note,
+        }),
+      );
+    }
+
+    if (candidates.length === 0) break;
+    candidates.sort(
+      (a, b) => a.cost - b.cost || a.nodes.length - b.nodes.length,
+    );
+    const next = candidates.shift();
+    accepted.push(next);
+    steps.push(
+      snapshot({
+        phase: "accept",
+        selectedPath: accepted.length - 1,
+        path: next.nodes,
+        pathEdges: next.edgeIds,
+        visited: new Set(next.nodes),
+      }),
+    );
+  }
+
+  steps.push(
+    snapshot({
+      phase: "finished",
+      selectedPath: 0,
+      path: first.nodes,
+      pathEdges: first.edgeIds,
+      visited: new Set(first.nodes),
+      finished: true,
+      result:
+        accepted.length < pathCount
+          ? `Only ${accepted.length} simple path${
+              accepted.length === 1 ? "" : "s"
+            } from ${label(startNode)} to ${label(endNode)}; shortest ${describe(first)}`
+          : `${accepted.length} shortest paths, costs ${accepted
+              .map((p) => p.cost)
+              .join(", ")}`,
+    }),
+  );
   return steps;
 }
 
 /**
- * Topological Sort (Kahn's algorithm)
- * - Only meaningful for directed acyclic graphs (DAGs)
- * - Returns steps showing indegree processing and final order, or detection of cycle
+ * A* heuristics over node coordinates. Each takes two nodes and returns a
+ * non-negative geometric distance.
  */
-export function runTopologicalSort(nodes, edges, options = {}) {
-  // Respect caller's isDirected option; topological sort requires a directed graph.
-  const isDirected =
-    options.isDirected !== undefined ? options.isDirected : true;
+const HEURISTICS = {
+  euclidean: (a, b) => Math.hypot(a.x - b.x, a.y - b.y),
+  manhattan: (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y),
+  zero: () => 0,
+};
+
+/**
+ * A* search
+ * - Same O(V^2) selection as runDijkstra, ordered by f = g + h
+ * - Node positions are in pixels while weights are arbitrary, so the heuristic
+ *   is scaled by the smallest weight-per-distance ratio over all edges. That
+ *   keeps h from overestimating (admissible and consistent) for any layout.
+ */
+export function runAStar(nodes, edges, options = {}) {
+  const {
+    isDirected = false,
+    startNode,
+    endNode,
+    heuristic = "euclidean",
+  } = options;
+  const adj = buildAdjacency(nodes, edges, isDirected, true);
   const steps = [];
 
-  if (!isDirected) {
-    // Inform the caller to enable directed mode and return an immediately finished step.
-    steps.push({
-      finished: true,
-      result:
-        "Topological sort requires a directed graph. Enable 'Directed Graph' mode.",
-      order: [],
-    });
+  if (
+    !startNode ||
+    !nodes.some((n) => n.id === startNode) ||
+    !nodes.some((n) => n.id === endNode)
+  ) {
+    steps.push({ finished: true });
     return steps;
   }
 
-  const adj = buildAdjacency(nodes, edges, isDirected, false);
-  const indegree = {};
-  nodes.forEach((n) => (indegree[n.id] = 0));
+  const byId = {};
+  nodes.forEach((n) => {
+    byId[n.id] = n;
+  });
+  const metric = HEURISTICS[heuristic] || HEURISTICS.euclidean;
+
+  let scale = Infinity;
   edges.forEach((e) => {
-    if (indegree[e.to] === undefined) indegree[e.to] = 0;
-    indegree[e.to]++;
+    const len =
+      byId[e.from] && byId[e.to] ? metric(byId[e.from], byId[e.to]) : 0;
+    if (len > 0) scale = Math.min(scale, Math.max(0, e.weight ?? 1) / len);
   });
+  if (scale === Infinity) scale = 0;
 
-  const queue = [];
-  for (const id in indegree) {
-    if (indegree[id] === 0) queue.push(id);
-  }
+  const hScore = {};
+  nodes.forEach((n) => {
+    hScore[n.id] = metric(n, byId[endNode]) * scale;
+  });
 
-  const stepsInner = [];
-  stepsInner.push({
-    queue: [...queue],
-    indegree: { ...indegree },
-    order: [],
+  const gScore = { [startNode]: 0 };
+  const fScore = { [startNode]: hScore[startNode] };
+  const previous = { [startNode]: null };
+  const open = new Set([startNode]);
+  const closed = new Set();
+
+  // Open set ordered as the priority queue would pop it (f, then h as tie-break)
+  const orderedOpen = () =>
+    [...open].sort((a, b) => fScore[a] - fScore[b] || hScore[a] - hScore[b]);
+
+  const snapshot = (current, target) => ({
+    visited: new Set(closed),
+    current,
+    gScore: { ...gScore },
+    hScore,
+    fScore: { ...fScore },
+    openSet: orderedOpen(),
+    closedSet: [...closed],
+    path: buildPath(previous, target),
+    previous: { ...previous },
   });
 
-  const order = [];
-  while (queue.length) {
-    const u = queue.shift();
-    order.push(u);
-    stepsInner.push({
-      queue: [...queue],
-      indegree: { ...indegree },
-      current: u,
-      order: [...order],
-    });
+  steps.push(snapshot(startNode, startNode));
 
-    for (const v of adj[u] || []) {
-      indegree[v]--;
-      stepsInner.push({
-        queue: [...queue],
-        indegree: { ...indegree },
-        current: u,
-        order: [...order],
-      });
-      if (indegree[v] === 0) {
-        queue.push(v);
-        stepsInner.push({
-          queue: [...queue],
-          indegree: { ...indegree },
-          current: v,
-          order: [...order],
-        });
+  let found = false;
+  while (open.size) {
+    const current = orderedOpen()[0];
+
+    if (current === endNode) {
+      found = true;
+      closed.add(current);
+      open.delete(current);
+      steps.push(snapshot(current, current));
+      break;
+    }
+
+    open.delete(current);
+    closed.add(current);
+    steps.push(snapshot(current, current));
+
+    for (const { node: v, weight } of adj[current] || []) {
+      if (closed.has(v)) continue;
+      const tentative = gScore[current] + (weight ?? 1);
+      if (tentative < (gScore[v] ?? Infinity)) {
+        previous[v] = current;
+        gScore[v] = tentative;
+        fScore[v] = tentative + hScore[v];
+        open.add(v);
+        steps.push(snapshot(v, v));
       }
     }
   }
 
-  if (order.length !== nodes.length) {
-    // cycle detected
-    stepsInner.push({
-      finished: true,
-      result: "Graph has at least one cycle (topological sort not possible)",
-      order,
-    });
-  } else {
-    stepsInner.push({
-      finished: true,
-      result: "Topological order computed",
-      order,
-    });
-  }
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const expanded = `expanded ${closed.size} of ${nodes.length} nodes`;
+  const route = buildPath(previous, endNode).map(label).join(" → ");
+  steps.push({
+    ...snapshot(null, found ? endNode : null),
+    finished: true,
+    result: found
+      ? `Distance from ${label(startNode)} to ${label(endNode)}: ${gScore[endNode]} via ${route} (${expanded})`
+      : `No path from ${label(startNode)} to ${label(endNode)} (${expanded})`,
+  });
 
-  return stepsInner;
+  return steps;
+}
+
+/**
+ * SCC - Kosaraju's algorithm (produces visualization steps)
+ */
+export function runSCC(nodes, edges, options = {}) {
+  const { compare = true } = options;
+  const isDirected = true; // SCC is meaningful for directed graphs; callers should ensure this
+  const adj = buildAdjacency(nodes, edges, isDirected, false);
+  // Transposed adjacency
+  const adjT = {};
+  nodes.forEach((n) => (adjT[n.id] = []));
+  edges.forEach((e) => {
+    if (!adjT[e.to]) adjT[e.to] = [];
+    adjT[e.to].push(e.from);
+  });
+
+  const steps = [];
+  let visited = new Set();
+  const finishOrderStack = [];
+  let time = 0;
+  const discoveryTimes1 = {};
+  const finishTimes1 = {};
+
+  const dfs1 = (u) => {
+    time++;
+    discoveryTimes1[u] = time;
+    visited.add(u);
+    steps.push({
+      phase: "dfs1",
+      visited: new Set(visited),
+      current: u,
+      finishOrderStack: [...finishOrderStack],
+      foundSccs: [],
+      sccColors: {},
+      showTransposed: false,
+      discoveryTimes: { ...discoveryTimes1 },
+      finishTimes: { ...finishTimes1 },
+    });
+
+    (adj[u] || []).forEach((v) => {
+      if (!visited.has(v)) dfs1(v);
+    });
+
+    time++;
+    finishTimes1[u] = time;
+    finishOrderStack.push(u);
+    steps.push({
+      phase: "dfs1",
+      visited: new Set(visited),
+      current: u,
+      finishOrderStack: [...finishOrderStack],
+      foundSccs: [],
+      sccColors: {},
+      showTransposed: false,
+      discoveryTimes: { ...discoveryTimes1 },
+      finishTimes: { ...finishTimes1 },
+    });
+  };
+
+  // First pass
+  nodes.forEach((n) => {
+    if (!visited.has(n.id)) dfs1(n.id);
+  });
+
+  // Transpose step
+  steps.push({
+    phase: "transpose",
+    showTransposed: true,
+    finishOrderStack: [...finishOrderStack],
+    visited: new Set(),
+    current: null,
+    foundSccs: [],
+    sccColors: {},
+    discoveryTimes: {},
+    finishTimes: {},
+  });
+
+  // Second pass on transposed graph
+  visited = new Set();
+  const foundSccs = [];
+  const sccColors = {};
+  let sccIndex = 0;
+  time = 0;
+  const discoveryTimes2 = {};
+  const finishTimes2 = {};
+
+  // Copy of stack for visualization (we will pop)
+  const vizStack = [...finishOrderStack];
+
+  const dfs2 = (u, bucket) => {
+    time++;
+    discoveryTimes2[u] = time;
+    visited.add(u);
+    bucket.push(u);
+    sccColors[u] = DEFAULT_COLORS[sccIndex % DEFAULT_COLORS.length];
+
+    steps.push({
+      phase: "dfs2",
+      visited: new Set(visited),
+      current: u,
+      foundSccs: [...foundSccs, bucket],
+      sccColors: { ...sccColors },
+      showTransposed: true,
+      finishOrderStack: [...vizStack],
+      discoveryTimes: { ...discoveryTimes2 },
+      finishTimes: { ...finishTimes2 },
+    });
+
+    (adjT[u] || []).forEach((v) => {
+      if (!visited.has(v)) dfs2(v, bucket);
+    });
+
+    time++;
+    finishTimes2[u] = time;
+    steps.push({
+      ...steps[steps.length - 1],
+      finishTimes: { ...finishTimes2 },
+    });
+  };
+
+  while (vizStack.length) {
+    const u = vizStack.pop();
+    if (!visited.has(u)) {
+      const bucket = [];
+      foundSccs.push(bucket);
+      dfs2(u, bucket);
+      sccIndex++;
+    }
+  }
+
+  steps.push({
+    phase: "finished",
+    visited: new Set(visited),
+    current: null,
+    foundSccs: [...foundSccs],
+    sccColors: { ...sccColors },
+    showTransposed: false,
+    finishOrderStack: [],
+    finished: true,
+    result: `Found ${foundSccs.length} SCCs.`,
+    discoveryTimes: { ...discoveryTimes2 },
+    finishTimes: { ...finishTimes2 },
+    ...(compare
+      ? {
+          sccComparison: compareSccs(
+            "Tarjan",
+            foundSccs,
+            tarjanComponents(nodes, edges),
+          ),
+        }
+      : {}),
+  });
+
+  return steps;
+}
+
+/**
+ * Compare two SCC partitions regardless of component or member order.
+ */
+function compareSccs(algorithm, ours, theirs) {
+  const canon = (sccs) =>
+    sccs
+      .map((c) => [...c].sort().join("\u0000"))
+      .sort()
+      .join("\u0001");
+  return {
+    algorithm,
+    sccs: theirs.map((c) => [...c]),
+    agree: canon(ours) === canon(theirs),
+  };
+}
+
+/**
+ * Final components of each SCC algorithm, used for cross-checking.
+ */
+function tarjanComponents(nodes, edges) {
+  const steps = runTarjanSCC(nodes, edges, { compare: false });
+  return steps[steps.length - 1].foundSccs || [];
+}
+
+function kosarajuComponents(nodes, edges) {
+  const steps = runSCC(nodes, edges, { compare: false });
+  return steps[steps.length - 1].foundSccs || [];
+}
+
+/**
+ * SCC - Tarjan's algorithm (single DFS pass with lowlink values)
+ * - discoveryTimes holds each node's DFS index, lowlinks the smallest index
+ *   reachable through the node's subtree plus one back edge onto the stack
+ * - A node whose lowlink equals its index is the root of an SCC; the SCC is
+ *   popped off the Tarjan stack down to that node
+ */
+export function runTarjanSCC(nodes, edges, options = {}) {
+  const { compare = true } = options;
+  const adj = buildAdjacency(nodes, edges, true, false);
+  const steps = [];
+
+  let index = 0;
+  const discoveryTimes = {};
+  const lowlinks = {};
+  const stack = [];
+  const onStack = new Set();
+  const visited = new Set();
+  const foundSccs = [];
+  const sccColors = {};
+
+  const snapshot = (current) => ({
+    phase: "tarjan",
+    visited: new Set(visited),
+    current,
+    discoveryTimes: { ...discoveryTimes },
+    lowlinks: { ...lowlinks },
+    tarjanStack: [...stack],
+    foundSccs: foundSccs.map((c) => [...c]),
+    sccColors: { ...sccColors },
+  });
+
+  const strongConnect = (u) => {
+    index++;
+    discoveryTimes[u] = index;
+    lowlinks[u] = index;
+    stack.push(u);
+    onStack.add(u);
+    visited.add(u);
+    steps.push(snapshot(u));
+
+    for (const v of adj[u] || []) {
+      if (discoveryTimes[v] === undefined) {
+        strongConnect(v);
+        lowlinks[u] = Math.min(lowlinks[u], lowlinks[v]);
+        steps.push(snapshot(u));
+      } else if (onStack.has(v)) {
+        // Back/cross edge into the current stack
+        lowlinks[u] = Math.min(lowlinks[u], discoveryTimes[v]);
+        steps.push(snapshot(u));
+      }
+    }
+
+    if (lowlinks[u] === discoveryTimes[u]) {
+      const component = [];
+      let w;
+      do {
+        w = stack.pop();
+        onStack.delete(w);
+        component.push(w);
+        sccColors[w] = DEFAULT_COLORS[foundSccs.length % DEFAULT_COLORS.length];
+      } while (w !== u);
+      foundSccs.push(component);
+      steps.push(snapshot(u));
+    }
+  };
+
+  nodes.forEach((n) => {
+    if (discoveryTimes[n.id] === undefined) strongConnect(n.id);
+  });
+
+  steps.push({
+    ...snapshot(null),
+    phase: "finished",
+    finished: true,
+    result: `Found ${foundSccs.length} SCCs.`,
+    ...(compare
+      ? {
+          sccComparison: compareSccs(
+            "Kosaraju",
+            foundSccs,
+            kosarajuComponents(nodes, edges),
+          ),
+        }
+      : {}),
+  });
+
+  return steps;
+}
+
+/**
+ * Parses a 2-CNF formula such as "(a ∨ ¬b) ∧ (¬a ∨ c)". Clauses are joined by
+ * ∧, &, "and", commas, semicolons or new lines; literals by ∨, |, "or".
+ * Negation is ¬, !, ~ or -. Parentheses are optional but must balance.
+ * Returns { variables, clauses } with clauses as arrays of literal strings
+ * ("x" or "¬x"), or { error }.
+ */
+export function parseTwoCnf(text) {
+  const pattern =
+    /[^\S\n]*(?:(∨|\|\|?|\bor\b)|(∧|&&?|\band\b|[,;\n])|([()])|([¬!~-]*)[^\S\n]*([A-Za-z_]\w*)|(\S))/gi;
+  const variables = [];
+  const clauses = [];
+  let clause = [];
+  let expectLiteral = true;
+  let depth = 0;
+
+  const endClause = () => {
+    if (clause.length === 0) return null;
+    if (expectLiteral) return `Clause ${clauses.length + 1} ends with ∨`;
+    if (clause.length > 2) {
+      return `Clause ${clauses.length + 1} has ${clause.length} literals; 2-SAT allows at most two`;
+    }
+    clauses.push(clause);
+    clause = [];
+    expectLiteral = true;
+    return null;
+  };
+
+  for (const [, or, and, paren, negations, name, other] of text.matchAll(
+    pattern,
+  )) {
+    if (other) return { error: `Unexpected "${other}"` };
+    if (paren) {
+      depth += paren === "(" ? 1 : -1;
+      if (depth < 0) {
+        return { error: `Clause ${clauses.length + 1} has an unmatched ")"` };
+      }
+    } else if (or) {
+      if (expectLiteral) {
+        return {
+          error: `Clause ${clauses.length + 1} has ∨ without a literal`,
+        };
+      }
+      expectLiteral = true;
+    } else if (and) {
+      const error = endClause();
+      if (error) return { error };
+    } else if (name) {
+      if (!expectLiteral) {
+        return {
+          error: `Clause ${clauses.length + 1} needs ∨ before "${name}"`,
+        };
+      }
+      if (!variables.includes(name)) variables.push(name);
+      clause.push(negations.length % 2 === 1 ? `¬${name}` : name);
+      expectLiteral = false;
+    }
+  }
+  if (depth > 0) {
+    return { error: `${depth} unclosed "(" in the formula` };
+  }
+  const error = endClause();
+  if (error) return { error };
+  return { variables, clauses };
+}
+
+const negateLiteral = (lit) => (lit.startsWith("¬") ? lit.slice(1) : `¬${lit}`);
+
+/**
+ * Implication graph of a 2-CNF formula: nodes x and ¬x for every variable
+ * (x on the top row, ¬x below it) and, for each clause (a ∨ b), the edges
+ * ¬a → b and ¬b → a. A unit clause (a) is read as (a ∨ a).
+ * Returns { variables, clauses, nodes, edges } or { error }.
+ */
+export function buildImplicationGraph(text) {
+  const parsed = parseTwoCnf(text);
+  if (parsed.error) return parsed;
+  const { variables, clauses } = parsed;
+  if (clauses.length === 0) return { error: "Enter at least one clause" };
+
+  const spacing = Math.min(140, 640 / Math.max(1, variables.length - 1));
+  const nodes = variables.flatMap((x, i) => [
+    { id: x, label: x, x: 100 + i * spacing, y: 120 },
+    { id: `¬${x}`, label: `¬${x}`, x: 100 + i * spacing, y: 320 },
+  ]);
+  const edges = [];
+  const seen = new Set();
+  const addEdge = (from, to) => {
+    if (seen.has(`${from}->${to}`)) return;
+    seen.add(`${from}->${to}`);
+    edges.push({ id: `imp_${edges.length + 1}`, from, to, weight: 1 });
+  };
+  clauses.forEach(([a, b = a]) => {
+    addEdge(negateLiteral(a), b);
+    addEdge(negateLiteral(b), a);
+  });
+  return { variables, clauses, nodes, edges };
+}
+
+/**
+ * 2-SAT on an implication graph (see buildImplicationGraph)
+ * - Runs Kosaraju (runSCC) and replays its steps
+ * - The formula is unsatisfiable exactly when some x and ¬x share an SCC; the
+ *   implication cycle x ⇝ ¬x ⇝ x through that SCC is shown
+ * - Otherwise Kosaraju numbers SCCs in topological order, and x is true when
+ *   its SCC comes after the SCC of ¬x
+ */
+export function runTwoSat(nodes, edges, options = {}) {
+  const { isDirected = false } = options;
+  if (!isDirected) {
+    return [
+      {
+        finished: true,
+        result:
+          "2-SAT works on the directed implication graph. Enable 'Directed Graph' mode.",
+      },
+    ];
+  }
+  const ids = new Set(nodes.map((n) => n.id));
+  const variables = nodes.map((n) => n.id).filter((id) => !id.startsWith("¬"));
+  const unpaired = nodes
+    .map((n) => n.id)
+    .filter((id) => !ids.has(negateLiteral(id)));
+  if (variables.length === 0 || unpaired.length > 0) {
+    const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+    return [
+      {
+        finished: true,
+        result: `Not an implication graph${
+          unpaired.length > 0
+            ? ` (no complement for ${unpaired.slice(0, 3).map(label).join(", ")})`
+            : ""
+        }. Build one from a 2-CNF formula first.`,
+      },
+    ];
+  }
+
+  const sccSteps = runSCC(nodes, edges, { compare: false });
+  const { foundSccs, sccColors } = sccSteps[sccSteps.length - 1];
+  const steps = sccSteps
+    .slice(0, -1)
+    .map((s) => ({ ...s, satAssignment: {}, satConflict: null }));
+  const comp = {};
+  foundSccs.forEach((c, i) => c.forEach((id) => (comp[id] = i)));
+
+  // Shortest implication chain from one literal to another inside an SCC
+  const chain = (from, to) => {
+    const prev = { [from]: null };
+    const queue = [from];
+    while (queue.length && prev[to] === undefined) {
+      const u = queue.shift();
+      edges.forEach((e) => {
+        if (e.from !== u || prev[e.to] !== undefined) return;
+        if (comp[e.to] !== comp[from]) return;
+        prev[e.to] = { node: u, edgeId: edgeKey(e) };
+        queue.push(e.to);
+      });
+    }
+    const path = { nodes: [to], edgeIds: [] };
+    for (let cur = to; prev[cur]; cur = prev[cur].node) {
+      path.nodes.unshift(prev[cur].node);
+      path.edgeIds.unshift(prev[cur].edgeId);
+    }
+    return path;
+  };
+
+  const base = {
+    foundSccs,
+    sccColors,
+    showTransposed: false,
+    finishOrderStack: [],
+    discoveryTimes: {},
+    finishTimes: {},
+  };
+  const satAssignment = {};
+  for (const x of variables) {
+    const notX = `¬${x}`;
+    if (comp[x] === comp[notX]) {
+      const there = chain(x, notX);
+      const back = chain(notX, x);
+      const edgeStates = {};
+      [...there.edgeIds, ...back.edgeIds].forEach((id) => {
+        edgeStates[id] = "cycle";
+      });
+      steps.push({
+        ...base,
+        phase: "conflict",
+        visited: new Set(),
+        current: x,
+        path: [...there.nodes, ...back.nodes.slice(1)],
+        pathEdges: [...there.edgeIds, ...back.edgeIds],
+        edgeStates,
+        satAssignment: { ...satAssignment },
+        satConflict: x,
+        finished: true,
+        result: `Unsatisfiable: ${x} and ${notX} are in the same SCC (${[
+          ...there.nodes,
+          ...back.nodes.slice(1),
+        ].join(" → ")})`,
+      });
+      return steps;
+    }
+    satAssignment[x] = comp[x] > comp[notX];
+    steps.push({
+      ...base,
+      phase: "assign",
+      visited: new Set([x, notX]),
+      current: satAssignment[x] ? x : notX,
+      satAssignment: { ...satAssignment },
+      satConflict: null,
+    });
+  }
+
+  // True literals green, false literals gray
+  steps.push({
+    ...base,
+    sccColors: {},
+    phase: "finished",
+    visited: new Set(variables.map((x) => (satAssignment[x] ? x : `¬${x}`))),
+    current: null,
+    satAssignment,
+    satConflict: null,
+    finished: true,
+    result: `Satisfiable: ${variables
+      .map((x) => `${x} = ${satAssignment[x] ? "true" : "false"}`)
+      .join(", ")}`,
+  });
+  return steps;
+}
+
+/**
+ * Articulation points (cut vertices) and bridges via DFS low-link values
+ * - Undirected graphs only; parallel edges are handled by skipping only the
+ *   exact edge we arrived through, not every edge back to the parent
+ * - discoveryTimes is disc[u], lowlinks is low[u]
+ * - u is a cut vertex if it is a non-root with a child v where low[v] >= disc[u],
+ *   or a DFS root with more than one child; edge (u, v) is a bridge if low[v] > disc[u]
+ */
+export function runArticulationPoints(nodes, edges, options = {}) {
+  const { isDirected = false, startNode } = options;
+  const steps = [];
+
+  if (isDirected) {
+    steps.push({
+      finished: true,
+      result:
+        "Articulation points and bridges are defined for undirected graphs. Disable 'Directed Graph' mode.",
+    });
+    return steps;
+  }
+
+  const inc = buildIncidence(nodes, edges, false);
+  const discoveryTimes = {};
+  const lowlinks = {};
+  const previous = {};
+  const visited = new Set();
+  const articulationPoints = new Set();
+  const bridges = [];
+  const edgeStates = {};
+  let time = 0;
+
+  const snapshot = (current) => ({
+    visited: new Set(visited),
+    current,
+    discoveryTimes: { ...discoveryTimes },
+    lowlinks: { ...lowlinks },
+    articulationPoints: [...articulationPoints],
+    bridges: [...bridges],
+    edgeStates: { ...edgeStates },
+    previous: { ...previous },
+    path: buildPath(previous, current),
+  });
+
+  const dfs = (u, parentEdgeId) => {
+    time++;
+    discoveryTimes[u] = time;
+    lowlinks[u] = time;
+    visited.add(u);
+    steps.push(snapshot(u));
+
+    let children = 0;
+    for (const { edge, node: v } of inc[u] || []) {
+      if (edge.id === parentEdgeId) continue;
+
+      if (discoveryTimes[v] === undefined) {
+        children++;
+        previous[v] = u;
+        dfs(v, edge.id);
+
+        lowlinks[u] = Math.min(lowlinks[u], lowlinks[v]);
+        if (parentEdgeId !== null && lowlinks[v] >= discoveryTimes[u]) {
+          articulationPoints.add(u);
+        }
+        if (lowlinks[v] > discoveryTimes[u]) {
+          edgeStates[edge.id] = "bridge";
+          bridges.push({ ...edge, from: u, to: v });
+        }
+        steps.push(snapshot(u));
+      } else if (discoveryTimes[v] < lowlinks[u]) {
+        // Back edge to an ancestor
+        lowlinks[u] = discoveryTimes[v];
+        steps.push(snapshot(u));
+      }
+    }
+
+    if (parentEdgeId === null && children > 1) {
+      articulationPoints.add(u);
+      steps.push(snapshot(u));
+    }
+  };
+
+  const roots = nodes.map((n) => n.id);
+  if (startNode && roots.includes(startNode)) {
+    roots.splice(roots.indexOf(startNode), 1);
+    roots.unshift(startNode);
+  }
+  roots.forEach((id) => {
+    if (discoveryTimes[id] === undefined) {
+      previous[id] = null;
+      dfs(id, null);
+    }
+  });
+
+  steps.push({
+    ...snapshot(null),
+    path: [],
+    previous: {},
+    finished: true,
+    result: `Found ${articulationPoints.size} articulation point${
+      articulationPoints.size === 1 ? "" : "s"
+    } and ${bridges.length} bridge${bridges.length === 1 ? "" : "s"}`,
+  });
+
+  return steps;
+}
+
+/**
+ * Bellman-Ford
+ * - Handles graphs with negative edges, detects negative cycles
+ * - Returns steps tracking distances updates per relaxation
+ */
+export function runBellmanFord(nodes, edges, options = {}) {
+  const { isDirected = false, startNode, endNode } = options;
+  const steps = [];
+
+  if (!startNode || !nodes.some((n) => n.id === startNode)) {
+    steps.push({ finished: true });
+    return steps;
+  }
+
+  const distances = {};
+  const previous = {};
+  nodes.forEach((n) => {
+    distances[n.id] = n.id === startNode ? 0 : Infinity;
+    previous[n.id] = null;
+  });
+
+  // initial state: mark visited as nodes with finite distance (start only)
+  steps.push({
+    distances: { ...distances },
+    visited: new Set(
+      Object.keys(distances).filter((id) => distances[id] !== Infinity),
+    ),
+    current: startNode,
+    path: [],
+    previous: { ...previous },
+  });
+
+  // Relax edges |V|-1 times
+  const edgeList = edges.map((e) => ({
+    from: e.from,
+    to: e.to,
+    weight: e.weight ?? 1,
+  }));
+
+  // Track last node that was relaxed/updated so we can show a path if endNode not provided
+  let lastUpdated = null;
+
+  for (let i = 1; i <= nodes.length - 1; i++) {
+    let updated = false;
+    for (const e of edgeList) {
+      const { from, to, weight } = e;
+      if (
+        distances[from] !== Infinity &&
+        distances[from] + weight < distances[to]
+      ) {
+        distances[to] = distances[from] + weight;
+        previous[to] = from;
+        updated = true;
+        lastUpdated = to;
+        steps.push({
+          distances: { ...distances },
+          visited: new Set(
+            Object.keys(distances).filter((id) => distances[id] !== Infinity),
+          ),
+          current: to,
+          path: buildPath(previous, endNode || to),
+          previous: { ...previous },
+        });
+      }
+      if (!isDirected) {
+        // also consider reverse if undirected
+        if (
+          distances[to] !== Infinity &&
+          distances[to] + weight < distances[from]
+        ) {
+          distances[from] = distances[to] + weight;
+          previous[from] = to;
+          updated = true;
+          lastUpdated = from;
+          steps.push({
+            distances: { ...distances },
+            visited: new Set(
+              Object.keys(distances).filter((id) => distances[id] !== Infinity),
+            ),
+            current: from,
+            path: buildPath(previous, endNode || from),
+            previous: { ...previous },
+          });
+        }
+      }
+    }
+    if (!updated) break;
+  }
+
+  // Check for negative cycles
+  let negativeCycle = false;
+  for (const e of edgeList) {
+    const { from, to, weight } = e;
+    if (
+      distances[from] !== Infinity &&
+      distances[from] + weight < distances[to]
+    ) {
+      negativeCycle = true;
+      break;
+    }
+    if (!isDirected) {
+      if (
+        distances[to] !== Infinity &&
+        distances[to] + weight < distances[from]
+      ) {
+        negativeCycle = true;
+        break;
+      }
+    }
+  }
+
+  // Determine final path target: prefer explicit endNode, otherwise use lastUpdated if present
+  const finalTarget = endNode || lastUpdated || null;
+
+  steps.push({
+    distances: { ...distances },
+    visited: new Set(
+      Object.keys(distances).filter((id) => distances[id] !== Infinity),
+    ),
+    finished: true,
+    result: negativeCycle
+      ? "Negative cycle detected"
+      : finalTarget
+        ? `Distance to ${finalTarget}: ${distances[finalTarget] === Infinity ? "∞" : distances[finalTarget]}`
+        : "Finished",
+    path: buildPath(previous, finalTarget),
+    previous: { ...previous },
+  });
+
+  return steps;
+}
+
+/**
+ * First cycle found by DFS, as { nodes, edgeIds } with nodes closed
+ * (first === last), or null when the graph is acyclic.
+ * - Directed: white/gray/black coloring; an edge into a gray node (still on
+ *   the DFS stack) closes a cycle
+ * - Undirected: an edge to a visited node other than the one we arrived
+ *   through (tracked by edge id, so parallel edges count) closes a cycle
+ * onStep(event, { stack, finished, edge }) is called on "enter", "edge" and
+ * "finish" so callers can record steps.
+ */
+function findCycle(nodes, edges, isDirected, startNode, onStep = () => {}) {
+  const inc = buildIncidence(nodes, edges, isDirected);
+  const state = {}; // undefined = white, "gray" = on stack, "black" = finished
+  const stack = []; // [{ node, edgeId }] root-to-current DFS path
+  const finished = new Set();
+
+  const closeCycle = (v, edge) => {
+    const idx = stack.findIndex((s) => s.node === v);
+    const onCycle = stack.slice(idx);
+    return {
+      nodes: [...onCycle.map((s) => s.node), v],
+      edgeIds: [...onCycle.slice(1).map((s) => s.edgeId), edge.id],
+    };
+  };
+
+  const dfs = (u, viaEdgeId) => {
+    state[u] = "gray";
+    stack.push({ node: u, edgeId: viaEdgeId });
+    onStep("enter", { stack, finished });
+
+    for (const { edge, node: v } of inc[u] || []) {
+      if (!isDirected && edge.id === viaEdgeId) continue;
+      onStep("edge", { stack, finished, edge });
+      if (state[v] === "gray") return closeCycle(v, edge);
+      if (state[v] === undefined) {
+        const found = dfs(v, edge.id);
+        if (found) return found;
+      }
+    }
+
+    state[u] = "black";
+    finished.add(u);
+    stack.pop();
+    onStep("finish", { stack, finished });
+    return null;
+  };
+
+  const roots = nodes.map((n) => n.id);
+  if (startNode && roots.includes(startNode)) {
+    roots.splice(roots.indexOf(startNode), 1);
+    roots.unshift(startNode);
+  }
+  for (const root of roots) {
+    if (state[root] !== undefined) continue;
+    const found = dfs(root, null);
+    if (found) return found;
+  }
+  return null;
+}
+
+function cycleEdgeStates(cycle) {
+  const edgeStates = {};
+  cycle.edgeIds.forEach((id) => {
+    edgeStates[id] = "cycle";
+  });
+  return edgeStates;
+}
+
+/**
+ * Cycle detection (DFS)
+ * - Directed graphs use white/gray/black coloring, undirected graphs track
+ *   the edge each node was reached through
+ * - Stops at the first cycle and returns it as node and edge sequences
+ */
+export function runCycleDetection(nodes, edges, options = {}) {
+  const { isDirected = false, startNode } = options;
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const steps = [];
+
+  const snapshot = (stack, finished, extra = {}) => ({
+    visited: new Set(finished),
+    dfsStack: stack.map((s) => s.node),
+    current: stack.length ? stack[stack.length - 1].node : null,
+    pathEdges: stack.slice(1).map((s) => s.edgeId),
+    path: [],
+    cycle: [],
+    edgeStates: {},
+    ...extra,
+  });
+
+  const cycle = findCycle(
+    nodes,
+    edges,
+    isDirected,
+    startNode,
+    (event, { stack, finished, edge }) => {
+      steps.push(
+        snapshot(
+          stack,
+          finished,
+          event === "edge" ? { edgeStates: { [edge.id]: "considering" } } : {},
+        ),
+      );
+    },
+  );
+
+  if (cycle) {
+    steps.push({
+      visited: new Set(),
+      dfsStack: [],
+      current: cycle.nodes[0],
+      pathEdges: [],
+      path: [],
+      cycle: cycle.nodes,
+      edgeStates: cycleEdgeStates(cycle),
+      finished: true,
+      result: `Cycle found: ${cycle.nodes.map(label).join(" → ")}`,
+    });
+  } else {
+    steps.push({
+      visited: new Set(nodes.map((n) => n.id)),
+      dfsStack: [],
+      current: null,
+      pathEdges: [],
+      path: [],
+      cycle: [],
+      edgeStates: {},
+      finished: true,
+      result: isDirected
+        ? "No cycle: the graph is a DAG"
+        : "No cycle: the graph is a forest",
+    });
+  }
+  return steps;
+}
+
+/**
+ * Topological Sort (Kahn's algorithm)
+ * - Only meaningful for directed acyclic graphs (DAGs)
+ * - Returns steps showing indegree processing and final order, or detection of cycle
+ */
+export function runTopologicalSort(nodes, edges, options = {}) {
+  // Respect caller's isDirected option; topological sort requires a directed graph.
+  const isDirected =
+    options.isDirected !== undefined ? options.isDirected : true;
+  const steps = [];
+
+  if (!isDirected) {
+    // Inform the caller to enable directed mode and return an immediately finished step.
+    steps.push({
+      finished: true,
+      result:
+        "Topological sort requires a directed graph. Enable 'Directed Graph' mode.",
+      order: [],
+    });
+    return steps;
+  }
+
+  const adj = buildAdjacency(nodes, edges, isDirected, false);
+  const indegree = {};
+  nodes.forEach((n) => (indegree[n.id] = 0));
+  edges.forEach((e) => {
+    if (indegree[e.to] === undefined) indegree[e.to] = 0;
+    indegree[e.to]++;
+  });
+
+  const queue = [];
+  for (const id in indegree) {
+    if (indegree[id] === 0) queue.push(id);
+  }
+
+  const stepsInner = [];
+  stepsInner.push({
+    queue: [...queue],
+    indegree: { ...indegree },
+    order: [],
+  });
+
+  const order = [];
+  while (queue.length) {
+    const u = queue.shift();
+    order.push(u);
+    stepsInner.push({
+      queue: [...queue],
+      indegree: { ...indegree },
+      current: u,
+      order: [...order],
+    });
+
+    for (const v of adj[u] || []) {
+      indegree[v]--;
+      stepsInner.push({
+        queue: [...queue],
+        indegree: { ...indegree },
+        current: u,
+        order: [...order],
+      });
+      if (indegree[v] === 0) {
+        queue.push(v);
+        stepsInner.push({
+          queue: [...queue],
+          indegree: { ...indegree },
+          current: v,
+          order: [...order],
+        });
+      }
+    }
+  }
+
+  if (order.length !== nodes.length) {
+    // cycle detected: point at one on the canvas when it can be traced
+    // (edges to missing nodes can also leave the order short)
+    const cycle = findCycle(nodes, edges, true);
+    const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+    stepsInner.push(
+      cycle
+        ? {
+            finished: true,
+            result: `Graph has a cycle ${cycle.nodes
+              .map(label)
+              .join(" → ")} (topological sort not possible)`,
+            order,
+            current: null,
+            cycle: cycle.nodes,
+            edgeStates: cycleEdgeStates(cycle),
+          }
+        : {
+            finished: true,
+            result:
+              "Graph has at least one cycle (topological sort not possible)",
+            order,
+            current: null,
+          },
+    );
+  } else {
+    stepsInner.push({
+      finished: true,
+      result: "Topological order computed",
+      order,
+    });
+  }
+
+  return stepsInner;
+}
+
+/**
+ * Shortest / longest paths and critical path scheduling on a DAG
+ * - Takes the order from runTopologicalSort and relaxes each node's outgoing
+ *   edges once in that order, so negative weights are fine: O(V + E)
+ * - dagMode "shortest" / "longest": single-source distances from startNode
+ *   (first node of the order when none is selected); the path goes to
+ *   endNode, or to the farthest reached node when no end node is selected
+ * - dagMode "schedule" (critical path method): an edge u → v of weight w
+ *   means v can start w time units after u starts. A forward pass gives the
+ *   earliest start, a backward pass from the project end gives the latest
+ *   start, and slack = latest - earliest. Edges between zero-slack nodes
+ *   with no float form the critical path(s).
+ */
+export function runDagPaths(nodes, edges, options = {}) {
+  const {
+    isDirected = false,
+    startNode,
+    endNode,
+    dagMode = "shortest",
+  } = options;
+  if (!isDirected) {
+    return [
+      {
+        finished: true,
+        result:
+          "DAG paths require a directed graph. Enable 'Directed Graph' mode.",
+      },
+    ];
+  }
+  if (nodes.length === 0) return [{ finished: true }];
+
+  const sorted = runTopologicalSort(nodes, edges, { isDirected: true });
+  const last = sorted[sorted.length - 1];
+  if (last.order.length !== nodes.length) {
+    return [
+      {
+        ...last,
+        result: last.result.replace(
+          "(topological sort not possible)",
+          "(DAG paths need an acyclic graph)",
+        ),
+      },
+    ];
+  }
+
+  const order = last.order;
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const inc = buildIncidence(nodes, edges, true);
+  const steps = [];
+
+  if (dagMode === "schedule") {
+    const earliest = {};
+    const latest = {};
+    order.forEach((id) => {
+      earliest[id] = 0;
+    });
+    const snapshot = (extra) => ({
+      order,
+      dagMode,
+      earliestStart: { ...earliest },
+      latestStart: { ...latest },
+      ...extra,
+    });
+
+    steps.push(snapshot({ phase: "forward", current: null }));
+    order.forEach((u, i) => {
+      inc[u].forEach(({ edge, node: v, weight }) => {
+        const improved = earliest[u] + weight > earliest[v];
+        if (improved) earliest[v] = earliest[u] + weight;
+        steps.push(
+          snapshot({
+            phase: "forward",
+            current: u,
+            visited: new Set(order.slice(0, i + 1)),
+            edgeStates: { [edge.id]: improved ? "considering" : "rejected" },
+          }),
+        );
+      });
+    });
+
+    const projectEnd = Math.max(...order.map((id) => earliest[id]));
+    for (let i = order.length - 1; i >= 0; i--) {
+      const u = order[i];
+      latest[u] = projectEnd;
+      inc[u].forEach(({ edge, node: v, weight }) => {
+        latest[u] = Math.min(latest[u], latest[v] - weight);
+        steps.push(
+          snapshot({
+            phase: "backward",
+            current: u,
+            visited: new Set(order.slice(i)),
+            edgeStates: { [edge.id]: "considering" },
+          }),
+        );
+      });
+      if (inc[u].length === 0) {
+        steps.push(
+          snapshot({
+            phase: "backward",
+            current: u,
+            visited: new Set(order.slice(i)),
+          }),
+        );
+      }
+    }
+
+    const slack = {};
+    order.forEach((id) => {
+      slack[id] = latest[id] - earliest[id];
+    });
+    const criticalEdges = edges
+      .map(describeEdge)
+      .filter(
+        (e) =>
+          slack[e.from] === 0 &&
+          slack[e.to] === 0 &&
+          earliest[e.from] + e.weight === earliest[e.to],
+      );
+    // Follow critical edges from a zero-slack node that starts at time 0
+    const path = [];
+    let cur = order.find(
+      (id) => earliest[id] === 0 && slack[id] === 0 && inc[id].length > 0,
+    );
+    while (cur !== undefined) {
+      path.push(cur);
+      const from = cur;
+      cur = criticalEdges.find((e) => e.from === from)?.to;
+    }
+    steps.push(
+      snapshot({
+        phase: "finished",
+        current: null,
+        visited: new Set(order),
+        slack,
+        projectDuration: projectEnd,
+        path,
+        pathEdges: criticalEdges.map((e) => e.id),
+        finished: true,
+        result: `Project duration ${projectEnd}, critical path ${
+          path.length > 1 ? path.map(label).join(" → ") : "–"
+        }`,
+      }),
+    );
+    return steps;
+  }
+
+  const longest = dagMode === "longest";
+  const source = nodes.some((n) => n.id === startNode) ? startNode : order[0];
+  const dist = { [source]: 0 };
+  const prevEdge = {};
+  const treeStates = () => {
+    const states = {};
+    Object.values(prevEdge).forEach((e) => {
+      states[e.id] = "mst";
+    });
+    return states;
+  };
+  const pathTo = (target) => {
+    const ids = [];
+    const path = [target];
+    for (let e = prevEdge[target]; e; e = prevEdge[e.from]) {
+      ids.unshift(e.id);
+      path.unshift(e.from);
+    }
+    return { path, pathEdges: ids };
+  };
+
+  steps.push({ order, dagMode, phase: "relax", distances: { ...dist } });
+  order.forEach((u, i) => {
+    if (dist[u] === undefined) return;
+    inc[u].forEach(({ edge, node: v, weight }) => {
+      const nd = dist[u] + weight;
+      const improved =
+        dist[v] === undefined || (longest ? nd > dist[v] : nd < dist[v]);
+      if (improved) {
+        dist[v] = nd;
+        prevEdge[v] = edge;
+      }
+      steps.push({
+        order,
+        dagMode,
+        phase: "relax",
+        current: u,
+        visited: new Set(order.slice(0, i + 1)),
+        distances: { ...dist },
+        edgeStates: {
+          ...treeStates(),
+          [edge.id]: improved ? "considering" : "rejected",
+        },
+      });
+    });
+  });
+
+  let target = nodes.some((n) => n.id === endNode) ? endNode : null;
+  if (!target) {
+    target = Object.keys(dist).reduce((a, b) => (dist[b] > dist[a] ? b : a));
+  }
+  const what = longest ? "Longest" : "Shortest";
+  const reached = dist[target] !== undefined;
+  const final = reached ? pathTo(target) : { path: [], pathEdges: [] };
+  // Tree edges stay green; the path itself is drawn in the path color
+  const edgeStates = treeStates();
+  final.pathEdges.forEach((id) => delete edgeStates[id]);
+  steps.push({
+    order,
+    dagMode,
+    phase: "finished",
+    current: null,
+    visited: new Set(Object.keys(dist)),
+    distances: { ...dist },
+    edgeStates,
+    ...final,
+    finished: true,
+    result: reached
+      ? `${what} path ${label(source)} → ${label(target)}: ${dist[target]}`
+      : `No path from ${label(source)} to ${label(target)}`,
+  });
+  return steps;
+}
+
+/**
+ * Transitive closure (Warshall)
+ * - reach[i][j] starts as "there is an edge i → j"; allowing each node k in
+ *   turn as an intermediate adds i → j whenever i → k and k → j
+ * - Every pair that becomes reachable without an edge gets a new overlay
+ *   edge (state "added"); self-loops from cycles are left out
+ * - resultEdges (final step) is the original edges plus the added ones,
+ *   ready to replace the graph
+ */
+export function runTransitiveClosure(nodes, edges, options = {}) {
+  const { isDirected = false } = options;
+  if (nodes.length === 0) return [{ finished: true }];
+
+  const ids = nodes.map((n) => n.id);
+  const index = {};
+  ids.forEach((id, i) => {
+    index[id] = i;
+  });
+  const reach = ids.map(() => ids.map(() => false));
+  edges.forEach((e) => {
+    if (index[e.from] === undefined || index[e.to] === undefined) return;
+    reach[index[e.from]][index[e.to]] = true;
+    if (!isDirected) reach[index[e.to]][index[e.from]] = true;
+  });
+
+  const added = [];
+  const edgeStates = {};
+  const steps = [];
+  const snapshot = (k, extra = {}) => ({
+    visited: new Set(ids.slice(0, k)),
+    current: k < ids.length ? ids[k] : null,
+    overlayEdges: added.slice(),
+    edgeStates: { ...edgeStates },
+    ...extra,
+  });
+
+  steps.push(snapshot(0));
+  ids.forEach((k, kk) => {
+    ids.forEach((i, ii) => {
+      if (!reach[ii][kk]) return;
+      ids.forEach((j, jj) => {
+        if (!reach[kk][jj] || reach[ii][jj]) return;
+        reach[ii][jj] = true;
+        if (!isDirected) reach[jj][ii] = true;
+        if (ii === jj) return;
+        const edge = { id: `closure_${i}_${j}`, from: i, to: j, weight: 1 };
+        added.push(edge);
+        edgeStates[edge.id] = "added";
+        steps.push(
+          snapshot(kk, {
+            edgeStates: { ...edgeStates, [edge.id]: "considering" },
+          }),
+        );
+      });
+    });
+    steps.push(snapshot(kk + 1));
+  });
+
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  steps.push({
+    ...snapshot(ids.length),
+    resultEdges: [...edges, ...added],
+    finished: true,
+    result:
+      added.length > 0
+        ? `Transitive closure adds ${added.length} edge${
+            added.length === 1 ? "" : "s"
+          }: ${added.map((e) => `${label(e.from)} → ${label(e.to)}`).join(", ")}`
+        : "Graph is already transitively closed",
+  });
+  return steps;
+}
+
+/**
+ * Transitive reduction of a DAG
+ * - reach[u] (every node reachable from u) is built in reverse topological
+ *   order from runTopologicalSort
+ * - Edge u → v is redundant when v is reachable from another successor of u;
+ *   duplicate parallel edges are redundant too. Redundant edges get state
+ *   "removed"; resultEdges (final step) keeps only the rest.
+ * - Only defined uniquely for DAGs, so cycles are reported instead
+ */
+export function runTransitiveReduction(nodes, edges, options = {}) {
+  const isDirected =
+    options.isDirected !== undefined ? options.isDirected : true;
+  if (!isDirected) {
+    return [
+      {
+        finished: true,
+        result:
+          "Transitive reduction requires a directed graph. Enable 'Directed Graph' mode.",
+      },
+    ];
+  }
+  if (nodes.length === 0) return [{ finished: true }];
+
+  const sorted = runTopologicalSort(nodes, edges, { isDirected: true });
+  const last = sorted[sorted.length - 1];
+  if (last.order.length !== nodes.length) {
+    return [
+      {
+        ...last,
+        result: last.result.replace(
+          "(topological sort not possible)",
+          "(transitive reduction needs an acyclic graph)",
+        ),
+      },
+    ];
+  }
+
+  const order = last.order;
+  const inc = buildIncidence(nodes, edges, true);
+  const reach = {};
+  for (let i = order.length - 1; i >= 0; i--) {
+    const u = order[i];
+    reach[u] = new Set();
+    inc[u].forEach(({ node: v }) => {
+      reach[u].add(v);
+      reach[v].forEach((w) => reach[u].add(w));
+    });
+  }
+
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const edgeStates = {};
+  const removed = [];
+  const steps = [];
+  steps.push({ order, edgeStates: {}, edgeNote: null });
+
+  order.forEach((u, i) => {
+    const seen = new Set();
+    inc[u].forEach(({ edge, node: v }) => {
+      const via = seen.has(v)
+        ? u
+        : inc[u].find(({ node: w }) => w !== v && reach[w].has(v))?.node;
+      seen.add(v);
+      if (via !== undefined) {
+        edgeStates[edge.id] = "removed";
+        removed.push(edge);
+      }
+      steps.push({
+        order,
+        current: u,
+        visited: new Set(order.slice(0, i + 1)),
+        edgeStates: {
+          ...edgeStates,
+          [edge.id]: via !== undefined ? "rejected" : "considering",
+        },
+        edgeNote:
+          via === undefined
+            ? `${label(u)} → ${label(v)} is needed`
+            : via === u
+              ? `${label(u)} → ${label(v)} duplicates another edge`
+              : `${label(u)} → ${label(v)} is implied via ${label(via)}`,
+      });
+    });
+  });
+
+  const removedIds = new Set(removed.map((e) => e.id));
+  steps.push({
+    order,
+    current: null,
+    visited: new Set(order),
+    edgeStates: { ...edgeStates },
+    resultEdges: edges.filter((e) => !removedIds.has(edgeKey(e))),
+    edgeNote: null,
+    finished: true,
+    result:
+      removed.length > 0
+        ? `Transitive reduction removes ${removed.length} edge${
+            removed.length === 1 ? "" : "s"
+          }: ${removed
+            .map((e) => `${label(e.from)} → ${label(e.to)}`)
+            .join(", ")}`
+        : "Graph is already transitively reduced",
+  });
+  return steps;
+}
+
+/**
+ * Checks that the graph is a tree and roots it. Undirected graphs are rooted
+ * at the first node; directed graphs must be an arborescence (one node with
+ * no parent, every other node with exactly one) and are rooted at its source.
+ * Returns { root, parent, parentEdge, children, depth, order } with order in
+ * BFS order, or { reason, cycle, violations, edgeIds } explaining the failure.
+ */
+function checkTree(nodes, edges, isDirected) {
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  if (nodes.length === 0) {
+    return { reason: "Not a tree: the graph is empty", violations: [] };
+  }
+
+  const cycle = findCycle(nodes, edges, isDirected);
+  if (cycle) {
+    return {
+      reason: `Not a tree: it contains the cycle ${cycle.nodes
+        .map(label)
+        .join(" → ")}`,
+      cycle,
+      violations: [],
+    };
+  }
+
+  let root = nodes[0].id;
+  if (isDirected) {
+    const incoming = {};
+    nodes.forEach((n) => {
+      incoming[n.id] = [];
+    });
+    edges.forEach((e) => incoming[e.to].push(e));
+    const shared = nodes.find((n) => incoming[n.id].length > 1);
+    if (shared) {
+      const parents = incoming[shared.id];
+      return {
+        reason: `Not a tree: ${label(shared.id)} has ${parents.length} parents (${parents
+          .map((e) => label(e.from))
+          .join(", ")})`,
+        violations: [shared.id],
+        edgeIds: parents.map(edgeKey),
+      };
+    }
+    const sources = nodes
+      .filter((n) => incoming[n.id].length === 0)
+      .map((n) => n.id);
+    if (sources.length > 1) {
+      return {
+        reason: `Not a tree: ${sources.length} nodes have no parent (${sources
+          .map(label)
+          .join(", ")}), so it is a forest`,
+        violations: sources,
+      };
+    }
+    root = sources[0];
+  }
+
+  const inc = buildIncidence(nodes, edges, isDirected);
+  const parent = { [root]: null };
+  const parentEdge = { [root]: null };
+  const depth = { [root]: 0 };
+  const children = {};
+  nodes.forEach((n) => {
+    children[n.id] = [];
+  });
+  const order = [root];
+  for (let i = 0; i < order.length; i++) {
+    const u = order[i];
+    for (const { edge, node: v } of inc[u]) {
+      if (depth[v] !== undefined) continue;
+      parent[v] = u;
+      parentEdge[v] = edge.id;
+      depth[v] = depth[u] + 1;
+      children[u].push(v);
+      order.push(v);
+    }
+  }
+
+  const unreachable = nodes
+    .filter((n) => depth[n.id] === undefined)
+    .map((n) => n.id);
+  if (unreachable.length > 0) {
+    return {
+      reason: `Not a tree: the graph is disconnected; ${unreachable
+        .map(label)
+        .join(", ")} cannot be reached from ${label(root)}`,
+      violations: unreachable,
+    };
+  }
+  return { root, parent, parentEdge, children, depth, order };
+}
+
+/**
+ * Edge ids along a path of a checked tree, so the path is highlighted even
+ * where it runs against the direction of an arborescence edge
+ */
+function treePathEdges(tree, path) {
+  return path
+    .slice(1)
+    .map((v, i) =>
+      tree.parent[v] === path[i]
+        ? tree.parentEdge[v]
+        : tree.parentEdge[path[i]],
+    );
+}
+
+function notATree(tree) {
+  const edgeStates = tree.cycle ? cycleEdgeStates(tree.cycle) : {};
+  (tree.edgeIds || []).forEach((id) => {
+    edgeStates[id] = "rejected";
+  });
+  return [
+    {
+      visited: new Set(),
+      current: null,
+      path: [],
+      cycle: tree.cycle ? tree.cycle.nodes : [],
+      edgeStates,
+      treeViolations: tree.violations,
+      finished: true,
+      result: tree.reason,
+    },
+  ];
+}
+
+/**
+ * Lowest common ancestor of startNode and endNode by binary lifting
+ * - Roots the tree (see checkTree) and records every node's depth
+ * - Builds ancestors[v][k] = 2^k-th ancestor of v one level k at a time
+ * - Lifts the deeper node to the same depth, then lifts both nodes by
+ *   decreasing powers of two while their ancestors differ
+ */
+export function runTreeLCA(nodes, edges, options = {}) {
+  const { isDirected = false, startNode, endNode } = options;
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  if (!startNode || !endNode) {
+    return [
+      {
+        finished: true,
+        result: "Select a start and an end node to find their LCA",
+      },
+    ];
+  }
+  const tree = checkTree(nodes, edges, isDirected);
+  if (tree.reason) return notATree(tree);
+  const { root, parent, depth, order } = tree;
+  const steps = [];
+
+  const shownDepths = {};
+  order.forEach((v, i) => {
+    shownDepths[v] = depth[v];
+    steps.push({
+      phase: "depth",
+      current: v,
+      visited: new Set(order.slice(0, i + 1)),
+      depths: { ...shownDepths },
+    });
+  });
+
+  const levels = Math.max(1, Math.ceil(Math.log2(nodes.length)));
+  const ancestors = {};
+  order.forEach((v) => {
+    ancestors[v] = [];
+  });
+  const copyAncestors = () => {
+    const out = {};
+    order.forEach((v) => {
+      out[v] = [...ancestors[v]];
+    });
+    return out;
+  };
+  for (let k = 0; k < levels; k++) {
+    order.forEach((v) => {
+      ancestors[v][k] =
+        k === 0 ? (parent[v] ?? v) : ancestors[ancestors[v][k - 1]][k - 1];
+    });
+    steps.push({
+      phase: "table",
+      current: null,
+      visited: new Set(order),
+      depths: { ...depth },
+      ancestors: copyAncestors(),
+    });
+  }
+
+  let a = startNode;
+  let b = endNode;
+  if (depth[a] < depth[b]) [a, b] = [b, a];
+  const liftLog = [];
+  const liftStep = (note) => {
+    liftLog.push(note);
+    steps.push({
+      phase: "lift",
+      current: a,
+      visited: new Set(order),
+      depths: { ...depth },
+      ancestors: copyAncestors(),
+      liftPointers: [a, b],
+      liftLog: [...liftLog],
+    });
+  };
+
+  liftStep(
+    `Start: ${label(a)} (depth ${depth[a]}), ${label(b)} (depth ${depth[b]})`,
+  );
+  const diff = depth[a] - depth[b];
+  for (let k = 0; k < levels; k++) {
+    if (!(diff & (1 << k))) continue;
+    const from = a;
+    a = ancestors[a][k];
+    liftStep(`${label(from)} ↑${1 << k} → ${label(a)}`);
+  }
+  if (a !== b) {
+    for (let k = levels - 1; k >= 0; k--) {
+      if (ancestors[a][k] === ancestors[b][k]) continue;
+      const [fromA, fromB] = [a, b];
+      a = ancestors[a][k];
+      b = ancestors[b][k];
+      liftStep(
+        `${label(fromA)}, ${label(fromB)} ↑${1 << k} → ${label(a)}, ${label(b)}`,
+      );
+    }
+    a = parent[a];
+    b = a;
+    liftStep(`Parents meet at ${label(a)}`);
+  }
+  const lca = a;
+
+  const up = (v) => {
+    const path = [v];
+    while (path[path.length - 1] !== lca)
+      path.push(parent[path[path.length - 1]]);
+    return path;
+  };
+  const path = [...up(startNode), ...up(endNode).reverse().slice(1)];
+  const pathEdges = treePathEdges(tree, path);
+
+  steps.push({
+    phase: "finished",
+    current: lca,
+    visited: new Set(order),
+    depths: { ...depth },
+    ancestors: copyAncestors(),
+    liftPointers: [],
+    liftLog: [...liftLog],
+    path,
+    pathEdges,
+    finished: true,
+    result: `LCA(${label(startNode)}, ${label(endNode)}) = ${label(lca)} (rooted at ${label(root)}); path length ${path.length - 1}`,
+  });
+  return steps;
+}
+
+/**
+ * Tree diameter by double BFS
+ * - A BFS from any node ends at a node that is one end of a longest path
+ * - A second BFS from that end reaches the other end
+ * - Lengths count edges; edge direction is ignored once the tree is checked
+ */
+export function runTreeDiameter(nodes, edges, options = {}) {
+  const { isDirected = false } = options;
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const tree = checkTree(nodes, edges, isDirected);
+  if (tree.reason) return notATree(tree);
+  const adj = buildAdjacency(nodes, edges, false, false);
+  const steps = [];
+
+  const bfs = (source, phase) => {
+    const distances = { [source]: 0 };
+    const previous = { [source]: null };
+    const visited = new Set();
+    const queue = [source];
+    let farthest = source;
+    while (queue.length) {
+      const u = queue.shift();
+      visited.add(u);
+      if (distances[u] > distances[farthest]) farthest = u;
+      adj[u].forEach((v) => {
+        if (distances[v] !== undefined) return;
+        distances[v] = distances[u] + 1;
+        previous[v] = u;
+        queue.push(v);
+      });
+      steps.push({
+        phase,
+        current: u,
+        visited: new Set(visited),
+        queue: [...queue],
+        distances: { ...distances },
+        path: buildPath(previous, farthest),
+        pathEdges: treePathEdges(tree, buildPath(previous, farthest)),
+      });
+    }
+    return { distances, previous, farthest };
+  };
+
+  const first = bfs(tree.root, "bfs1");
+  const second = bfs(first.farthest, "bfs2");
+  const path = buildPath(second.previous, second.farthest);
+  steps.push({
+    phase: "finished",
+    current: null,
+    visited: new Set(nodes.map((n) => n.id)),
+    queue: [],
+    distances: second.distances,
+    path,
+    pathEdges: treePathEdges(tree, path),
+    finished: true,
+    result: `Diameter ${path.length - 1}: ${path.map(label).join(" → ")}`,
+  });
+  return steps;
+}
+
+/**
+ * Tree center by leaf peeling
+ * - Removes all current leaves in rounds, like peeling an onion
+ * - The one or two nodes left when at most two remain form the center
+ * - Edge direction is ignored once the tree is checked
+ */
+export function runTreeCenter(nodes, edges, options = {}) {
+  const { isDirected = false } = options;
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const tree = checkTree(nodes, edges, isDirected);
+  if (tree.reason) return notATree(tree);
+  const inc = buildIncidence(nodes, edges, false);
+  const steps = [];
+
+  const degree = {};
+  nodes.forEach((n) => {
+    degree[n.id] = inc[n.id].length;
+  });
+  const peeled = new Set();
+  const edgeStates = {};
+  let leaves = nodes.filter((n) => degree[n.id] <= 1).map((n) => n.id);
+  let remaining = nodes.length;
+  let round = 0;
+
+  while (remaining > 2) {
+    round++;
+    const layer = leaves;
+    const considering = {};
+    layer.forEach((leaf) => {
+      inc[leaf].forEach(({ edge, node }) => {
+        if (!peeled.has(node)) considering[edge.id] = "considering";
+      });
+    });
+    steps.push({
+      phase: "peel",
+      current: null,
+      visited: new Set(),
+      leafLayer: [...layer],
+      peeledNodes: [...peeled],
+      peelRound: round,
+      edgeStates: { ...edgeStates, ...considering },
+    });
+
+    const next = [];
+    layer.forEach((leaf) => {
+      peeled.add(leaf);
+      inc[leaf].forEach(({ edge, node }) => {
+        if (peeled.has(node)) return;
+        edgeStates[edge.id] = "removed";
+        degree[node]--;
+        if (degree[node] === 1) next.push(node);
+      });
+    });
+    remaining -= layer.length;
+    leaves = next;
+  }
+
+  const center = nodes.map((n) => n.id).filter((id) => !peeled.has(id));
+  const radius = center.length === 2 ? round + 1 : round;
+  steps.push({
+    phase: "finished",
+    current: null,
+    visited: new Set(center),
+    leafLayer: [],
+    peeledNodes: [...peeled],
+    peelRound: round,
+    edgeStates: { ...edgeStates },
+    finished: true,
+    result: `Center: ${center.map(label).join(" and ")} (radius ${radius}, ${round} peeling round${
+      round === 1 ? "" : "s"
+    })`,
+  });
+  return steps;
+}
+
+/**
+ * Euler tour of a rooted tree
+ * - DFS that writes a node on entry and again after returning from each child,
+ *   giving 2V - 1 entries with a parallel depth array
+ * - With start and end nodes selected, the shallowest entry between their
+ *   first occurrences is their LCA (the range-minimum view of LCA)
+ */
+export function runEulerTour(nodes, edges, options = {}) {
+  const { isDirected = false, startNode, endNode } = options;
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const tree = checkTree(nodes, edges, isDirected);
+  if (tree.reason) return notATree(tree);
+  const { root, children, parentEdge, depth } = tree;
+  const steps = [];
+
+  const tour = [];
+  const tourDepths = [];
+  const first = {};
+  const stack = [];
+  const edgeStates = {};
+  const record = (u) => {
+    if (first[u] === undefined) first[u] = tour.length;
+    tour.push(u);
+    tourDepths.push(depth[u]);
+    steps.push({
+      phase: "tour",
+      current: u,
+      visited: new Set(Object.keys(first)),
+      dfsStack: [...stack],
+      edgeStates: { ...edgeStates },
+      eulerTour: [...tour],
+      tourDepths: [...tourDepths],
+    });
+  };
+  const visit = (u) => {
+    stack.push(u);
+    record(u);
+    children[u].forEach((c) => {
+      edgeStates[parentEdge[c]] = "considering";
+      visit(c);
+      edgeStates[parentEdge[c]] = "mst";
+      record(u);
+    });
+    stack.pop();
+  };
+  visit(root);
+
+  let result = `Euler tour from ${label(root)} (${tour.length} entries): ${tour
+    .map(label)
+    .join(" ")}`;
+  let tourRange = null;
+  if (
+    startNode &&
+    endNode &&
+    first[startNode] !== undefined &&
+    first[endNode] !== undefined
+  ) {
+    const lo = Math.min(first[startNode], first[endNode]);
+    const hi = Math.max(first[startNode], first[endNode]);
+    let best = lo;
+    for (let i = lo; i <= hi; i++) {
+      if (tourDepths[i] < tourDepths[best]) best = i;
+    }
+    tourRange = { from: lo, to: hi, min: best };
+    result += `; LCA(${label(startNode)}, ${label(endNode)}) = ${label(
+      tour[best],
+    )} (shallowest entry in positions ${lo}–${hi})`;
+  }
+
+  steps.push({
+    phase: "finished",
+    current: tourRange ? tour[tourRange.min] : null,
+    visited: new Set(tour),
+    dfsStack: [],
+    edgeStates: { ...edgeStates },
+    eulerTour: tour,
+    tourDepths,
+    tourRange,
+    finished: true,
+    result,
+  });
+  return steps;
+}
+
+/**
+ * Prim's algorithm (lazy variant with an edge priority queue)
+ * - Grows a single tree from startNode (or the first node when none is selected)
+ * - Steps expose the frontier so the priority queue can be inspected
+ */
+export function runPrim(nodes, edges, options = {}) {
+  const { isDirected = false, startNode } = options;
+  const steps = [];
+
+  if (isDirected) {
+    steps.push({
+      finished: true,
+      result:
+        "Minimum spanning tree requires an undirected graph. Disable 'Directed Graph' mode.",
+    });
+    return steps;
+  }
+
+  if (nodes.length === 0) {
+    steps.push({ finished: true });
+    return steps;
+  }
+
+  const root = nodes.some((n) => n.id === startNode) ? startNode : nodes[0].id;
+  const inc = buildIncidence(nodes, edges, false);
+  const inTree = new Set([root]);
+  const edgeStates = {};
+  const acceptedEdges = [];
+  const rejectedEdges = [];
+  const frontier = [];
+  let totalWeight = 0;
+
+  const pushFrontier = (u) => {
+    (inc[u] || []).forEach(({ edge, node: v }) => {
+      if (!inTree.has(v)) frontier.push({ ...edge, from: u, to: v });
+    });
+    // Keep the queue ordered by weight so the UI can show it as-is
+    frontier.sort((a, b) => a.weight - b.weight);
+  };
+
+  const snapshot = (extra = {}) => ({
+    visited: new Set(inTree),
+    frontier: frontier.map((e) => ({ ...e })),
+    acceptedEdges: [...acceptedEdges],
+    rejectedEdges: [...rejectedEdges],
+    edgeStates: { ...edgeStates },
+    currentEdge: null,
+    ...extra,
+  });
+
+  pushFrontier(root);
+  steps.push(snapshot({ current: root }));
+
+  while (frontier.length && inTree.size < nodes.length) {
+    const e = frontier.shift();
+    edgeStates[e.id] = "considering";
+    steps.push(snapshot({ current: e.to, currentEdge: e }));
+
+    if (inTree.has(e.to)) {
+      // Stale entry: both endpoints joined the tree after it was queued
+      edgeStates[e.id] = "rejected";
+      rejectedEdges.push(e);
+      steps.push(snapshot({ current: e.to, currentEdge: e }));
+      continue;
+    }
+
+    edgeStates[e.id] = "mst";
+    acceptedEdges.push(e);
+    totalWeight += e.weight;
+    inTree.add(e.to);
+    pushFrontier(e.to);
+    steps.push(snapshot({ current: e.to, currentEdge: e }));
+  }
+
+  const spansAll = inTree.size === nodes.length;
+  steps.push({
+    ...snapshot({ current: null }),
+    finished: true,
+    result: spansAll
+      ? `MST weight: ${totalWeight} (${acceptedEdges.length} edges)`
+      : `Graph is disconnected: tree spans ${inTree.size} of ${nodes.length} nodes, weight ${totalWeight}`,
+  });
+
+  return steps;
+}
+
+/**
+ * Kruskal's algorithm with a union-find (disjoint-set) forest
+ * - Union by rank with path halving
+ * - Steps expose the sorted edge list, the edge being considered and the forest
+ */
+export function runKruskal(nodes, edges, options = {}) {
+  const { isDirected = false } = options;
+  const steps = [];
+
+  if (isDirected) {
+    steps.push({
+      finished: true,
+      result:
+        "Minimum spanning tree requires an undirected graph. Disable 'Directed Graph' mode.",
+    });
+    return steps;
+  }
+
+  if (nodes.length === 0) {
+    steps.push({ finished: true });
+    return steps;
+  }
+
+  const sortedEdges = edges
+    .map(describeEdge)
+    .sort((a, b) => a.weight - b.weight);
+
+  const parent = {};
+  const rank = {};
+  nodes.forEach((n) => {
+    parent[n.id] = n.id;
+    rank[n.id] = 0;
+  });
+
+  const find = (x) => {
+    while (parent[x] !== x) {
+      parent[x] = parent[parent[x]];
+      x = parent[x];
+    }
+    return x;
+  };
+
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra === rb) return false;
+    if (rank[ra] < rank[rb]) parent[ra] = rb;
+    else if (rank[ra] > rank[rb]) parent[rb] = ra;
+    else {
+      parent[rb] = ra;
+      rank[ra]++;
+    }
+    return true;
+  };
+
+  const edgeStates = {};
+  const acceptedEdges = [];
+  const rejectedEdges = [];
+  const touched = new Set();
+  let totalWeight = 0;
+
+  const snapshot = (extra = {}) => ({
+    visited: new Set(touched),
+    sortedEdges,
+    acceptedEdges: [...acceptedEdges],
+    rejectedEdges: [...rejectedEdges],
+    edgeStates: { ...edgeStates },
+    disjointSet: { ...parent },
+    currentEdge: null,
+    ...extra,
+  });
+
+  steps.push(snapshot({ current: null }));
+
+  for (const e of sortedEdges) {
+    if (acceptedEdges.length === nodes.length - 1) break;
+
+    edgeStates[e.id] = "considering";
+    steps.push(snapshot({ current: e.from, currentEdge: e }));
+
+    if (union(e.from, e.to)) {
+      edgeStates[e.id] = "mst";
+      acceptedEdges.push(e);
+      totalWeight += e.weight;
+      touched.add(e.from);
+      touched.add(e.to);
+    } else {
+      edgeStates[e.id] = "rejected";
+      rejectedEdges.push(e);
+    }
+    steps.push(snapshot({ current: e.from, currentEdge: e }));
+  }
+
+  const components = new Set(nodes.map((n) => find(n.id))).size;
+  steps.push({
+    ...snapshot({ current: null }),
+    finished: true,
+    result:
+      components === 1
+        ? `MST weight: ${totalWeight} (${acceptedEdges.length} edges)`
+        : `Graph is disconnected: spanning forest of ${components} trees, weight ${totalWeight}`,
+  });
+
+  return steps;
+}
+
+/**
+ * Chu–Liu/Edmonds minimum arborescence (directed MST) rooted at startNode
+ * - Select: every node except the root picks its cheapest incoming edge
+ * - Contract: if the picks form a cycle, it becomes one super-node; an edge
+ *   entering the cycle at v costs w - (cheapest incoming weight of v), which
+ *   is the price of swapping v's cycle edge for it. Repeat on the smaller graph.
+ * - Expand: the edge chosen into a super-node breaks its cycle at the node
+ *   it enters; the remaining cycle edges stay in the arborescence
+ * - Steps are shown on the original graph: contractedNodes lists the live
+ *   super-nodes and reweighted holds the adjusted entering weights
+ */
+export function runChuLiuEdmonds(nodes, edges, options = {}) {
+  const isDirected =
+    options.isDirected !== undefined ? options.isDirected : true;
+  const { startNode } = options;
+  if (!isDirected) {
+    return [
+      {
+        finished: true,
+        result:
+          "Minimum arborescence requires a directed graph. Enable 'Directed Graph' mode.",
+      },
+    ];
+  }
+  if (!startNode || !nodes.some((n) => n.id === startNode)) {
+    return [{ finished: true }];
+  }
+
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const steps = [];
+  const contracted = [];
+  const edgeStates = {};
+  let reweighted = {};
+
+  const snapshot = (phase, level, extra = {}) => ({
+    phase,
+    contractionLevel: level,
+    contractedNodes: contracted.map((c) => ({ ...c })),
+    reweighted: { ...reweighted },
+    edgeStates: { ...edgeStates },
+    current: null,
+    ...extra,
+  });
+
+  // Edges at every level keep the original edge id (`orig`) and the edge
+  // one level up (`base`) so the result can be mapped back while expanding
+  const solve = (levelNodes, levelEdges, root, level, members) => {
+    const cheapest = {};
+    for (const v of levelNodes) {
+      if (v === root) continue;
+      levelEdges.forEach((e) => {
+        if (e.to === v && e.from !== v) {
+          if (!cheapest[v] || e.weight < cheapest[v].weight) cheapest[v] = e;
+        }
+      });
+      if (!cheapest[v]) return { missing: members[v] };
+      edgeStates[cheapest[v].orig] = "mst";
+      steps.push(
+        snapshot("select", level, {
+          current: members[v].length === 1 ? members[v][0] : null,
+          edgeStates: { ...edgeStates, [cheapest[v].orig]: "considering" },
+        }),
+      );
+    }
+
+    // Follow the picks backwards from each node to find a cycle
+    let cycle = null;
+    const state = {};
+    for (const start of levelNodes) {
+      const walk = [];
+      let v = start;
+      while (v !== root && state[v] === undefined) {
+        state[v] = start;
+        walk.push(v);
+        v = cheapest[v].from;
+      }
+      if (v !== root && state[v] === start) {
+        cycle = walk.slice(walk.indexOf(v));
+        break;
+      }
+    }
+    if (!cycle) {
+      return { chosen: Object.values(cheapest) };
+    }
+
+    // Contract the cycle into a super-node
+    const inCycle = new Set(cycle);
+    const superId = `__super_${level}`;
+    const superMembers = cycle.flatMap((v) => members[v]);
+    cycle.forEach((v) => {
+      edgeStates[cheapest[v].orig] = "cycle";
+    });
+    steps.push(snapshot("cycle", level));
+
+    const nextEdges = [];
+    levelEdges.forEach((e) => {
+      const fromIn = inCycle.has(e.from);
+      const toIn = inCycle.has(e.to);
+      if (fromIn && toIn) return;
+      if (toIn) {
+        const weight = e.weight - cheapest[e.to].weight;
+        nextEdges.push({ ...e, to: superId, weight, base: e });
+        reweighted[e.orig] = weight;
+      } else {
+        nextEdges.push({ ...e, from: fromIn ? superId : e.from, base: e });
+      }
+    });
+    contracted.push({
+      id: superId,
+      label: `C${contracted.length + 1}`,
+      members: superMembers,
+    });
+    Object.keys(edgeStates).forEach((id) => {
+      if (edgeStates[id] === "mst") delete edgeStates[id];
+    });
+    steps.push(snapshot("contract", level + 1));
+
+    const nextMembers = { ...members, [superId]: superMembers };
+    const inner = solve(
+      [...levelNodes.filter((v) => !inCycle.has(v)), superId],
+      nextEdges,
+      root,
+      level + 1,
+      nextMembers,
+    );
+    if (inner.missing) return inner;
+
+    // Expand: map the inner arborescence back and break the cycle
+    const chosen = inner.chosen.map((e) => e.base);
+    const entering = chosen.find((e) => inCycle.has(e.to));
+    cycle.forEach((v) => {
+      if (v !== entering.to) chosen.push(cheapest[v]);
+    });
+    contracted.pop();
+    reweighted = {};
+    Object.keys(edgeStates).forEach((id) => delete edgeStates[id]);
+    chosen.forEach((e) => {
+      edgeStates[e.orig] = "mst";
+    });
+    edgeStates[cheapest[entering.to].orig] = "rejected";
+    steps.push(
+      snapshot("expand", level, {
+        current: members[entering.to].length === 1 ? entering.to : null,
+      }),
+    );
+    delete edgeStates[cheapest[entering.to].orig];
+    return { chosen };
+  };
+
+  const ids = nodes.map((n) => n.id);
+  const members = {};
+  ids.forEach((id) => {
+    members[id] = [id];
+  });
+  const levelEdges = edges
+    .map(describeEdge)
+    .map((e) => ({ ...e, orig: e.id }))
+    .filter((e) => e.from !== e.to && e.to !== startNode);
+
+  const { chosen, missing } = solve(ids, levelEdges, startNode, 0, members);
+  if (missing) {
+    steps.push({
+      ...snapshot("finished", 0),
+      contractedNodes: [],
+      reweighted: {},
+      edgeStates: {},
+      finished: true,
+      result: `No arborescence from ${label(startNode)}: ${missing
+        .map(label)
+        .join(", ")} cannot be reached`,
+    });
+    return steps;
+  }
+
+  const total = chosen.reduce((sum, e) => sum + e.weight, 0);
+  const finalStates = {};
+  chosen.forEach((e) => {
+    finalStates[e.orig] = "mst";
+  });
+  steps.push({
+    ...snapshot("finished", 0),
+    contractedNodes: [],
+    reweighted: {},
+    edgeStates: finalStates,
+    visited: new Set(ids),
+    finished: true,
+    result: `Minimum arborescence from ${label(startNode)}: weight ${total} (${chosen.length} edges)`,
+  });
+  return steps;
+}
+
+/**
+ * Floyd-Warshall (all-pairs shortest paths)
+ * - One step per (k, i, j) relaxation where both d[i][k] and d[k][j] are finite
+ * - nextMatrix[i][j] holds the first hop on the shortest i -> j path
+ * - A negative value on the diagonal means i lies on a negative cycle
+ */
+export function runFloydWarshall(nodes, edges, options = {}) {
+  const { isDirected = false } = options;
+  const steps = [];
+
+  if (nodes.length === 0) {
+    steps.push({ finished: true });
+    return steps;
+  }
+
+  const ids = nodes.map((n) => n.id);
+  const index = {};
+  ids.forEach((id, i) => {
+    index[id] = i;
+  });
+  const n = ids.length;
+
+  const dist = ids.map((_, i) => ids.map((__, j) => (i === j ? 0 : Infinity)));
+  const next = ids.map((_, i) => ids.map((__, j) => (i === j ? ids[i] : null)));
+
+  const relaxEdge = (from, to, weight) => {
+    const i = index[from];
+    const j = index[to];
+    if (i === undefined || j === undefined) return;
+    // Keep the cheapest of parallel edges; a negative self-loop is a negative cycle
+    if (weight < dist[i][j]) {
+      dist[i][j] = weight;
+      next[i][j] = to;
+    }
+  };
+  edges.forEach((e) => {
+    const w = e.weight ?? 1;
+    relaxEdge(e.from, e.to, w);
+    if (!isDirected) relaxEdge(e.to, e.from, w);
+  });
+
+  const negativeCycleNodes = () => ids.filter((id, i) => dist[i][i] < 0);
+
+  const snapshot = (k, cell) => ({
+    visited: new Set(ids.slice(0, k)),
+    current: k < n ? ids[k] : null,
+    matrixNodes: ids,
+    distMatrix: dist.map((row) => row.slice()),
+    nextMatrix: next.map((row) => row.slice()),
+    matrixCell: cell,
+    negativeCycleNodes: negativeCycleNodes(),
+  });
+
+  steps.push(snapshot(0, null));
+
+  for (let k = 0; k < n; k++) {
+    for (let i = 0; i < n; i++) {
+      if (dist[i][k] === Infinity) continue;
+      for (let j = 0; j < n; j++) {
+        if (dist[k][j] === Infinity) continue;
+        const candidate = dist[i][k] + dist[k][j];
+        const updated = candidate < dist[i][j];
+        if (updated) {
+          dist[i][j] = candidate;
+          next[i][j] = next[i][k];
+        }
+        steps.push(snapshot(k, { k, i, j, updated }));
+      }
+    }
+  }
+
+  const cycleNodes = negativeCycleNodes();
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  steps.push({
+    ...snapshot(n, null),
+    finished: true,
+    result:
+      cycleNodes.length > 0
+        ? `Negative cycle detected (through ${cycleNodes.map(label).join(", ")})`
+        : "All-pairs shortest paths computed. Click a matrix cell to show its path.",
+  });
+
+  return steps;
+}
+
+/**
+ * Johnson's algorithm (all-pairs shortest paths, negative weights allowed)
+ * - Potentials: runBellmanFord from a virtual source joined to every node by
+ *   a 0-weight edge; h(v) is its distance (<= 0)
+ * - Reweighting: w'(u, v) = w(u, v) + h(u) - h(v) is never negative, so
+ *   Dijkstra becomes valid; shortest paths keep the same shape
+ * - runDijkstra from every node on the reweighted edges, undoing the shift
+ *   with d(s, v) = d'(s, v) - h(s) + h(v)
+ * - Fills the same matrixNodes / distMatrix / nextMatrix as Floyd-Warshall,
+ *   one row per Dijkstra run
+ */
+export function runJohnson(nodes, edges, options = {}) {
+  const { isDirected = false } = options;
+  if (nodes.length === 0) return [{ finished: true }];
+
+  const ids = nodes.map((n) => n.id);
+  const index = {};
+  ids.forEach((id, i) => {
+    index[id] = i;
+  });
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+
+  // Undirected edges become two arcs so the virtual source stays one-way
+  const arcs = edges.map(describeEdge);
+  if (!isDirected) {
+    edges.map(describeEdge).forEach((e) => {
+      arcs.push({ ...e, from: e.to, to: e.from });
+    });
+  }
+
+  let source = "__johnson_source__";
+  while (index[source] !== undefined) source += "_";
+  const strip = (obj) => {
+    const out = {};
+    Object.keys(obj).forEach((id) => {
+      if (id !== source) out[id] = obj[id];
+    });
+    return out;
+  };
+
+  const dist = ids.map((_, i) => ids.map((__, j) => (i === j ? 0 : Infinity)));
+  const next = ids.map((_, i) => ids.map((__, j) => (i === j ? ids[i] : null)));
+  const matrix = () => ({
+    matrixNodes: ids,
+    distMatrix: dist.map((row) => row.slice()),
+    nextMatrix: next.map((row) => row.slice()),
+    matrixCell: null,
+  });
+
+  const steps = [];
+
+  // Phase 1: potentials from Bellman-Ford on the augmented graph
+  const bellmanFord = runBellmanFord(
+    [...nodes, { id: source }],
+    [...arcs, ...ids.map((id) => ({ from: source, to: id, weight: 0 }))],
+    { isDirected: true, startNode: source },
+  );
+  bellmanFord.forEach((s) => {
+    if (s.finished) return;
+    steps.push({
+      phase: "potentials",
+      current: s.current === source ? null : s.current,
+      potentials: strip(s.distances),
+      visited: new Set(),
+      ...matrix(),
+    });
+  });
+  const bfLast = bellmanFord[bellmanFord.length - 1];
+  const h = strip(bfLast.distances);
+  if (bfLast.result === "Negative cycle detected") {
+    steps.push({
+      phase: "finished",
+      potentials: h,
+      ...matrix(),
+      finished: true,
+      result:
+        "Negative cycle detected by Bellman-Ford (Johnson's algorithm needs a graph without negative cycles)",
+    });
+    return steps;
+  }
+
+  // Phase 2: reweight every edge with the potentials
+  const reweighted = {};
+  const reweightedArcs = arcs.map((e) => ({
+    ...e,
+    weight: e.weight + h[e.from] - h[e.to],
+  }));
+  edges.map(describeEdge).forEach((e) => {
+    reweighted[e.id] = e.weight + h[e.from] - h[e.to];
+    steps.push({
+      phase: "reweight",
+      current: e.from,
+      potentials: h,
+      reweighted: { ...reweighted },
+      edgeStates: { [e.id]: "considering" },
+      visited: new Set(),
+      ...matrix(),
+    });
+  });
+
+  // Phase 3: Dijkstra from every node, shifting distances back
+  const done = new Set();
+  ids.forEach((s) => {
+    const real = (distances) => {
+      const out = {};
+      Object.keys(distances).forEach((v) => {
+        out[v] =
+          distances[v] === Infinity ? Infinity : distances[v] - h[s] + h[v];
+      });
+      return out;
+    };
+    const run = runDijkstra(nodes, reweightedArcs, {
+      isDirected: true,
+      startNode: s,
+    });
+    run.forEach((d) => {
+      if (d.finished) return;
+      steps.push({
+        phase: "dijkstra",
+        dijkstraSource: s,
+        current: d.current,
+        path: d.path,
+        distances: real(d.distances),
+        potentials: h,
+        reweighted,
+        visited: new Set(done),
+        ...matrix(),
+      });
+    });
+
+    const { distances, previous } = run[run.length - 1];
+    const i = index[s];
+    ids.forEach((v, j) => {
+      if (v === s || distances[v] === Infinity) return;
+      dist[i][j] = distances[v] - h[s] + h[v];
+      let hop = v;
+      while (previous[hop] !== s) hop = previous[hop];
+      next[i][j] = hop;
+    });
+    done.add(s);
+    steps.push({
+      phase: "dijkstra",
+      dijkstraSource: s,
+      current: s,
+      distances: real(distances),
+      potentials: h,
+      reweighted,
+      visited: new Set(done),
+      ...matrix(),
+    });
+  });
+
+  steps.push({
+    phase: "finished",
+    current: null,
+    potentials: h,
+    reweighted,
+    visited: new Set(ids),
+    ...matrix(),
+    finished: true,
+    result: `All-pairs shortest paths computed with ${ids.length} Dijkstra runs (potentials ${ids
+      .map((id) => `h(${label(id)}) = ${h[id]}`)
+      .join(", ")}). Click a matrix cell to show its path.`,
+  });
+  return steps;
+}
+
+/**
+ * Flow network shared by the flow algorithms. Every edge becomes a pair
+ * of arcs: forward (index 2i, capacity = edge.capacity, else weight) and
+ * reverse (2i + 1, capacity 0). Forward arcs cost edge.cost per unit
+ * (default 0), reverse arcs the negated cost. arcs[a ^ 1] is always the
+ * partner of arc a.
+ */
+function buildFlowNetwork(nodes, edges) {
+  const arcs = [];
+  const out = {};
+  nodes.forEach((n) => {
+    out[n.id] = [];
+  });
+  edges.forEach((e) => {
+    const id = edgeKey(e);
+    const cap = Math.max(0, e.capacity ?? e.weight ?? 1);
+    const cost = e.cost ?? 0;
+    if (!out[e.from]) out[e.from] = [];
+    if (!out[e.to]) out[e.to] = [];
+    out[e.from].push(arcs.length);
+    arcs.push({
+      id: `${id}:f`,
+      edgeId: id,
+      from: e.from,
+      to: e.to,
+      cap,
+      cost,
+      flow: 0,
+      reverse: false,
+    });
+    out[e.to].push(arcs.length);
+    arcs.push({
+      id: `${id}:r`,
+      edgeId: id,
+      from: e.to,
+      to: e.from,
+      cap: 0,
+      cost: -cost,
+      flow: 0,
+      reverse: true,
+    });
+  });
+
+  const residual = (a) => arcs[a].cap - arcs[a].flow;
+  const augment = (a, amount) => {
+    arcs[a].flow += amount;
+    arcs[a ^ 1].flow -= amount;
+  };
+
+  // { edgeId: { flow, capacity, cost? } } for the original edges
+  const edgeFlows = (withCost = false) => {
+    const flows = {};
+    arcs.forEach((a) => {
+      if (a.reverse) return;
+      flows[a.edgeId] = withCost
+        ? { flow: a.flow, capacity: a.cap, cost: a.cost }
+        : { flow: a.flow, capacity: a.cap };
+    });
+    return flows;
+  };
+
+  // Arcs with spare capacity, drawn in place of the edges when showResidual is set
+  const residualEdges = () =>
+    arcs
+      .map((a, i) => ({ a, res: residual(i) }))
+      .filter(({ res }) => res > 0)
+      .map(({ a, res }) => ({
+        id: a.id,
+        edgeId: a.edgeId,
+        from: a.from,
+        to: a.to,
+        weight: res,
+        reverse: a.reverse,
+      }));
+
+  // Nodes reachable from source in the residual graph form the source side of a min cut
+  const minCut = (source) => {
+    const sourceSide = new Set([source]);
+    const queue = [source];
+    while (queue.length) {
+      const u = queue.shift();
+      (out[u] || []).forEach((a) => {
+        if (residual(a) > 0 && !sourceSide.has(arcs[a].to)) {
+          sourceSide.add(arcs[a].to);
+          queue.push(arcs[a].to);
+        }
+      });
+    }
+    const cutEdges = arcs
+      .filter(
+        (a) => !a.reverse && sourceSide.has(a.from) && !sourceSide.has(a.to),
+      )
+      .map((a) => ({ id: a.edgeId, from: a.from, to: a.to, weight: a.cap }));
+    return {
+      sourceSide: [...sourceSide],
+      edges: cutEdges,
+      capacity: cutEdges.reduce((sum, e) => sum + e.weight, 0),
+    };
+  };
+
+  return { arcs, out, residual, augment, edgeFlows, residualEdges, minCut };
+}
+
+/**
+ * Shared validation and final min-cut step for max-flow algorithms.
+ * Returns an early-exit step list, or null when the inputs are usable.
+ */
+function validateFlowInput(nodes, options) {
+  const { isDirected = false, startNode, endNode } = options;
+  if (!isDirected) {
+    return [
+      {
+        finished: true,
+        result:
+          "Maximum flow requires a directed graph. Enable 'Directed Graph' mode.",
+      },
+    ];
+  }
+  if (
+    !nodes.some((n) => n.id === startNode) ||
+    !nodes.some((n) => n.id === endNode)
+  ) {
+    return [{ finished: true }];
+  }
+  if (startNode === endNode) {
+    return [
+      {
+        finished: true,
+        result: "Source and sink must be different nodes.",
+      },
+    ];
+  }
+  return null;
+}
+
+function flowCutStep(net, source, maxFlow) {
+  const minCut = net.minCut(source);
+  const edgeStates = {};
+  minCut.edges.forEach((e) => {
+    edgeStates[e.id] = "cut";
+  });
+  return {
+    phase: "finished",
+    showResidual: false,
+    visited: new Set(minCut.sourceSide),
+    current: null,
+    path: [],
+    levels: {},
+    augmentingPath: [],
+    edgeFlows: net.edgeFlows(),
+    residualEdges: net.residualEdges(),
+    edgeStates,
+    minCut,
+    maxFlow,
+    finished: true,
+    result: `Max flow: ${maxFlow} (min cut capacity ${minCut.capacity})`,
+  };
+}
+
+/**
+ * Maximum flow - Edmonds-Karp (BFS shortest augmenting paths)
+ * - startNode is the source, endNode the sink, edge capacity (else weight)
+ *   the capacity
+ * - Alternates between a BFS over the residual graph (showResidual) and
+ *   augmenting along the path it found
+ */
+export function runEdmondsKarp(nodes, edges, options = {}) {
+  const invalid = validateFlowInput(nodes, options);
+  if (invalid) return invalid;
+
+  const { startNode: source, endNode: sink } = options;
+  const net = buildFlowNetwork(nodes, edges);
+  const steps = [];
+  let maxFlow = 0;
+
+  const snapshot = (extra) => ({
+    edgeFlows: net.edgeFlows(),
+    residualEdges: net.residualEdges(),
+    levels: {},
+    maxFlow,
+    ...extra,
+  });
+
+  steps.push(
+    snapshot({
+      phase: "init",
+      showResidual: false,
+      visited: new Set(),
+      current: source,
+      edgeStates: {},
+      augmentingPath: [],
+    }),
+  );
+
+  for (;;) {
+    const prevArc = {};
+    const visited = new Set([source]);
+    const queue = [source];
+    steps.push(
+      snapshot({
+        phase: "bfs",
+        showResidual: true,
+        visited: new Set(visited),
+        current: source,
+        queue: [...queue],
+        edgeStates: {},
+        augmentingPath: [],
+      }),
+    );
+
+    while (queue.length && !visited.has(sink)) {
+      const u = queue.shift();
+      for (const a of net.out[u] || []) {
+        const v = net.arcs[a].to;
+        if (net.residual(a) > 0 && !visited.has(v)) {
+          visited.add(v);
+          prevArc[v] = a;
+          queue.push(v);
+          steps.push(
+            snapshot({
+              phase: "bfs",
+              showResidual: true,
+              visited: new Set(visited),
+              current: v,
+              queue: [...queue],
+              edgeStates: { [net.arcs[a].id]: "considering" },
+              augmentingPath: [],
+            }),
+          );
+          if (v === sink) break;
+        }
+      }
+    }
+
+    if (!visited.has(sink)) break;
+
+    const pathArcs = [];
+    for (let v = sink; v !== source; v = net.arcs[prevArc[v]].from) {
+      pathArcs.unshift(prevArc[v]);
+    }
+    const bottleneck = Math.min(...pathArcs.map((a) => net.residual(a)));
+    pathArcs.forEach((a) => net.augment(a, bottleneck));
+    maxFlow += bottleneck;
+
+    const edgeStates = {};
+    pathArcs.forEach((a) => {
+      edgeStates[net.arcs[a].edgeId] = "augmenting";
+    });
+    steps.push(
+      snapshot({
+        phase: "augment",
+        showResidual: false,
+        visited: new Set(visited),
+        current: sink,
+        queue: [],
+        edgeStates,
+        augmentingPath: [source, ...pathArcs.map((a) => net.arcs[a].to)],
+        bottleneck,
+      }),
+    );
+  }
+
+  steps.push(flowCutStep(net, source, maxFlow));
+  return steps;
+}
+
+/**
+ * Maximum flow - Dinic's algorithm
+ * - Builds a BFS level graph over the residual graph, then pushes a blocking
+ *   flow along strictly level-increasing arcs using per-node arc pointers
+ */
+export function runDinic(nodes, edges, options = {}) {
+  const invalid = validateFlowInput(nodes, options);
+  if (invalid) return invalid;
+
+  const { startNode: source, endNode: sink } = options;
+  const net = buildFlowNetwork(nodes, edges);
+  const steps = [];
+  let maxFlow = 0;
+
+  const snapshot = (extra) => ({
+    edgeFlows: net.edgeFlows(),
+    residualEdges: net.residualEdges(),
+    maxFlow,
+    ...extra,
+  });
+
+  steps.push(
+    snapshot({
+      phase: "init",
+      showResidual: false,
+      visited: new Set(),
+      current: source,
+      levels: {},
+      edgeStates: {},
+      augmentingPath: [],
+    }),
+  );
+
+  for (;;) {
+    const levels = { [source]: 0 };
+    const queue = [source];
+    while (queue.length) {
+      const u = queue.shift();
+      (net.out[u] || []).forEach((a) => {
+        const v = net.arcs[a].to;
+        if (net.residual(a) > 0 && levels[v] === undefined) {
+          levels[v] = levels[u] + 1;
+          queue.push(v);
+        }
+      });
+    }
+
+    const inLevelGraph = (a) =>
+      net.residual(a) > 0 &&
+      levels[net.arcs[a].from] !== undefined &&
+      levels[net.arcs[a].to] === levels[net.arcs[a].from] + 1;
+
+    const levelStates = {};
+    net.arcs.forEach((arc, a) => {
+      if (inLevelGraph(a)) levelStates[arc.id] = "level";
+    });
+    steps.push(
+      snapshot({
+        phase: "levelGraph",
+        showResidual: true,
+        visited: new Set(Object.keys(levels)),
+        current: source,
+        levels: { ...levels },
+        edgeStates: levelStates,
+        augmentingPath: [],
+      }),
+    );
+
+    if (levels[sink] === undefined) break;
+
+    const iter = {};
+    Object.keys(net.out).forEach((id) => {
+      iter[id] = 0;
+    });
+    const stack = [];
+
+    const push = (u, limit) => {
+      if (u === sink) return limit;
+      for (; iter[u] < net.out[u].length; iter[u]++) {
+        const a = net.out[u][iter[u]];
+        if (!inLevelGraph(a)) continue;
+        stack.push(a);
+        const pushed = push(net.arcs[a].to, Math.min(limit, net.residual(a)));
+        if (pushed > 0) {
+          net.augment(a, pushed);
+          return pushed;
+        }
+        stack.pop();
+      }
+      return 0;
+    };
+
+    for (;;) {
+      stack.length = 0;
+      const pushed = push(source, Infinity);
+      if (pushed === 0) break;
+      maxFlow += pushed;
+
+      const edgeStates = {};
+      stack.forEach((a) => {
+        edgeStates[net.arcs[a].edgeId] = "augmenting";
+      });
+      steps.push(
+        snapshot({
+          phase: "blockingFlow",
+          showResidual: false,
+          visited: new Set(Object.keys(levels)),
+          current: sink,
+          levels: { ...levels },
+          edgeStates,
+          augmentingPath: [source, ...stack.map((a) => net.arcs[a].to)],
+          bottleneck: pushed,
+        }),
+      );
+    }
+  }
+
+  steps.push(flowCutStep(net, source, maxFlow));
+  return steps;
+}
+
+/**
+ * Minimum-cost maximum flow - successive shortest paths
+ * - startNode is the source, endNode the sink; edge.capacity (else weight)
+ *   bounds the flow and edge.cost is charged per unit
+ * - Bellman-Ford over the arcs with spare capacity gives the initial node
+ *   potentials, so negative costs are allowed as long as no cycle is negative
+ * - Each round runs Dijkstra on reduced costs cost + h(u) - h(v), which stay
+ *   non-negative, adds the distances to the potentials and pushes the
+ *   bottleneck along the cheapest augmenting path
+ */
+export function runMinCostFlow(nodes, edges, options = {}) {
+  const invalid = validateFlowInput(nodes, options);
+  if (invalid) return invalid;
+
+  const { startNode: source, endNode: sink } = options;
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const net = buildFlowNetwork(nodes, edges);
+  const ids = nodes.map((n) => n.id);
+  const steps = [];
+  let flow = 0;
+  let flowCost = 0;
+
+  // Potentials of nodes reachable from the source; others never carry flow
+  const potentials = { [source]: 0 };
+  const relax = () => {
+    let changed = false;
+    net.arcs.forEach((a, i) => {
+      if (net.residual(i) <= 0 || potentials[a.from] === undefined) return;
+      const d = potentials[a.from] + a.cost;
+      if (potentials[a.to] === undefined || d < potentials[a.to]) {
+        potentials[a.to] = d;
+        changed = true;
+      }
+    });
+    return changed;
+  };
+  for (let i = 0; i < ids.length - 1 && relax(); i++);
+  if (relax()) {
+    return [
+      {
+        edgeFlows: net.edgeFlows(true),
+        potentials: { ...potentials },
+        finished: true,
+        result:
+          "A negative-cost cycle is reachable from the source; successive shortest paths needs none",
+      },
+    ];
+  }
+
+  const snapshot = (extra) => ({
+    edgeFlows: net.edgeFlows(true),
+    residualEdges: net.residualEdges(),
+    levels: {},
+    maxFlow: flow,
+    flowCost,
+    potentials: { ...potentials },
+    augmentingPath: [],
+    pathCost: null,
+    edgeStates: {},
+    ...extra,
+  });
+
+  steps.push(
+    snapshot({
+      phase: "potentials",
+      showResidual: false,
+      visited: new Set(Object.keys(potentials)),
+      current: source,
+    }),
+  );
+
+  for (;;) {
+    const dist = { [source]: 0 };
+    const prevArc = {};
+    const settled = new Set();
+    for (;;) {
+      let u = null;
+      for (const id in dist) {
+        if (!settled.has(id) && (u === null || dist[id] < dist[u])) u = id;
+      }
+      if (u === null) break;
+      settled.add(u);
+      steps.push(
+        snapshot({
+          phase: "dijkstra",
+          showResidual: true,
+          visited: new Set(settled),
+          current: u,
+          edgeStates:
+            prevArc[u] !== undefined
+              ? { [net.arcs[prevArc[u]].id]: "considering" }
+              : {},
+        }),
+      );
+      for (const a of net.out[u] || []) {
+        const { to: v, cost } = net.arcs[a];
+        if (net.residual(a) <= 0 || settled.has(v)) continue;
+        const d = dist[u] + cost + potentials[u] - potentials[v];
+        if (dist[v] === undefined || d < dist[v]) {
+          dist[v] = d;
+          prevArc[v] = a;
+        }
+      }
+    }
+    if (dist[sink] === undefined) break;
+
+    Object.keys(dist).forEach((v) => {
+      potentials[v] += dist[v];
+    });
+    const pathArcs = [];
+    for (let v = sink; v !== source; v = net.arcs[prevArc[v]].from) {
+      pathArcs.unshift(prevArc[v]);
+    }
+    const bottleneck = Math.min(...pathArcs.map((a) => net.residual(a)));
+    const pathCost = pathArcs.reduce((sum, a) => sum + net.arcs[a].cost, 0);
+    pathArcs.forEach((a) => net.augment(a, bottleneck));
+    flow += bottleneck;
+    flowCost += bottleneck * pathCost;
+
+    const edgeStates = {};
+    pathArcs.forEach((a) => {
+      edgeStates[net.arcs[a].edgeId] = "augmenting";
+    });
+    steps.push(
+      snapshot({
+        phase: "augment",
+        showResidual: false,
+        visited: new Set(settled),
+        current: sink,
+        edgeStates,
+        augmentingPath: [source, ...pathArcs.map((a) => net.arcs[a].to)],
+        bottleneck,
+        pathCost,
+      }),
+    );
+  }
+
+  steps.push({
+    ...flowCutStep(net, source, flow),
+    edgeFlows: net.edgeFlows(true),
+    flowCost,
+    potentials: { ...potentials },
+    pathCost: null,
+    result: `Min-cost max flow: ${flow} unit${flow === 1 ? "" : "s"} from ${label(
+      source,
+    )} to ${label(sink)} at total cost ${flowCost}`,
+  });
+  return steps;
+}
+
+/**
+ * Two-coloring BFS shared by the bipartite algorithms. Edge direction is
+ * ignored. Returns { side: { nodeId: 0 | 1 }, oddCycle } where oddCycle is
+ * null for a bipartite graph, otherwise { nodes, edgeIds } closing through the
+ * first same-colored edge. onColor(nodeId, queue, edge) is called for every
+ * newly colored node (with the side map so far) so callers can record steps.
+ */
+function twoColor(nodes, edges, startNode, onColor = () => {}) {
+  const inc = buildIncidence(nodes, edges, false);
+  const side = {};
+  const parent = {};
+  const parentEdge = {};
+  const depth = {};
+
+  const oddCycle = (u, v, edge) => {
+    // Climb both BFS-tree branches to their lowest common ancestor
+    const fromU = [u];
+    const fromV = [v];
+    const edgeIdsU = [];
+    const edgeIdsV = [];
+    let a = u;
+    let b = v;
+    while (a !== b) {
+      if (depth[a] >= depth[b]) {
+        edgeIdsU.push(parentEdge[a]);
+        a = parent[a];
+        fromU.push(a);
+      } else {
+        edgeIdsV.push(parentEdge[b]);
+        b = parent[b];
+        fromV.push(b);
+      }
+    }
+    return {
+      nodes: [...fromU, ...fromV.slice(0, -1).reverse(), u],
+      edgeIds: [...edgeIdsU, ...edgeIdsV.reverse(), edge.id],
+    };
+  };
+
+  const roots = nodes.map((n) => n.id);
+  if (startNode && roots.includes(startNode)) {
+    roots.splice(roots.indexOf(startNode), 1);
+    roots.unshift(startNode);
+  }
+
+  for (const root of roots) {
+    if (side[root] !== undefined) continue;
+    side[root] = 0;
+    parent[root] = null;
+    depth[root] = 0;
+    const queue = [root];
+    onColor(root, queue, null, side);
+    while (queue.length) {
+      const u = queue.shift();
+      for (const { edge, node: v } of inc[u] || []) {
+        if (side[v] === undefined) {
+          side[v] = 1 - side[u];
+          parent[v] = u;
+          parentEdge[v] = edge.id;
+          depth[v] = depth[u] + 1;
+          queue.push(v);
+          onColor(v, queue, edge, side);
+        } else if (side[v] === side[u]) {
+          return { side, oddCycle: oddCycle(u, v, edge) };
+        }
+      }
+    }
+  }
+  return { side, oddCycle: null };
+}
+
+const BIPARTITE_COLORS = [DEFAULT_COLORS[11], DEFAULT_COLORS[8]];
+
+function partitionColors(side) {
+  const colors = {};
+  Object.entries(side).forEach(([id, s]) => {
+    colors[id] = BIPARTITE_COLORS[s];
+  });
+  return colors;
+}
+
+/**
+ * Bipartite check - two-coloring BFS
+ * - Colors each component from startNode (or the first uncolored node)
+ * - Stops at the first edge joining two same-colored nodes and reports the
+ *   odd cycle it closes
+ */
+export function runBipartite(nodes, edges, options = {}) {
+  const { startNode } = options;
+  const steps = [];
+
+  const { side, oddCycle } = twoColor(
+    nodes,
+    edges,
+    startNode,
+    (id, queue, edge, colored) => {
+      steps.push({
+        visited: new Set(Object.keys(colored)),
+        current: id,
+        queue: [...queue],
+        partition: { ...colored },
+        sccColors: partitionColors(colored),
+        edgeStates: edge ? { [edge.id]: "considering" } : {},
+      });
+    },
+  );
+
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+
+  if (oddCycle) {
+    const edgeStates = {};
+    oddCycle.edgeIds.forEach((id) => {
+      edgeStates[id] = "cycle";
+    });
+    steps.push({
+      visited: new Set(Object.keys(side)),
+      current: oddCycle.nodes[0],
+      queue: [],
+      partition: { ...side },
+      sccColors: partitionColors(side),
+      oddCycle: oddCycle.nodes,
+      edgeStates,
+      finished: true,
+      result: `Not bipartite: odd cycle ${oddCycle.nodes
+        .map(label)
+        .join(" → ")}`,
+    });
+    return steps;
+  }
+
+  const groups = [0, 1].map((s) =>
+    nodes.filter((n) => side[n.id] === s).map((n) => label(n.id)),
+  );
+  steps.push({
+    visited: new Set(Object.keys(side)),
+    current: null,
+    queue: [],
+    partition: { ...side },
+    sccColors: partitionColors(side),
+    oddCycle: [],
+    edgeStates: {},
+    finished: true,
+    result: `Bipartite: {${groups[0].join(", ")}} | {${groups[1].join(", ")}}`,
+  });
+  return steps;
+}
+
+/**
+ * Maximum bipartite matching - Hopcroft-Karp
+ * - Two-colors the graph first (edge direction ignored); side 0 is the left side
+ * - Each phase layers the graph by BFS from free left nodes, then takes
+ *   vertex-disjoint shortest alternating paths and flips them
+ */
+export function runHopcroftKarp(nodes, edges, options = {}) {
+  const { startNode } = options;
+  const { side, oddCycle } = twoColor(nodes, edges, startNode);
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+
+  if (oddCycle) {
+    const edgeStates = {};
+    oddCycle.edgeIds.forEach((id) => {
+      edgeStates[id] = "cycle";
+    });
+    return [
+      {
+        sccColors: partitionColors(side),
+        oddCycle: oddCycle.nodes,
+        edgeStates,
+        finished: true,
+        result: `Matching needs a bipartite graph; odd cycle ${oddCycle.nodes
+          .map(label)
+          .join(" → ")}`,
+      },
+    ];
+  }
+
+  const inc = buildIncidence(nodes, edges, false);
+  const left = nodes.map((n) => n.id).filter((id) => side[id] === 0);
+  const matchLeft = {}; // left nodeId -> { node, edge }
+  const matchRight = {}; // right nodeId -> left nodeId
+  const steps = [];
+  const sccColors = partitionColors(side);
+
+  const matching = () =>
+    left
+      .filter((u) => matchLeft[u])
+      .map((u) => ({ ...matchLeft[u].edge, from: u, to: matchLeft[u].node }));
+
+  const snapshot = (extra) => {
+    const edgeStates = {};
+    matching().forEach((e) => {
+      edgeStates[e.id] = "matched";
+    });
+    const matched = new Set();
+    Object.entries(matchRight).forEach(([v, u]) => {
+      matched.add(v);
+      matched.add(u);
+    });
+    return {
+      visited: matched,
+      current: null,
+      sccColors,
+      matching: matching(),
+      augmentingPath: [],
+      edgeStates,
+      ...extra,
+      edgeStates: { ...edgeStates, ...(extra.edgeStates || {}) },
+    };
+  };
+
+  steps.push(snapshot({ phase: "init", levels: {} }));
+
+  for (;;) {
+    // BFS: layer left nodes by alternating-path distance from free left nodes
+    const dist = {};
+    const queue = [];
+    left.forEach((u) => {
+      if (!matchLeft[u]) {
+        dist[u] = 0;
+        queue.push(u);
+      }
+    });
+    let found = false;
+    while (queue.length) {
+      const u = queue.shift();
+      for (const { node: v } of inc[u] || []) {
+        const w = matchRight[v];
+        if (w === undefined) found = true;
+        else if (dist[w] === undefined) {
+          dist[w] = dist[u] + 1;
+          queue.push(w);
+        }
+      }
+    }
+    steps.push(snapshot({ phase: "bfs", levels: { ...dist } }));
+    if (!found) break;
+
+    // DFS: shortest augmenting path from u as [[u, edge, v], ...], or null
+    const search = (u) => {
+      for (const { edge, node: v } of inc[u] || []) {
+        const w = matchRight[v];
+        if (w === undefined) return [[u, edge, v]];
+        if (dist[w] === dist[u] + 1) {
+          const rest = search(w);
+          if (rest) return [[u, edge, v], ...rest];
+        }
+      }
+      dist[u] = Infinity;
+      return null;
+    };
+
+    for (const u of left) {
+      if (matchLeft[u] || dist[u] !== 0) continue;
+      const hops = search(u);
+      if (!hops) continue;
+
+      // Unmatched hops join the matching, the matched edges between them leave it
+      const pathStates = {};
+      hops.forEach(([, edge, v], i) => {
+        pathStates[edge.id] = "augmenting";
+        if (i < hops.length - 1) {
+          pathStates[matchLeft[hops[i + 1][0]].edge.id] = "alternating";
+        }
+      });
+      const pathNodes = hops.flatMap(([a, , b]) => [a, b]);
+      steps.push(
+        snapshot({
+          phase: "augment",
+          levels: { ...dist },
+          current: u,
+          augmentingPath: pathNodes,
+          edgeStates: pathStates,
+        }),
+      );
+
+      hops.forEach(([a, edge, b]) => {
+        matchLeft[a] = { node: b, edge };
+        matchRight[b] = a;
+      });
+      steps.push(
+        snapshot({
+          phase: "augment",
+          levels: { ...dist },
+          current: pathNodes[pathNodes.length - 1],
+        }),
+      );
+    }
+  }
+
+  const pairs = matching();
+  steps.push(
+    snapshot({
+      phase: "finished",
+      levels: {},
+      finished: true,
+      result: `Maximum matching: ${pairs.length} pair${
+        pairs.length === 1 ? "" : "s"
+      }${
+        pairs.length > 0
+          ? ` (${pairs.map((e) => `${label(e.from)}–${label(e.to)}`).join(", ")})`
+          : ""
+      }`,
+    }),
+  );
+  return steps;
+}
+
+/**
+ * Assignment problem - Hungarian algorithm (shortest augmenting paths with
+ * potentials, O(n²·m))
+ * - The graph must be bipartite; the smaller side is assigned to the larger
+ * - The cost of a pair is its edge's cost (else weight); pairs without an
+ *   edge are forbidden, and rows left only with forbidden pairs stay unassigned
+ * - Adds one row at a time, growing a tree of tight edges (reduced cost 0)
+ *   and shifting the row and column potentials by the smallest slack until a
+ *   free column is reached, then flips the alternating path
+ */
+export function runHungarian(nodes, edges, options = {}) {
+  const { startNode } = options;
+  const { side, oddCycle } = twoColor(nodes, edges, startNode);
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+
+  if (oddCycle) {
+    const edgeStates = {};
+    oddCycle.edgeIds.forEach((id) => {
+      edgeStates[id] = "cycle";
+    });
+    return [
+      {
+        sccColors: partitionColors(side),
+        oddCycle: oddCycle.nodes,
+        edgeStates,
+        finished: true,
+        result: `Assignment needs a bipartite graph; odd cycle ${oddCycle.nodes
+          .map(label)
+          .join(" → ")}`,
+      },
+    ];
+  }
+
+  const sideIds = [0, 1].map((s) =>
+    nodes.map((n) => n.id).filter((id) => side[id] === s),
+  );
+  const [rows, cols] =
+    sideIds[0].length <= sideIds[1].length ? sideIds : [sideIds[1], sideIds[0]];
+  if (rows.length === 0 || edges.length === 0) {
+    return [{ finished: true, result: "No pairs to assign" }];
+  }
+
+  // 1-based cost matrix; the cheapest edge wins for parallel edges
+  const n = rows.length;
+  const m = cols.length;
+  const rowIndex = {};
+  const colIndex = {};
+  rows.forEach((id, i) => {
+    rowIndex[id] = i + 1;
+  });
+  cols.forEach((id, j) => {
+    colIndex[id] = j + 1;
+  });
+  const pairEdge = {};
+  let costSum = 0;
+  edges.forEach((e) => {
+    const [r, c] =
+      rowIndex[e.from] !== undefined ? [e.from, e.to] : [e.to, e.from];
+    const d = describeEdge(e);
+    d.weight = e.cost ?? e.weight ?? 1;
+    costSum += Math.abs(d.weight);
+    const key = `${rowIndex[r]},${colIndex[c]}`;
+    if (!pairEdge[key] || d.weight < pairEdge[key].weight) pairEdge[key] = d;
+  });
+  // Forbidden pairs cost more than any assignment of real pairs
+  const forbidden = 2 * costSum + 1;
+  const cost = (i, j) => pairEdge[`${i},${j}`]?.weight ?? forbidden;
+
+  const u = Array(n + 1).fill(0);
+  const v = Array(m + 1).fill(0);
+  const p = Array(m + 1).fill(0); // p[j] = row assigned to column j (0 = free)
+  const way = Array(m + 1).fill(0);
+  const steps = [];
+  const sccColors = partitionColors(side);
+
+  const matching = () => {
+    const out = [];
+    for (let j = 1; j <= m; j++) {
+      const e = p[j] ? pairEdge[`${p[j]},${j}`] : null;
+      if (e) out.push({ ...e, from: rows[p[j] - 1], to: cols[j - 1] });
+    }
+    return out;
+  };
+  const snapshot = (extra) => {
+    const potentials = {};
+    rows.forEach((id, i) => {
+      potentials[id] = u[i + 1];
+    });
+    cols.forEach((id, j) => {
+      potentials[id] = v[j + 1];
+    });
+    const edgeStates = {};
+    const current = matching();
+    current.forEach((e) => {
+      edgeStates[e.id] = "matched";
+    });
+    return {
+      sccColors,
+      potentials,
+      matching: current,
+      assignmentCost: current.reduce((sum, e) => sum + e.weight, 0),
+      augmentingPath: [],
+      current: null,
+      ...extra,
+      edgeStates: { ...edgeStates, ...(extra.edgeStates || {}) },
+    };
+  };
+
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = Array(m + 1).fill(Infinity);
+    const used = Array(m + 1).fill(false);
+    steps.push(
+      snapshot({
+        phase: "row",
+        current: rows[i - 1],
+        visited: new Set([rows[i - 1]]),
+      }),
+    );
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const cur = cost(i0, j) - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+
+      const tree = new Set();
+      for (let j = 0; j <= m; j++) {
+        if (!used[j]) continue;
+        if (j > 0) tree.add(cols[j - 1]);
+        tree.add(rows[p[j] - 1]);
+      }
+      const tight = pairEdge[`${p[way[j1]]},${j1}`];
+      steps.push(
+        snapshot({
+          phase: "potentials",
+          current: cols[j1 - 1],
+          visited: tree,
+          potentialShift: delta,
+          edgeStates: tight ? { [tight.id]: "considering" } : {},
+        }),
+      );
+    } while (p[j0] !== 0);
+
+    // Flip the alternating path back to the new row
+    const path = [cols[j0 - 1]];
+    const pathStates = {};
+    let jj = j0;
+    do {
+      const j1 = way[jj];
+      p[jj] = p[j1];
+      const e = pairEdge[`${p[jj]},${jj}`];
+      if (e) pathStates[e.id] = "alternating";
+      path.unshift(rows[p[jj] - 1]);
+      if (j1) path.unshift(cols[j1 - 1]);
+      jj = j1;
+    } while (jj);
+    steps.push(
+      snapshot({
+        phase: "augment",
+        current: rows[i - 1],
+        visited: new Set(path),
+        augmentingPath: path,
+        edgeStates: pathStates,
+      }),
+    );
+  }
+
+  const final = snapshot({ phase: "finished", visited: new Set() });
+  final.visited = new Set(final.matching.flatMap((e) => [e.from, e.to]));
+  const unassigned = rows.filter((id) => !final.visited.has(id));
+  steps.push({
+    ...final,
+    finished: true,
+    result:
+      `Optimal assignment cost ${final.assignmentCost}: ${
+        final.matching
+          .map((e) => `${label(e.from)}–${label(e.to)}`)
+          .join(", ") || "none"
+      }` +
+      (unassigned.length > 0
+        ? `; no allowed pair left for ${unassigned.map(label).join(", ")}`
+        : ""),
+  });
+  return steps;
+}
+
+/**
+ * Eulerian path / circuit - Hierholzer's algorithm
+ * - Checks degree conditions (in/out degree when directed, odd-degree count
+ *   when undirected) and that all edges share one component
+ * - Walks unused edges from the top of the sub-tour stack; a node with no
+ *   unused edges left is popped onto the circuit
+ * - Edges are tracked by id (pathEdges / edgeStates), so parallel edges and
+ *   self-loops are each traversed exactly once
+ */
+export function runEulerian(nodes, edges, options = {}) {
+  const { isDirected = false, startNode } = options;
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const inc = buildIncidence(nodes, edges, isDirected);
+
+  const degrees = {};
+  nodes.forEach((n) => {
+    degrees[n.id] = isDirected ? { in: 0, out: 0 } : { degree: 0 };
+  });
+  edges.forEach((e) => {
+    if (isDirected) {
+      degrees[e.from].out++;
+      degrees[e.to].in++;
+    } else {
+      degrees[e.from].degree++;
+      degrees[e.to].degree++;
+    }
+  });
+
+  const fail = (result, degreeIssues = []) => [
+    { degrees, degreeIssues, current: null, finished: true, result },
+  ];
+
+  if (edges.length === 0) return fail("The graph has no edges to traverse.");
+
+  // Degree conditions decide between circuit, path (and its start) or failure
+  let start = null;
+  let kind = "circuit";
+  if (isDirected) {
+    const issues = nodes
+      .map((n) => ({ id: n.id, ...degrees[n.id] }))
+      .filter((d) => d.in !== d.out);
+    const starts = issues.filter((d) => d.out - d.in === 1);
+    const ends = issues.filter((d) => d.in - d.out === 1);
+    if (issues.length > 0) {
+      if (issues.length !== 2 || starts.length !== 1 || ends.length !== 1) {
+        return fail(
+          `No Euler path: every node needs in-degree = out-degree, except at most one start (out = in + 1) and one end (in = out + 1). Unbalanced: ${issues
+            .map((d) => `${label(d.id)} (in ${d.in}, out ${d.out})`)
+            .join(", ")}`,
+          issues,
+        );
+      }
+      kind = "path";
+      start = starts[0].id;
+    }
+  } else {
+    const odd = nodes
+      .map((n) => ({ id: n.id, ...degrees[n.id] }))
+      .filter((d) => d.degree % 2 === 1);
+    if (odd.length > 2) {
+      return fail(
+        `No Euler path: ${odd.length} nodes have odd degree (${odd
+          .map((d) => `${label(d.id)}: ${d.degree}`)
+          .join(", ")}), at most 2 are allowed.`,
+        odd,
+      );
+    }
+    if (odd.length === 2) {
+      kind = "path";
+      start =
+        startNode && odd.some((d) => d.id === startNode)
+          ? startNode
+          : odd[0].id;
+    }
+  }
+
+  const hasEdges = (id) =>
+    isDirected ? degrees[id].in + degrees[id].out > 0 : degrees[id].degree > 0;
+  if (start === null) {
+    start =
+      startNode && degrees[startNode] && hasEdges(startNode)
+        ? startNode
+        : nodes.find((n) => hasEdges(n.id)).id;
+  }
+
+  // Every edge must be reachable from start, ignoring direction
+  const undirected = buildAdjacency(nodes, edges, false);
+  const reached = new Set([start]);
+  const queue = [start];
+  while (queue.length) {
+    const u = queue.shift();
+    (undirected[u] || []).forEach((v) => {
+      if (!reached.has(v)) {
+        reached.add(v);
+        queue.push(v);
+      }
+    });
+  }
+  const stranded = nodes.filter((n) => hasEdges(n.id) && !reached.has(n.id));
+  if (stranded.length > 0) {
+    return fail(
+      `No Euler path: the edges are split across components (${stranded
+        .map((n) => label(n.id))
+        .join(", ")} unreachable from ${label(start)}).`,
+    );
+  }
+
+  const steps = [];
+  const used = new Set();
+  const nextIndex = {};
+  const stack = [{ node: start, edgeId: null }];
+  const circuitNodes = [];
+  const circuitEdges = [];
+
+  const snapshot = (extra) => {
+    const edgeStates = {};
+    circuitEdges.forEach((id) => {
+      edgeStates[id] = "circuit";
+    });
+    return {
+      degrees,
+      degreeIssues: [],
+      visited: new Set(stack.map((s) => s.node).concat(circuitNodes)),
+      eulerStack: stack.map((s) => s.node),
+      eulerCircuit: [...circuitNodes].reverse(),
+      consumedEdges: [...used],
+      pathEdges: stack.slice(1).map((s) => s.edgeId),
+      path: [],
+      edgeStates,
+      ...extra,
+    };
+  };
+
+  steps.push(snapshot({ phase: "walk", current: start }));
+
+  while (stack.length) {
+    const { node: u } = stack[stack.length - 1];
+    const list = inc[u] || [];
+    let i = nextIndex[u] || 0;
+    while (i < list.length && used.has(list[i].edge.id)) i++;
+    nextIndex[u] = i;
+
+    if (i < list.length) {
+      const { edge, node: v } = list[i];
+      used.add(edge.id);
+      stack.push({ node: v, edgeId: edge.id });
+      const step = snapshot({ phase: "walk", current: v });
+      step.edgeStates[edge.id] = "considering";
+      steps.push(step);
+    } else {
+      const { node, edgeId } = stack.pop();
+      circuitNodes.push(node);
+      if (edgeId !== null) circuitEdges.push(edgeId);
+      steps.push(snapshot({ phase: "backtrack", current: node }));
+    }
+  }
+
+  // Popped order is the reverse of the walk
+  const trail = circuitNodes.reverse();
+  const trailEdges = circuitEdges.reverse();
+
+  // Replay the finished circuit edge by edge
+  for (let k = 1; k <= trailEdges.length; k++) {
+    steps.push({
+      degrees,
+      phase: "trace",
+      visited: new Set(trail.slice(0, k + 1)),
+      current: trail[k],
+      eulerStack: [],
+      eulerCircuit: trail,
+      consumedEdges: trailEdges,
+      pathEdges: trailEdges.slice(0, k),
+      path: [],
+      edgeStates: {},
+    });
+  }
+
+  steps[steps.length - 1] = {
+    ...steps[steps.length - 1],
+    finished: true,
+    result: `Euler ${kind}: ${trail.map(label).join(" → ")}`,
+  };
+  return steps;
+}
+
+/**
+ * Shared setup for the traveling salesman algorithms
+ * - tspEuclidean measures every pair by node coordinates; the edges are then
+ *   ignored and every leg is drawn as an overlay edge
+ * - Otherwise pairs are measured by shortest paths over the edge weights (the
+ *   metric closure), so sparse graphs still have tours and the triangle
+ *   inequality the heuristics rely on holds. A leg that is a direct edge of
+ *   that weight is highlighted in place; any other leg is an overlay labelled
+ *   with its path distance.
+ * Returns { error } or { ids, dist, label, fmt, tourCost, view }
+ */
+function setupTsp(nodes, edges, options) {
+  const { isDirected = false, tspEuclidean = false } = options;
+  if (nodes.length < 3) return { error: "A tour needs at least 3 nodes." };
+
+  const ids = nodes.map((n) => n.id);
+  const index = {};
+  ids.forEach((id, i) => {
+    index[id] = i;
+  });
+  const direct = {};
+  let D;
+
+  if (tspEuclidean) {
+    D = nodes.map((a) => nodes.map((b) => Math.hypot(a.x - b.x, a.y - b.y)));
+  } else {
+    if (isDirected) {
+      return {
+        error:
+          "Tours over edge weights need symmetric distances. Disable 'Directed Graph' mode or use Euclidean distances.",
+      };
+    }
+    if (hasNegativeWeight(edges)) {
+      return { error: "Tours over edge weights need non-negative weights." };
+    }
+    D = ids.map((_, i) => ids.map((_, j) => (i === j ? 0 : Infinity)));
+    edges.forEach((e) => {
+      const i = index[e.from];
+      const j = index[e.to];
+      if (i === undefined || j === undefined || i === j) return;
+      const w = e.weight ?? 1;
+      if (w < D[i][j]) {
+        D[i][j] = w;
+        D[j][i] = w;
+        direct[`${e.from}|${e.to}`] = e;
+        direct[`${e.to}|${e.from}`] = e;
+      }
+    });
+    const n = ids.length;
+    for (let k = 0; k < n; k++) {
+      for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+          if (D[i][k] + D[k][j] < D[i][j]) D[i][j] = D[i][k] + D[k][j];
+        }
+      }
+    }
+    const stranded = ids.filter((_, j) => D[0][j] === Infinity);
+    if (stranded.length > 0) {
+      const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+      return {
+        error: `Graph is disconnected: ${stranded
+          .map(label)
+          .join(
+            ", ",
+          )} cannot be reached from ${label(ids[0])}, so no tour visits every node.`,
+      };
+    }
+  }
+
+  const dist = (u, v) => D[index[u]][index[v]];
+  const fmt = (x) => Math.round(x * 10) / 10;
+
+  // Legs are { from, to, state }; a graph edge takes the first state it is
+  // given, repeats (e.g. an MST edge also used by the matching) are overlays
+  const view = (legs) => {
+    const overlayEdges = [];
+    const edgeStates = {};
+    legs.forEach(({ from, to, state }) => {
+      const edge = direct[`${from}|${to}`];
+      if (
+        edge &&
+        edgeStates[edge.id] === undefined &&
+        (edge.weight ?? 1) === dist(from, to)
+      ) {
+        edgeStates[edge.id] = state;
+        return;
+      }
+      const id = `tsp_${state}_${overlayEdges.length}`;
+      overlayEdges.push({ id, from, to, weight: fmt(dist(from, to)) });
+      edgeStates[id] = state;
+    });
+    return { overlayEdges, edgeStates };
+  };
+
+  return {
+    ids,
+    dist,
+    fmt,
+    view,
+    label: (id) => nodes.find((n) => n.id === id)?.label || id,
+    tourCost: (tour) =>
+      tour.reduce((sum, u, i) => sum + dist(u, tour[(i + 1) % tour.length]), 0),
+  };
+}
+
+/**
+ * Legs of a tour in visiting order; closed tours return to the first node
+ */
+function tourLegs(tour, closed, state = "circuit") {
+  const legs = [];
+  for (let i = 0; i + 1 < tour.length; i++) {
+    legs.push({ from: tour[i], to: tour[i + 1], state });
+  }
+  if (closed && tour.length > 2) {
+    legs.push({ from: tour[tour.length - 1], to: tour[0], state });
+  }
+  return legs;
+}
+
+function tspStart(tsp, startNode) {
+  return tsp.ids.includes(startNode) ? startNode : tsp.ids[0];
+}
+
+function tourResult(name, tsp, tour, extra = "") {
+  return `${name}: ${[...tour, tour[0]].map(tsp.label).join(" → ")} · cost ${tsp.fmt(
+    tsp.tourCost(tour),
+  )}${extra}`;
+}
+
+/**
+ * Greedy tour from start: always move to the closest unvisited node.
+ * onStep receives each decision with the candidate distances.
+ */
+function nearestNeighborTour(tsp, start, onStep = () => {}) {
+  const tour = [start];
+  const seen = new Set(tour);
+  while (tour.length < tsp.ids.length) {
+    const u = tour[tour.length - 1];
+    const distances = {};
+    let next = null;
+    tsp.ids.forEach((v) => {
+      if (seen.has(v)) return;
+      distances[v] = tsp.fmt(tsp.dist(u, v));
+      if (next === null || tsp.dist(u, v) < tsp.dist(u, next)) next = v;
+    });
+    onStep({ tour: [...tour], current: u, next, distances });
+    tour.push(next);
+    seen.add(next);
+  }
+  return tour;
+}
+
+/**
+ * Nearest-neighbor tour construction
+ * - Starts at startNode (or the first node) and repeatedly takes the closest
+ *   unvisited node; candidate distances are shown as node badges
+ * - O(V^2) after the distance matrix; no quality guarantee
+ */
+export function runTspNearestNeighbor(nodes, edges, options = {}) {
+  const tsp = setupTsp(nodes, edges, options);
+  if (tsp.error) return [{ finished: true, result: tsp.error }];
+  const steps = [];
+
+  const tour = nearestNeighborTour(
+    tsp,
+    tspStart(tsp, options.startNode),
+    ({ tour: partial, current, next, distances }) => {
+      steps.push({
+        phase: "construct",
+        visited: new Set(partial),
+        current,
+        distances,
+        tspTour: partial,
+        tourCost: tsp.fmt(
+          tsp.tourCost(partial) - tsp.dist(current, partial[0]),
+        ),
+        ...tsp.view([
+          ...tourLegs(partial, false),
+          { from: current, to: next, state: "considering" },
+        ]),
+      });
+    },
+  );
+
+  steps.push({
+    phase: "finished",
+    visited: new Set(tour),
+    current: null,
+    distances: {},
+    tspTour: tour,
+    tourCost: tsp.fmt(tsp.tourCost(tour)),
+    ...tsp.view(tourLegs(tour, true)),
+    finished: true,
+    result: tourResult("Nearest-neighbor tour", tsp, tour),
+  });
+  return steps;
+}
+
+/**
+ * 2-opt local search
+ * - Starts from the nearest-neighbor tour
+ * - Each pass evaluates every pair of non-adjacent legs (a, b) and (c, d);
+ *   replacing them with (a, c) and (b, d) reverses b … c and changes the
+ *   cost by delta = d(a,c) + d(b,d) − d(a,b) − d(c,d). The most negative
+ *   delta is applied until no swap improves the tour (a 2-optimal tour).
+ * - Steps show each swap before (removed / added legs) and after applying it
+ */
+export function runTwoOpt(nodes, edges, options = {}) {
+  const tsp = setupTsp(nodes, edges, options);
+  if (tsp.error) return [{ finished: true, result: tsp.error }];
+  const steps = [];
+  const swapLog = [];
+  const n = tsp.ids.length;
+
+  const tour = nearestNeighborTour(tsp, tspStart(tsp, options.startNode));
+  const initialCost = tsp.tourCost(tour);
+  const snapshot = (extra, legs = tourLegs(tour, true)) => ({
+    visited: new Set(tour),
+    current: null,
+    tspTour: [...tour],
+    tourCost: tsp.fmt(tsp.tourCost(tour)),
+    swapLog: [...swapLog],
+    twoOptSwap: null,
+    ...tsp.view(legs),
+    ...extra,
+  });
+
+  steps.push(snapshot({ phase: "initial" }));
+
+  for (;;) {
+    let best = null;
+    for (let i = 0; i < n - 2; i++) {
+      for (let j = i + 2; j < n; j++) {
+        if (i === 0 && j === n - 1) continue; // legs share tour[0]
+        const [a, b, c, d] = [tour[i], tour[i + 1], tour[j], tour[(j + 1) % n]];
+        const delta =
+          tsp.dist(a, c) + tsp.dist(b, d) - tsp.dist(a, b) - tsp.dist(c, d);
+        if (!best || delta < best.delta) best = { i, j, a, b, c, d, delta };
+      }
+    }
+    if (!best || best.delta > -1e-9) break;
+
+    const { i, j, a, b, c, d } = best;
+    const swap = {
+      removed: [
+        [a, b],
+        [c, d],
+      ],
+      added: [
+        [a, c],
+        [b, d],
+      ],
+      delta: tsp.fmt(best.delta),
+    };
+    const kept = tourLegs(tour, true).filter(
+      (leg) => leg.from !== a && leg.from !== c,
+    );
+    steps.push(
+      snapshot({ phase: "evaluate", current: b, twoOptSwap: swap }, [
+        ...kept,
+        { from: a, to: b, state: "removed" },
+        { from: c, to: d, state: "removed" },
+        { from: a, to: c, state: "added" },
+        { from: b, to: d, state: "added" },
+      ]),
+    );
+
+    // Reverse the segment b … c so the tour uses (a, c) and (b, d)
+    tour.splice(i + 1, j - i, ...tour.slice(i + 1, j + 1).reverse());
+    swapLog.push({ ...swap, cost: tsp.fmt(tsp.tourCost(tour)) });
+    steps.push(
+      snapshot({
+        phase: "swap",
+        current: c,
+        twoOptSwap: { ...swap, applied: true },
+      }),
+    );
+  }
+
+  steps.push({
+    ...snapshot({ phase: "finished" }),
+    finished: true,
+    result: tourResult(
+      "2-opt tour",
+      tsp,
+      tour,
+      swapLog.length > 0
+        ? ` (nearest neighbor ${tsp.fmt(initialCost)}, ${swapLog.length} swap${
+            swapLog.length === 1 ? "" : "s"
+          })`
+        : " (the nearest-neighbor tour is already 2-optimal)",
+    ),
+  });
+  return steps;
+}
+
+// Exact minimum-weight perfect matching is a bitmask DP up to this many nodes
+const EXACT_MATCHING_LIMIT = 16;
+
+/**
+ * Minimum-weight perfect matching on an even number of nodes.
+ * Exact (O(2^k · k) DP over matched sets) up to EXACT_MATCHING_LIMIT nodes,
+ * otherwise greedy by increasing distance.
+ */
+function minimumMatching(ids, dist) {
+  const k = ids.length;
+  if (k > EXACT_MATCHING_LIMIT) {
+    const pairs = [];
+    ids.forEach((u, i) => {
+      ids.slice(i + 1).forEach((v) => pairs.push([u, v]));
+    });
+    pairs.sort((p, q) => dist(...p) - dist(...q));
+    const matched = new Set();
+    return {
+      exact: false,
+      pairs: pairs.filter(([u, v]) => {
+        if (matched.has(u) || matched.has(v)) return false;
+        matched.add(u);
+        matched.add(v);
+        return true;
+      }),
+    };
+  }
+
+  // best[mask]: cheapest way to match the nodes outside mask
+  const full = (1 << k) - 1;
+  const best = new Float64Array(1 << k).fill(Infinity);
+  const partner = new Int32Array(1 << k);
+  best[full] = 0;
+  for (let mask = full - 1; mask >= 0; mask--) {
+    let i = 0;
+    while (mask & (1 << i)) i++;
+    for (let j = i + 1; j < k; j++) {
+      if (mask & (1 << j)) continue;
+      const cost = dist(ids[i], ids[j]) + best[mask | (1 << i) | (1 << j)];
+      if (cost < best[mask]) {
+        best[mask] = cost;
+        partner[mask] = j;
+      }
+    }
+  }
+  const pairs = [];
+  let mask = 0;
+  while (mask !== full) {
+    let i = 0;
+    while (mask & (1 << i)) i++;
+    const j = partner[mask];
+    pairs.push([ids[i], ids[j]]);
+    mask |= (1 << i) | (1 << j);
+  }
+  return { exact: true, pairs };
+}
+
+/**
+ * Christofides-style tour
+ * - Minimum spanning tree (Prim over the distance matrix) from startNode
+ * - Minimum-weight perfect matching on the tree's odd-degree nodes; exact
+ *   for up to EXACT_MATCHING_LIMIT odd nodes, greedy beyond that
+ * - Euler circuit of tree + matching (Hierholzer), then shortcut repeated
+ *   nodes. With an exact matching the tour is at most 1.5× optimal.
+ */
+export function runChristofides(nodes, edges, options = {}) {
+  const tsp = setupTsp(nodes, edges, options);
+  if (tsp.error) return [{ finished: true, result: tsp.error }];
+  const { ids, dist, fmt } = tsp;
+  const start = tspStart(tsp, options.startNode);
+  const steps = [];
+
+  // 1. Minimum spanning tree
+  const treeLegs = [];
+  const inTree = new Set([start]);
+  const key = {};
+  const parent = {};
+  ids.forEach((v) => {
+    key[v] = dist(start, v);
+    parent[v] = start;
+  });
+  let mstWeight = 0;
+  const mstStep = (current, extra = {}) => ({
+    phase: "mst",
+    visited: new Set(inTree),
+    current,
+    tspTour: [],
+    oddNodes: [],
+    ...tsp.view(treeLegs),
+    ...extra,
+  });
+  steps.push(mstStep(start));
+  while (inTree.size < ids.length) {
+    const v = ids
+      .filter((id) => !inTree.has(id))
+      .reduce((m, id) => (key[id] < key[m] ? id : m));
+    inTree.add(v);
+    mstWeight += key[v];
+    treeLegs.push({ from: parent[v], to: v, state: "mst" });
+    ids.forEach((w) => {
+      if (!inTree.has(w) && dist(v, w) < key[w]) {
+        key[w] = dist(v, w);
+        parent[w] = v;
+      }
+    });
+    steps.push(mstStep(v));
+  }
+
+  // 2. Odd-degree nodes of the tree
+  const degree = {};
+  treeLegs.forEach(({ from, to }) => {
+    degree[from] = (degree[from] || 0) + 1;
+    degree[to] = (degree[to] || 0) + 1;
+  });
+  const oddNodes = ids.filter((id) => degree[id] % 2 === 1);
+  steps.push(mstStep(null, { phase: "odd", oddNodes }));
+
+  // 3. Matching on the odd nodes
+  const matching = minimumMatching(oddNodes, dist);
+  const matchLegs = [];
+  matching.pairs.forEach(([u, v]) => {
+    matchLegs.push({ from: u, to: v, state: "matched" });
+    steps.push({
+      ...mstStep(v, { phase: "match", oddNodes }),
+      ...tsp.view([...treeLegs, ...matchLegs]),
+    });
+  });
+
+  // 4. Euler circuit of the multigraph (every degree is now even)
+  const multi = [...treeLegs, ...matchLegs];
+  const adj = {};
+  ids.forEach((id) => {
+    adj[id] = [];
+  });
+  multi.forEach(({ from, to }, e) => {
+    adj[from].push({ e, v: to });
+    adj[to].push({ e, v: from });
+  });
+  const used = new Set();
+  const stack = [start];
+  const circuit = [];
+  while (stack.length) {
+    const u = stack[stack.length - 1];
+    while (adj[u].length && used.has(adj[u][adj[u].length - 1].e)) {
+      adj[u].pop();
+    }
+    if (adj[u].length) {
+      const { e, v } = adj[u].pop();
+      used.add(e);
+      stack.push(v);
+    } else {
+      circuit.push(stack.pop());
+    }
+  }
+  circuit.reverse();
+  steps.push({
+    ...mstStep(start, { phase: "euler", oddNodes }),
+    eulerCircuit: circuit,
+    ...tsp.view(tourLegs(circuit, false)),
+  });
+
+  // 5. Shortcut: keep the first visit of every node
+  const tour = [];
+  circuit.forEach((v) => {
+    if (tour.includes(v)) return;
+    tour.push(v);
+    steps.push({
+      phase: "shortcut",
+      visited: new Set(tour),
+      current: v,
+      oddNodes: [],
+      eulerCircuit: circuit,
+      tspTour: [...tour],
+      tourCost: fmt(tsp.tourCost(tour) - dist(v, tour[0])),
+      ...tsp.view(tourLegs(tour, false)),
+    });
+  });
+
+  steps.push({
+    phase: "finished",
+    visited: new Set(tour),
+    current: null,
+    oddNodes: [],
+    eulerCircuit: circuit,
+    tspTour: tour,
+    tourCost: fmt(tsp.tourCost(tour)),
+    ...tsp.view(tourLegs(tour, true)),
+    finished: true,
+    result: tourResult(
+      "Christofides-style tour",
+      tsp,
+      tour,
+      ` (MST ${fmt(mstWeight)}, ${
+        matching.exact ? "exact" : "greedy"
+      } matching of ${oddNodes.length} odd nodes)`,
+    ),
+  });
+  return steps;
+}
+
+// Held–Karp keeps 2^(V-1) · (V-1) states; past this it is too slow to step through
+const HELD_KARP_MAX_NODES = 15;
+
+/**
+ * Held–Karp exact TSP (dynamic programming over subsets)
+ * - cost[S][j]: cheapest path from the start through exactly the nodes in S,
+ *   ending at j ∈ S; built by subset size, O(2^V · V^2) time
+ * - Steps show the best partial path after each subset size, then trace the
+ *   optimal tour. Refuses graphs larger than HELD_KARP_MAX_NODES.
+ */
+export function runHeldKarp(nodes, edges, options = {}) {
+  if (nodes.length > HELD_KARP_MAX_NODES) {
+    return [
+      {
+        finished: true,
+        result: `Held–Karp needs O(2ⁿ · n²) time and is limited to ${HELD_KARP_MAX_NODES} nodes (this graph has ${nodes.length}). Use a heuristic instead.`,
+      },
+    ];
+  }
+  const tsp = setupTsp(nodes, edges, options);
+  if (tsp.error) return [{ finished: true, result: tsp.error }];
+  const { dist, fmt } = tsp;
+  const start = tspStart(tsp, options.startNode);
+  const others = tsp.ids.filter((id) => id !== start);
+  const m = others.length;
+  const size = 1 << m;
+  const cost = new Float64Array(size * m).fill(Infinity);
+  const prev = new Int8Array(size * m).fill(-1);
+  const steps = [];
+
+  const pathTo = (mask, j) => {
+    const path = [];
+    while (j >= 0) {
+      path.push(others[j]);
+      const p = prev[mask * m + j];
+      mask &= ~(1 << j);
+      j = p;
+    }
+    return [start, ...path.reverse()];
+  };
+
+  const bySize = Array.from({ length: m + 1 }, () => []);
+  for (let mask = 1; mask < size; mask++) {
+    let bits = 0;
+    for (let x = mask; x; x &= x - 1) bits++;
+    bySize[bits].push(mask);
+  }
+
+  let dpStates = 0;
+  for (let s = 1; s <= m; s++) {
+    let bestMask = 0;
+    let bestEnd = -1;
+    bySize[s].forEach((mask) => {
+      for (let j = 0; j < m; j++) {
+        if (!(mask & (1 << j))) continue;
+        const rest = mask & ~(1 << j);
+        let value = Infinity;
+        let from = -1;
+        if (rest === 0) {
+          value = dist(start, others[j]);
+        } else {
+          for (let k = 0; k < m; k++) {
+            if (!(rest & (1 << k))) continue;
+            const c = cost[rest * m + k] + dist(others[k], others[j]);
+            if (c < value) {
+              value = c;
+              from = k;
+            }
+          }
+        }
+        cost[mask * m + j] = value;
+        prev[mask * m + j] = from;
+        dpStates++;
+        if (bestEnd < 0 || value < cost[bestMask * m + bestEnd]) {
+          bestMask = mask;
+          bestEnd = j;
+        }
+      }
+    });
+    const partial = pathTo(bestMask, bestEnd);
+    steps.push({
+      phase: "layer",
+      visited: new Set(partial),
+      current: others[bestEnd],
+      subsetSize: s,
+      dpStates,
+      tspTour: partial,
+      tourCost: fmt(cost[bestMask * m + bestEnd]),
+      ...tsp.view(tourLegs(partial, false, "considering")),
+    });
+  }
+
+  // Close the tour back to the start
+  let end = 0;
+  for (let j = 1; j < m; j++) {
+    if (
+      cost[(size - 1) * m + j] + dist(others[j], start) <
+      cost[(size - 1) * m + end] + dist(others[end], start)
+    ) {
+      end = j;
+    }
+  }
+  const tour = pathTo(size - 1, end);
+  for (let k = 2; k <= tour.length; k++) {
+    const part = tour.slice(0, k);
+    steps.push({
+      phase: "trace",
+      visited: new Set(part),
+      current: part[k - 1],
+      subsetSize: m,
+      dpStates,
+      tspTour: tour,
+      tourCost: fmt(tsp.tourCost(tour)),
+      ...tsp.view(tourLegs(part, false)),
+    });
+  }
+
+  steps.push({
+    phase: "finished",
+    visited: new Set(tour),
+    current: null,
+    subsetSize: m,
+    dpStates,
+    tspTour: tour,
+    tourCost: fmt(tsp.tourCost(tour)),
+    ...tsp.view(tourLegs(tour, true)),
+    finished: true,
+    result: tourResult(
+      "Optimal tour (Held–Karp)",
+      tsp,
+      tour,
+      ` (${dpStates} subset states)`,
+    ),
+  });
+  return steps;
+}
+
+/**
+ * Simple undirected neighbor sets (no self-loops, parallel edges collapsed)
+ */
+function buildNeighborSets(nodes, edges) {
+  const adj = {};
+  nodes.forEach((n) => {
+    adj[n.id] = new Set();
+  });
+  edges.forEach((e) => {
+    if (e.from === e.to) return;
+    adj[e.from].add(e.to);
+    adj[e.to].add(e.from);
+  });
+  return adj;
+}
+
+/**
+ * Largest clique found greedily: grow a clique from every node, adding
+ * higher-degree neighbors first. Not guaranteed maximum, but its size is a
+ * valid lower bound on the chromatic number.
+ */
+function greedyLargestClique(ids, adj) {
+  const byDegree = [...ids].sort((a, b) => adj[b].size - adj[a].size);
+  let best = [];
+  byDegree.forEach((seed) => {
+    const clique = [seed];
+    byDegree.forEach((v) => {
+      if (v !== seed && clique.every((u) => adj[u].has(v))) clique.push(v);
+    });
+    if (clique.length > best.length) best = clique;
+  });
+  return best;
+}
+
+/**
+ * Shared vertex-coloring driver. `strategy` is "greedy" (node order, start
+ * node first), "welshPowell" (descending degree) or "dsatur" (most distinct
+ * neighbor colors next, ties by degree). Each node gets the smallest color
+ * index unused by its neighbors.
+ */
+function colorVertices(nodes, edges, options, strategy) {
+  const { startNode } = options;
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const adj = buildNeighborSets(nodes, edges);
+  const ids = nodes.map((n) => n.id);
+  const steps = [];
+
+  const coloring = {};
+  const saturation = {};
+  ids.forEach((id) => {
+    saturation[id] = 0;
+  });
+
+  let order = [];
+  if (strategy === "greedy") {
+    order = [...ids];
+    if (startNode && order.includes(startNode)) {
+      order.splice(order.indexOf(startNode), 1);
+      order.unshift(startNode);
+    }
+  } else if (strategy === "welshPowell") {
+    // Array.prototype.sort is stable, so equal degrees keep node order
+    order = [...ids].sort((a, b) => adj[b].size - adj[a].size);
+  }
+
+  const colorOf = (id) => DEFAULT_COLORS[coloring[id] % DEFAULT_COLORS.length];
+  const snapshot = (extra) => {
+    const sccColors = {};
+    Object.keys(coloring).forEach((id) => {
+      sccColors[id] = colorOf(id);
+    });
+    return {
+      visited: new Set(Object.keys(coloring)),
+      coloring: { ...coloring },
+      sccColors,
+      colorOrder: [...order],
+      saturation: strategy === "dsatur" ? { ...saturation } : {},
+      colorsUsed: new Set(Object.values(coloring)).size,
+      ...extra,
+    };
+  };
+
+  for (let i = 0; i < ids.length; i++) {
+    let u;
+    if (strategy === "dsatur") {
+      u = ids
+        .filter((id) => coloring[id] === undefined)
+        .reduce((best, id) =>
+          saturation[id] > saturation[best] ||
+          (saturation[id] === saturation[best] && adj[id].size > adj[best].size)
+            ? id
+            : best,
+        );
+      order.push(u);
+    } else {
+      u = order[i];
+    }
+
+    const blocked = new Set();
+    adj[u].forEach((v) => {
+      if (coloring[v] !== undefined) blocked.add(coloring[v]);
+    });
+    steps.push(
+      snapshot({
+        current: u,
+        blockedColors: [...blocked].sort((a, b) => a - b),
+      }),
+    );
+
+    let c = 0;
+    while (blocked.has(c)) c++;
+    coloring[u] = c;
+    if (strategy === "dsatur") {
+      adj[u].forEach((v) => {
+        if (coloring[v] !== undefined) return;
+        const seen = new Set();
+        adj[v].forEach((w) => {
+          if (coloring[w] !== undefined) seen.add(coloring[w]);
+        });
+        saturation[v] = seen.size;
+      });
+    }
+    steps.push(snapshot({ current: u, blockedColors: [] }));
+  }
+
+  const clique = greedyLargestClique(ids, adj);
+  const edgeStates = {};
+  edges.forEach((e) => {
+    if (e.from !== e.to && clique.includes(e.from) && clique.includes(e.to)) {
+      edgeStates[edgeKey(e)] = "clique";
+    }
+  });
+  const used = new Set(Object.values(coloring)).size;
+  steps.push(
+    snapshot({
+      current: null,
+      blockedColors: [],
+      cliqueBound: clique,
+      edgeStates,
+      finished: true,
+      result: `Used ${used} color${used === 1 ? "" : "s"}; lower bound ${
+        clique.length
+      } from clique {${clique.map(label).join(", ")}}${
+        used === clique.length ? " (optimal)" : ""
+      }`,
+    }),
+  );
+  return steps;
+}
+
+/**
+ * Greedy vertex coloring in node order (start node first)
+ */
+export function runGreedyColoring(nodes, edges, options = {}) {
+  return colorVertices(nodes, edges, options, "greedy");
+}
+
+/**
+ * Welsh-Powell coloring: greedy in descending degree order
+ */
+export function runWelshPowell(nodes, edges, options = {}) {
+  return colorVertices(nodes, edges, options, "welshPowell");
+}
+
+/**
+ * DSatur coloring: always colors the node whose neighbors already use the
+ * most distinct colors (saturation degree), ties broken by degree
+ */
+export function runDSatur(nodes, edges, options = {}) {
+  return colorVertices(nodes, edges, options, "dsatur");
+}
+
+/**
+ * Bron–Kerbosch with pivoting (Tomita): lists every maximal clique
+ * - R is the clique being grown, P the candidates that extend it, X the
+ *   nodes already handled (any clique using them was reported before)
+ * - The pivot u maximizes |P ∩ N(u)|; only P \ N(u) is branched on, since a
+ *   maximal clique must contain u or a non-neighbor of u
+ * - R is reported when P and X are both empty. Each frame is a step; the
+ *   reported clique is colored and its edges highlighted.
+ */
+export function runBronKerbosch(nodes, edges, options = {}) {
+  const { isDirected = false } = options;
+  if (isDirected) {
+    return [
+      {
+        finished: true,
+        result:
+          "Clique finding is defined for undirected graphs. Disable 'Directed Graph' mode.",
+      },
+    ];
+  }
+  if (nodes.length === 0) return [{ finished: true }];
+
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const adj = buildNeighborSets(nodes, edges);
+  const ids = nodes.map((n) => n.id);
+  const cliques = [];
+  const steps = [];
+
+  const cliqueStates = (clique) => {
+    const states = {};
+    edges.forEach((e) => {
+      if (e.from !== e.to && clique.includes(e.from) && clique.includes(e.to)) {
+        states[edgeKey(e)] = "clique";
+      }
+    });
+    return states;
+  };
+  const colorsFor = (clique, index) => {
+    const colors = {};
+    clique.forEach((id) => {
+      colors[id] = DEFAULT_COLORS[index % DEFAULT_COLORS.length];
+    });
+    return colors;
+  };
+  const frame = (R, P, X, depth, extra = {}) => ({
+    cliqueR: [...R],
+    cliqueP: [...P],
+    cliqueX: [...X],
+    recursionDepth: depth,
+    cliques: cliques.map((c) => c.slice()),
+    visited: new Set(cliques.flat()),
+    current: null,
+    pivot: null,
+    sccColors: {},
+    edgeStates: {},
+    ...extra,
+  });
+
+  const expand = (R, P, X, depth) => {
+    if (P.length === 0 && X.length === 0) {
+      cliques.push(R);
+      steps.push(
+        frame(R, P, X, depth, {
+          sccColors: colorsFor(R, cliques.length - 1),
+          edgeStates: cliqueStates(R),
+        }),
+      );
+      return;
+    }
+    const pivot = [...P, ...X].reduce((best, u) =>
+      P.filter((v) => adj[u].has(v)).length >
+      P.filter((v) => adj[best].has(v)).length
+        ? u
+        : best,
+    );
+    steps.push(frame(R, P, X, depth, { pivot }));
+
+    for (const v of P.filter((w) => !adj[pivot].has(w))) {
+      steps.push(frame(R, P, X, depth, { pivot, current: v }));
+      expand(
+        [...R, v],
+        P.filter((w) => adj[v].has(w)),
+        X.filter((w) => adj[v].has(w)),
+        depth + 1,
+      );
+      P = P.filter((w) => w !== v);
+      X = [...X, v];
+    }
+  };
+  expand([], ids, [], 0);
+
+  const maxClique = cliques.reduce(
+    (best, c) => (c.length > best.length ? c : best),
+    [],
+  );
+  steps.push({
+    ...frame([], [], [], 0),
+    maxClique,
+    sccColors: colorsFor(maxClique, cliques.indexOf(maxClique)),
+    edgeStates: cliqueStates(maxClique),
+    finished: true,
+    result: `Found ${cliques.length} maximal clique${
+      cliques.length === 1 ? "" : "s"
+    }; maximum {${maxClique.map(label).join(", ")}} (size ${maxClique.length})`,
+  });
+  return steps;
+}
+
+/**
+ * Final step shared by the centrality measures: ranks nodes by score
+ */
+function centralityResult(nodes, scores, scoreName) {
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const ranked = Object.keys(scores).sort((a, b) => scores[b] - scores[a]);
+  return {
+    current: null,
+    scores: { ...scores },
+    scoreName,
+    visited: new Set(Object.keys(scores)),
+    finished: true,
+    result:
+      ranked.length > 0
+        ? `Highest ${scoreName}: ${label(ranked[0])} (${scores[ranked[0]].toFixed(3)})`
+        : "Graph is empty",
+  };
+}
+
+/**
+ * PageRank (power iteration)
+ * - Options: damping (default 0.85), tolerance on the L1 change between
+ *   iterations (default 1e-6), maxIterations (default 100)
+ * - Undirected edges count in both directions; rank of dangling nodes (no
+ *   out-edges) is spread evenly over all nodes
+ * - One step per iteration with the full rank vector
+ */
+export function runPageRank(nodes, edges, options = {}) {
+  const {
+    isDirected = false,
+    damping = 0.85,
+    tolerance = 1e-6,
+    maxIterations = 100,
+  } = options;
+  const ids = nodes.map((n) => n.id);
+  const n = ids.length;
+  if (n === 0) return [{ finished: true, result: "Graph is empty" }];
+
+  const adj = buildAdjacency(nodes, edges, isDirected);
+  let rank = {};
+  ids.forEach((id) => {
+    rank[id] = 1 / n;
+  });
+
+  const steps = [
+    {
+      scores: { ...rank },
+      scoreName: "PageRank",
+      iteration: 0,
+      delta: null,
+      visited: new Set(),
+      current: null,
+    },
+  ];
+
+  let delta = Infinity;
+  let iteration = 0;
+  while (delta >= tolerance && iteration < maxIterations) {
+    iteration++;
+    const dangling = ids
+      .filter((id) => adj[id].length === 0)
+      .reduce((sum, id) => sum + rank[id], 0);
+    const next = {};
+    ids.forEach((id) => {
+      next[id] = (1 - damping) / n + (damping * dangling) / n;
+    });
+    ids.forEach((u) => {
+      const out = adj[u];
+      out.forEach((v) => {
+        next[v] += (damping * rank[u]) / out.length;
+      });
+    });
+    delta = ids.reduce((sum, id) => sum + Math.abs(next[id] - rank[id]), 0);
+    rank = next;
+    steps.push({
+      scores: { ...rank },
+      scoreName: "PageRank",
+      iteration,
+      delta,
+      visited: new Set(),
+      current: null,
+    });
+  }
+
+  const final = centralityResult(nodes, rank, "PageRank");
+  steps.push({
+    ...final,
+    iteration,
+    delta,
+    result: `${
+      delta < tolerance
+        ? `Converged after ${iteration} iterations`
+        : `Stopped after ${iteration} iterations (not converged)`
+    }. ${final.result}`,
+  });
+  return steps;
+}
+
+/**
+ * Degree centrality: degree / (n - 1); directed graphs count in + out degree
+ */
+export function runDegreeCentrality(nodes, edges, options = {}) {
+  const { isDirected = false } = options;
+  const ids = nodes.map((n) => n.id);
+  const norm = Math.max(1, ids.length - 1);
+  const adj = buildAdjacency(nodes, edges, isDirected);
+  const inDegree = {};
+  ids.forEach((id) => {
+    inDegree[id] = 0;
+  });
+  if (isDirected) edges.forEach((e) => inDegree[e.to]++);
+
+  const steps = [];
+  const scores = {};
+  ids.forEach((id) => {
+    scores[id] = (adj[id].length + inDegree[id]) / norm;
+    steps.push({
+      scores: { ...scores },
+      scoreName: "Degree centrality",
+      visited: new Set(Object.keys(scores)),
+      current: id,
+    });
+  });
+  steps.push(centralityResult(nodes, scores, "Degree centrality"));
+  return steps;
+}
+
+/**
+ * Single-source shortest paths with path counting for Brandes' algorithm.
+ * Dijkstra over edge weights (default 1); returns nodes in settled order,
+ * distances, shortest-path counts (sigma) and predecessor lists.
+ */
+function countShortestPaths(ids, inc, source) {
+  const dist = {};
+  const sigma = {};
+  const preds = {};
+  ids.forEach((id) => {
+    dist[id] = Infinity;
+    sigma[id] = 0;
+    preds[id] = [];
+  });
+  dist[source] = 0;
+  sigma[source] = 1;
+
+  const order = [];
+  const settled = new Set();
+  for (;;) {
+    let u = null;
+    ids.forEach((id) => {
+      if (!settled.has(id) && dist[id] < Infinity) {
+        if (u === null || dist[id] < dist[u]) u = id;
+      }
+    });
+    if (u === null) break;
+    settled.add(u);
+    order.push(u);
+    for (const { node: v, weight } of inc[u] || []) {
+      if (v === u || settled.has(v)) continue;
+      const alt = dist[u] + (weight ?? 1);
+      if (alt < dist[v]) {
+        dist[v] = alt;
+        sigma[v] = sigma[u];
+        preds[v] = [u];
+      } else if (alt === dist[v]) {
+        sigma[v] += sigma[u];
+        preds[v].push(u);
+      }
+    }
+  }
+  return { order, dist, sigma, preds };
+}
+
+function hasNegativeWeight(edges) {
+  return edges.some((e) => (e.weight ?? 1) < 0);
+}
+
+/**
+ * Closeness centrality using weighted shortest-path distances from each node.
+ * Scaled by the reachable fraction (Wasserman-Faust) so disconnected graphs
+ * still compare sensibly.
+ */
+export function runClosenessCentrality(nodes, edges, options = {}) {
+  const { isDirected = false } = options;
+  if (hasNegativeWeight(edges)) {
+    return [
+      {
+        finished: true,
+        result: "Closeness centrality requires non-negative edge weights.",
+      },
+    ];
+  }
+  const ids = nodes.map((n) => n.id);
+  const inc = buildIncidence(nodes, edges, isDirected);
+  const steps = [];
+  const scores = {};
+
+  ids.forEach((s) => {
+    const { order, dist } = countShortestPaths(ids, inc, s);
+    const total = order.reduce((sum, id) => sum + dist[id], 0);
+    const reached = order.length - 1;
+    scores[s] =
+      total > 0 && ids.length > 1
+        ? (reached / (ids.length - 1)) * (reached / total)
+        : 0;
+    steps.push({
+      scores: { ...scores },
+      scoreName: "Closeness centrality",
+      visited: new Set(order),
+      current: s,
+      distances: { ...dist },
+    });
+  });
+  steps.push({
+    ...centralityResult(nodes, scores, "Closeness centrality"),
+    distances: {},
+  });
+  return steps;
+}
+
+/**
+ * Betweenness centrality - Brandes' algorithm
+ * - One shortest-path DAG per source (Dijkstra with path counts), then
+ *   dependencies accumulated in reverse settled order
+ * - Scores are normalized by the number of node pairs
+ */
+export function runBetweennessCentrality(nodes, edges, options = {}) {
+  const { isDirected = false } = options;
+  if (hasNegativeWeight(edges)) {
+    return [
+      {
+        finished: true,
+        result: "Betweenness centrality requires non-negative edge weights.",
+      },
+    ];
+  }
+  const ids = nodes.map((n) => n.id);
+  const n = ids.length;
+  const inc = buildIncidence(nodes, edges, isDirected);
+  const raw = {};
+  ids.forEach((id) => {
+    raw[id] = 0;
+  });
+
+  // Divide by the (n - 1)(n - 2) ordered pairs; undirected pairs are
+  // accumulated from both ends, which matches halving over unordered pairs
+  const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0;
+  const normalized = () => {
+    const scores = {};
+    ids.forEach((id) => {
+      scores[id] = raw[id] * scale;
+    });
+    return scores;
+  };
+
+  const steps = [];
+  ids.forEach((s) => {
+    const { order, sigma, preds } = countShortestPaths(ids, inc, s);
+    const delta = {};
+    ids.forEach((id) => {
+      delta[id] = 0;
+    });
+    for (let i = order.length - 1; i >= 0; i--) {
+      const w = order[i];
+      preds[w].forEach((v) => {
+        delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+      });
+      if (w !== s) raw[w] += delta[w];
+    }
+    steps.push({
+      scores: normalized(),
+      scoreName: "Betweenness centrality",
+      visited: new Set(order),
+      current: s,
+      pathCounts: { ...sigma },
+      dependencies: { ...delta },
+    });
+  });
+  steps.push({
+    ...centralityResult(nodes, normalized(), "Betweenness centrality"),
+    pathCounts: {},
+    dependencies: {},
+  });
+  return steps;
+}
+
+/**
+ * Symmetric weighted adjacency { u: { v: weight } } for community detection.
+ * Edge direction is ignored; a self-loop adds twice its weight to A[u][u] so
+ * every node's degree is simply the sum of its row.
+ */
+function buildWeightMatrix(ids, edges) {
+  const A = {};
+  ids.forEach((id) => {
+    A[id] = {};
+  });
+  edges.forEach((e) => {
+    const w = e.weight ?? 1;
+    if (e.from === e.to) {
+      A[e.from][e.from] = (A[e.from][e.from] || 0) + 2 * w;
+    } else {
+      A[e.from][e.to] = (A[e.from][e.to] || 0) + w;
+      A[e.to][e.from] = (A[e.to][e.from] || 0) + w;
+    }
+  });
+  return A;
+}
+
+/**
+ * Modularity Q = sum over communities of in_c / 2m - (tot_c / 2m)^2
+ */
+function modularity(A, communityOf) {
+  const inside = {};
+  const total = {};
+  let twoM = 0;
+  Object.keys(A).forEach((u) => {
+    const c = communityOf[u];
+    Object.entries(A[u]).forEach(([v, w]) => {
+      twoM += w;
+      total[c] = (total[c] || 0) + w;
+      if (communityOf[v] === c) inside[c] = (inside[c] || 0) + w;
+    });
+  });
+  if (twoM === 0) return 0;
+  return Object.keys(total).reduce(
+    (q, c) => q + (inside[c] || 0) / twoM - (total[c] / twoM) ** 2,
+    0,
+  );
+}
+
+/**
+ * Renumber community labels 0..k-1 in node order so colors stay stable
+ */
+function relabelCommunities(ids, communityOf) {
+  const index = new Map();
+  const out = {};
+  ids.forEach((id) => {
+    const c = communityOf[id];
+    if (!index.has(c)) index.set(c, index.size);
+    out[id] = index.get(c);
+  });
+  return out;
+}
+
+function communityColors(communities) {
+  const colors = {};
+  Object.entries(communities).forEach(([id, c]) => {
+    colors[id] = DEFAULT_COLORS[c % DEFAULT_COLORS.length];
+  });
+  return colors;
+}
+
+function communityResult(communities, q) {
+  const count = new Set(Object.values(communities)).size;
+  return `Found ${count} communit${count === 1 ? "y" : "ies"} (modularity ${q.toFixed(3)})`;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1)
+ */
+function seededRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Community detection - label propagation
+ * - Every node starts in its own community, then repeatedly adopts the label
+ *   with the largest total edge weight among its neighbors (ties keep the
+ *   current label, otherwise one is picked at random)
+ * - Nodes are visited in a shuffled order each iteration; the shuffle and tie
+ *   breaks come from a seeded generator (option `seed`, default 1) so a run
+ *   can be replayed
+ */
+export function runLabelPropagation(nodes, edges, options = {}) {
+  const { maxIterations = 100, seed = 1 } = options;
+  const random = seededRandom(seed);
+  const ids = nodes.map((n) => n.id);
+  const A = buildWeightMatrix(ids, edges);
+  const label = {};
+  ids.forEach((id) => {
+    label[id] = id;
+  });
+
+  const snapshot = (extra) => {
+    const communities = relabelCommunities(ids, label);
+    return {
+      communities,
+      sccColors: communityColors(communities),
+      modularity: modularity(A, label),
+      ...extra,
+    };
+  };
+
+  const steps = [snapshot({ current: null, iteration: 0 })];
+  let iteration = 0;
+  let changed = true;
+  while (changed && iteration < maxIterations) {
+    changed = false;
+    iteration++;
+    const order = [...ids];
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+    order.forEach((u) => {
+      const weightByLabel = new Map();
+      Object.entries(A[u]).forEach(([v, w]) => {
+        if (v === u) return;
+        weightByLabel.set(label[v], (weightByLabel.get(label[v]) || 0) + w);
+      });
+      if (weightByLabel.size === 0) return;
+      const best = Math.max(...weightByLabel.values());
+      if (weightByLabel.get(label[u]) === best) return;
+      const ties = [...weightByLabel.keys()].filter(
+        (l) => weightByLabel.get(l) === best,
+      );
+      label[u] = ties[Math.floor(random() * ties.length)];
+      changed = true;
+      steps.push(snapshot({ current: u, iteration }));
+    });
+  }
+
+  const final = snapshot({ current: null, iteration });
+  steps.push({
+    ...final,
+    finished: true,
+    result: communityResult(final.communities, final.modularity),
+  });
+  return steps;
+}
+
+/**
+ * Community detection - Louvain modularity optimization
+ * - Local-move passes: each node joins the neighboring community with the
+ *   largest modularity gain until a full pass moves nothing
+ * - Aggregation: communities collapse into super-nodes (edge weights summed)
+ *   and the next level repeats the local moves on that smaller graph
+ * - Stops when a level makes no move
+ */
+export function runLouvain(nodes, edges) {
+  const ids = nodes.map((n) => n.id);
+  const original = buildWeightMatrix(ids, edges);
+  const steps = [];
+
+  // membership: original node -> super-node of the current level
+  const membership = {};
+  ids.forEach((id) => {
+    membership[id] = id;
+  });
+
+  let A = original;
+  let level = 0;
+
+  const snapshot = (community, extra) => {
+    const raw = {};
+    ids.forEach((id) => {
+      raw[id] = community[membership[id]];
+    });
+    const communities = relabelCommunities(ids, raw);
+    return {
+      communities,
+      sccColors: communityColors(communities),
+      modularity: modularity(original, raw),
+      louvainLevel: level,
+      superNodes: Object.keys(A).length,
+      ...extra,
+    };
+  };
+
+  for (;;) {
+    const levelIds = Object.keys(A);
+    const degree = {};
+    let twoM = 0;
+    levelIds.forEach((u) => {
+      degree[u] = Object.values(A[u]).reduce((s, w) => s + w, 0);
+      twoM += degree[u];
+    });
+    if (twoM === 0) break;
+
+    const community = {};
+    const total = {};
+    levelIds.forEach((u) => {
+      community[u] = u;
+      total[u] = degree[u];
+    });
+
+    steps.push(
+      snapshot(community, {
+        phase: "localMove",
+        louvainPass: 0,
+        current: null,
+      }),
+    );
+
+    let movedThisLevel = false;
+    let pass = 0;
+    let moved = true;
+    while (moved) {
+      moved = false;
+      pass++;
+      levelIds.forEach((u) => {
+        const from = community[u];
+        total[from] -= degree[u];
+
+        // Weight from u into each neighboring community
+        const links = new Map([[from, 0]]);
+        Object.entries(A[u]).forEach(([v, w]) => {
+          if (v === u) return;
+          links.set(community[v], (links.get(community[v]) || 0) + w);
+        });
+
+        const gain = (c) => links.get(c) - (total[c] * degree[u]) / twoM;
+        let best = from;
+        links.forEach((_, c) => {
+          if (gain(c) > gain(best) + 1e-12) best = c;
+        });
+
+        community[u] = best;
+        total[best] += degree[u];
+        if (best !== from) {
+          moved = true;
+          movedThisLevel = true;
+          const current = ids.find((id) => membership[id] === u);
+          steps.push(
+            snapshot(community, {
+              phase: "localMove",
+              louvainPass: pass,
+              current,
+            }),
+          );
+        }
+      });
+    }
+
+    if (!movedThisLevel) break;
+
+    // Aggregate: each community becomes a super-node
+    const next = {};
+    levelIds.forEach((u) => {
+      next[community[u]] = next[community[u]] || {};
+    });
+    levelIds.forEach((u) => {
+      Object.entries(A[u]).forEach(([v, w]) => {
+        const cu = community[u];
+        const cv = community[v];
+        next[cu][cv] = (next[cu][cv] || 0) + w;
+      });
+    });
+    ids.forEach((id) => {
+      membership[id] = community[membership[id]];
+    });
+    A = next;
+    level++;
+
+    const identity = {};
+    Object.keys(A).forEach((c) => {
+      identity[c] = c;
+    });
+    steps.push(
+      snapshot(identity, {
+        phase: "aggregate",
+        louvainPass: pass,
+        current: null,
+      }),
+    );
+  }
+
+  const identity = {};
+  Object.keys(A).forEach((c) => {
+    identity[c] = c;
+  });
+  const final = snapshot(identity, { phase: "finished", current: null });
+  steps.push({
+    ...final,
+    finished: true,
+    result: communityResult(final.communities, final.modularity),
+  });
+  return steps;
+}
+
+/**
+ * VF2-style graph isomorphism / induced subgraph isomorphism
+ * - options.pattern ({ nodes, edges }) is the comparison graph; it is
+ *   matched against the current graph (all of it for "isomorphism",
+ *   an induced subgraph of it for "subgraph")
+ * - Grows a partial mapping one pair at a time, preferring pattern nodes
+ *   next to the mapped part (terminal set). A pair is feasible when edges
+ *   to already mapped nodes agree in both graphs and the terminal / unseen
+ *   neighbor counts can still work out (look-ahead).
+ * - Every tried pair and every backtrack is a step; stops at the first
+ *   complete mapping or after maxStates tried pairs
+ * - On success comparisonLayout places each pattern node on its match
+ */
+export function runVF2(nodes, edges, options = {}) {
+  const {
+    isDirected = false,
+    pattern,
+    isoMode = "isomorphism",
+    maxStates = 5000,
+  } = options;
+  if (!pattern || !Array.isArray(pattern.nodes) || pattern.nodes.length === 0) {
+    return [
+      {
+        finished: true,
+        result:
+          "Load a comparison graph first (copy the current graph or load a JSON file).",
+      },
+    ];
+  }
+
+  const subgraph = isoMode === "subgraph";
+  const describe = (ns, es) => {
+    const ids = ns.map((n) => n.id);
+    const arcs = new Set();
+    const nbrs = {};
+    const loops = new Set();
+    ids.forEach((id) => {
+      nbrs[id] = new Set();
+    });
+    es.forEach((e) => {
+      if (nbrs[e.from] === undefined || nbrs[e.to] === undefined) return;
+      if (e.from === e.to) {
+        loops.add(e.from);
+        return;
+      }
+      arcs.add(`${e.from}\u0000${e.to}`);
+      if (!isDirected) arcs.add(`${e.to}\u0000${e.from}`);
+      nbrs[e.from].add(e.to);
+      nbrs[e.to].add(e.from);
+    });
+    const has = (u, v) => arcs.has(`${u}\u0000${v}`);
+    const label = (id) => ns.find((n) => n.id === id)?.label || id;
+    return { ids, nbrs, loops, has, label, arcCount: arcs.size };
+  };
+  const P = describe(pattern.nodes, pattern.edges || []);
+  const T = describe(nodes, edges);
+
+  const steps = [];
+  const core1 = {};
+  const core2 = {};
+  let statesExplored = 0;
+
+  const badges = () => {
+    const out = {};
+    Object.keys(core1).forEach((p) => {
+      out[core1[p]] = P.label(p);
+    });
+    return out;
+  };
+  const mappedEdgeStates = () => {
+    const states = {};
+    edges.forEach((e) => {
+      const p = core2[e.from];
+      const q = core2[e.to];
+      if (p !== undefined && q !== undefined && (p === q || P.has(p, q))) {
+        states[edgeKey(e)] = "matched";
+      }
+    });
+    return states;
+  };
+  const snapshot = (extra = {}) => ({
+    isoMapping: { ...core1 },
+    isoBadges: badges(),
+    searchDepth: Object.keys(core1).length,
+    statesExplored,
+    visited: new Set(Object.keys(core2)),
+    edgeStates: mappedEdgeStates(),
+    isoCandidate: null,
+    current: null,
+    ...extra,
+  });
+  const finish = (result, extra = {}) => {
+    steps.push(snapshot({ finished: true, result, ...extra }));
+    return steps;
+  };
+
+  // Cheap invariants first
+  const degreeKey = (G) =>
+    G.ids
+      .map((id) => G.nbrs[id].size)
+      .sort((a, b) => a - b)
+      .join();
+  if (!subgraph) {
+    if (P.ids.length !== T.ids.length || P.arcCount !== T.arcCount) {
+      return finish(
+        `Not isomorphic: ${P.ids.length} nodes / ${P.arcCount} arcs vs ${T.ids.length} nodes / ${T.arcCount} arcs`,
+      );
+    }
+    if (degreeKey(P) !== degreeKey(T)) {
+      return finish("Not isomorphic: degree sequences differ");
+    }
+  } else if (P.ids.length > T.ids.length) {
+    return finish(
+      "No subgraph match: the comparison graph has more nodes than the current graph",
+    );
+  }
+
+  const terminal = (G, core) => {
+    const out = new Set();
+    Object.keys(core).forEach((u) => {
+      G.nbrs[u].forEach((v) => {
+        if (core[v] === undefined) out.add(v);
+      });
+    });
+    return out;
+  };
+  const compatible = (a, b) => (subgraph ? a <= b : a === b);
+
+  const feasible = (n, m, T1, T2) => {
+    if (P.loops.has(n) !== T.loops.has(m)) return false;
+    if (!subgraph && P.nbrs[n].size !== T.nbrs[m].size) return false;
+    for (const p of Object.keys(core1)) {
+      const t = core1[p];
+      if (P.has(n, p) !== T.has(m, t) || P.has(p, n) !== T.has(t, m)) {
+        return false;
+      }
+    }
+    let t1 = 0;
+    let new1 = 0;
+    P.nbrs[n].forEach((v) => {
+      if (core1[v] !== undefined) return;
+      if (T1.has(v)) t1++;
+      else new1++;
+    });
+    let t2 = 0;
+    let new2 = 0;
+    T.nbrs[m].forEach((v) => {
+      if (core2[v] !== undefined) return;
+      if (T2.has(v)) t2++;
+      else new2++;
+    });
+    return compatible(t1, t2) && compatible(new1, new2);
+  };
+
+  const match = () => {
+    if (Object.keys(core1).length === P.ids.length) return true;
+    const T1 = terminal(P, core1);
+    const T2 = terminal(T, core2);
+    let n;
+    let candidates;
+    if (T1.size > 0 && T2.size > 0) {
+      n = P.ids.find((id) => T1.has(id));
+      candidates = T.ids.filter((id) => T2.has(id));
+    } else if (T1.size === 0 && (subgraph || T2.size === 0)) {
+      n = P.ids.find((id) => core1[id] === undefined);
+      candidates = T.ids.filter((id) => core2[id] === undefined);
+    } else {
+      return false;
+    }
+
+    for (const m of candidates) {
+      if (statesExplored >= maxStates) return false;
+      statesExplored++;
+      const ok = feasible(n, m, T1, T2);
+      steps.push(
+        snapshot({
+          phase: "try",
+          current: m,
+          isoCandidate: {
+            pattern: n,
+            label: P.label(n),
+            target: m,
+            feasible: ok,
+          },
+        }),
+      );
+      if (!ok) continue;
+      core1[n] = m;
+      core2[m] = n;
+      if (match()) return true;
+      delete core1[n];
+      delete core2[m];
+      steps.push(snapshot({ phase: "backtrack", current: m }));
+    }
+    return false;
+  };
+
+  steps.push(snapshot({ phase: "try" }));
+  if (match()) {
+    const comparisonLayout = {};
+    Object.keys(core1).forEach((p) => {
+      const target = nodes.find((node) => node.id === core1[p]);
+      comparisonLayout[p] = { x: target.x, y: target.y };
+    });
+    return finish(
+      `${subgraph ? "Subgraph match" : "Isomorphic"} after ${statesExplored} states: ${P.ids
+        .map((p) => `${P.label(p)} → ${T.label(core1[p])}`)
+        .join(", ")}`,
+      { phase: "match", comparisonLayout },
+    );
+  }
+  return finish(
+    statesExplored >= maxStates
+      ? `Search stopped after ${maxStates} states without a match`
+      : `${subgraph ? "No subgraph match" : "Not isomorphic"} (explored ${statesExplored} states)`,
+    { phase: "finished" },
+  );
 }
 
 /**
@@ -705,8 +6775,52 @@ export function runTopologicalSort(nodes, edges, options = {}) {
 export default {
   bfs: runBFS,
   dfs: runDFS,
+  depthLimitedDfs: runDepthLimitedDFS,
+  iddfs: runIDDFS,
   dijkstra: runDijkstra,
+  astar: runAStar,
+  bidirectionalBfs: runBidirectionalBFS,
+  bidirectionalDijkstra: runBidirectionalDijkstra,
+  yenKShortest: runYenKShortest,
   scc: runSCC,
+  tarjanScc: runTarjanSCC,
+  twoSat: runTwoSat,
+  articulationPoints: runArticulationPoints,
   bellmanFord: runBellmanFord,
   topologicalSort: runTopologicalSort,
+  prim: runPrim,
+  kruskal: runKruskal,
+  chuLiuEdmonds: runChuLiuEdmonds,
+  floydWarshall: runFloydWarshall,
+  johnson: runJohnson,
+  edmondsKarp: runEdmondsKarp,
+  dinic: runDinic,
+  minCostFlow: runMinCostFlow,
+  bipartite: runBipartite,
+  hopcroftKarp: runHopcroftKarp,
+  hungarian: runHungarian,
+  eulerian: runEulerian,
+  tspNearestNeighbor: runTspNearestNeighbor,
+  twoOpt: runTwoOpt,
+  christofides: runChristofides,
+  heldKarp: runHeldKarp,
+  cycleDetection: runCycleDetection,
+  pageRank: runPageRank,
+  degreeCentrality: runDegreeCentrality,
+  closenessCentrality: runClosenessCentrality,
+  betweennessCentrality: runBetweennessCentrality,
+  labelPropagation: runLabelPropagation,
+  louvain: runLouvain,
+  greedyColoring: runGreedyColoring,
+  welshPowell: runWelshPowell,
+  dsatur: runDSatur,
+  bronKerbosch: runBronKerbosch,
+  vf2: runVF2,
+  treeLca: runTreeLCA,
+  treeDiameter: runTreeDiameter,
+  treeCenter: runTreeCenter,
+  eulerTour: runEulerTour,
+  dagPaths: runDagPaths,
+  transitiveClosure: runTransitiveClosure,
+  transitiveReduction: runTransitiveReduction,
 };
@@ -8,6 +8,7 @@ import {
   SelectValue,
 } from "../ui/select";
 import { Slider } from "../ui/slider";
+import { Switch } from "../ui/switch";
 import Badge from "../ui/badge";
 import { Zap } from "lucide-react";
 
@@ -17,6 +18,8 @@ export default function AlgorithmControls({
   algorithms,
   animationSpeed,
   setAnimationSpeed,
+  algorithmOptions = {},
+  setAlgorithmOptions,
   resetAlgorithmState,
 }) {
   const handleAlgorithmChange = (value) => {
@@ -25,6 +28,51 @@ export default function AlgorithmControls({
     resetAlgorithmState();
   };
 
+  const handleOptionChange = (key, value) => {
+    if (setAlgorithmOptions) {
+      setAlgorithmOptions((prev) => ({ ...prev, [key]: value }));
+    }
+    resetAlgorithmState();
+  };
+
+  const heuristics = {
+    euclidean: "Euclidean (straight line)",
+    manhattan: "Manhattan (grid)",
+    zero: "Zero (same as Dijkstra)",
+  };
+
+  const dagModes = {
+    shortest: "Shortest paths",
+    longest: "Longest paths",
+    schedule: "Project schedule (CPM)",
+  };
+
+  const isoModes = {
+    isomorphism: "Isomorphism",
+    subgraph: "Induced subgraph",
+  };
+
+  const tolerances = {
+    0.001: "1e-3",
+    0.0001: "1e-4",
+    0.000001: "1e-6",
+    0.00000001: "1e-8",
+  };
+
+  const scoreAlgorithms = [
+    "pageRank",
+    "degreeCentrality",
+    "closenessCentrality",
+    "betweennessCentrality",
+  ];
+
+  // Display-only: switching encoding keeps the current run
+  const handleEncodingChange = (value) => {
+    if (setAlgorithmOptions) {
+      setAlgorithmOptions((prev) => ({ ...prev, scoreEncoding: value }));
+    }
+  };
+
   const handleSpeedChange = (value) => {
     setAnimationSpeed(1100 - value[0]); // Invert so slider left = slower
   };
@@ -60,6 +108,191 @@ export default function AlgorithmControls({
           </Select>
         </div>
 
+        {selectedAlgorithm === "astar" && (
+          <div>
+            <label className="text-sm font-medium text-slate-300 mb-2 block">
+              Heuristic
+            </label>
+            <Select
+              value={algorithmOptions.heuristic}
+              onValueChange={(value) => handleOptionChange("heuristic", value)}
+            >
+              {Object.entries(heuristics).map(([key, label]) => (
+                <SelectItem key={key} value={key} className="text-slate-200">
+                  {label}
+                </SelectItem>
+              ))}
+            </Select>
+          </div>
+        )}
+
+        {selectedAlgorithm === "dagPaths" && (
+          <div>
+            <label className="text-sm font-medium text-slate-300 mb-2 block">
+              Mode
+            </label>
+            <Select
+              value={algorithmOptions.dagMode ?? "shortest"}
+              onValueChange={(value) => handleOptionChange("dagMode", value)}
+            >
+              {Object.entries(dagModes).map(([key, label]) => (
+                <SelectItem key={key} value={key} className="text-slate-200">
+                  {label}
+                </SelectItem>
+              ))}
+            </Select>
+          </div>
+        )}
+
+        {selectedAlgorithm === "vf2" && (
+          <div>
+            <label className="text-sm font-medium text-slate-300 mb-2 block">
+              Match
+            </label>
+            <Select
+              value={algorithmOptions.isoMode ?? "isomorphism"}
+              onValueChange={(value) => handleOptionChange("isoMode", value)}
+            >
+              {Object.entries(isoModes).map(([key, label]) => (
+                <SelectItem key={key} value={key} className="text-slate-200">
+                  {label}
+                </SelectItem>
+              ))}
+            </Select>
+          </div>
+        )}
+
+        {selectedAlgorithm === "pageRank" && (
+          <>
+            <div>
+              <label className="text-sm font-medium text-slate-300 mb-2 block">
+                Damping: {Number(algorithmOptions.damping ?? 0.85).toFixed(2)}
+              </label>
+              <Slider
+                value={[algorithmOptions.damping ?? 0.85]}
+                onValueChange={(value) =>
+                  handleOptionChange("damping", value[0])
+                }
+                min={0.5}
+                max={0.99}
+                step={0.01}
+                className="w-full"
+              />
+            </div>
+            <div>
+              <label className="text-sm font-medium text-slate-300 mb-2 block">
+                Tolerance
+              </label>
+              <Select
+                value={String(algorithmOptions.tolerance ?? 0.000001)}
+                onValueChange={(value) =>
+                  handleOptionChange("tolerance", Number(value))
+                }
+              >
+                {Object.entries(tolerances).map(([key, label]) => (
+                  <SelectItem
+                    key={key}
+                    value={String(Number(key))}
+                    className="text-slate-200"
+                  >
+                    {label}
+                  </SelectItem>
+                ))}
+              </Select>
+            </div>
+          </>
+        )}
+
+        {(selectedAlgorithm === "depthLimitedDfs" ||
+          selectedAlgorithm === "iddfs") && (
+          <div>
+            <label className="text-sm font-medium text-slate-300 mb-2 block">
+              {selectedAlgorithm === "iddfs" ? "Max Depth" : "Depth Limit"}:{" "}
+              {algorithmOptions.depthLimit ?? 3}
+            </label>
+            <Slider
+              value={[algorithmOptions.depthLimit ?? 3]}
+              onValueChange={(value) =>
+                handleOptionChange("depthLimit", value[0])
+              }
+              min={0}
+              max={10}
+              step={1}
+              className="w-full"
+            />
+          </div>
+        )}
+
+        {selectedAlgorithm === "yenKShortest" && (
+          <div>
+            <label className="text-sm font-medium text-slate-300 mb-2 block">
+              Paths (K): {algorithmOptions.pathCount ?? 3}
+            </label>
+            <Slider
+              value={[algorithmOptions.pathCount ?? 3]}
+              onValueChange={(value) =>
+                handleOptionChange("pathCount", value[0])
+              }
+              min={1}
+              max={10}
+              step={1}
+              className="w-full"
+            />
+          </div>
+        )}
+
+        {(selectedAlgorithm === "tspNearestNeighbor" ||
+          selectedAlgorithm === "twoOpt" ||
+          selectedAlgorithm === "christofides" ||
+          selectedAlgorithm === "heldKarp") && (
+          <div className="flex items-center justify-between">
+            <label className="text-sm font-medium text-slate-300">
+              Euclidean Distances
+            </label>
+            <Switch
+              checked={algorithmOptions.tspEuclidean ?? false}
+              onCheckedChange={(checked) =>
+                handleOptionChange("tspEuclidean", checked)
+              }
+            />
+          </div>
+        )}
+
+        {selectedAlgorithm === "labelPropagation" && (
+          <div>
+            <label className="text-sm font-medium text-slate-300 mb-2 block">
+              Seed: {algorithmOptions.seed ?? 1}
+            </label>
+            <Slider
+              value={[algorithmOptions.seed ?? 1]}
+              onValueChange={(value) => handleOptionChange("seed", value[0])}
+              min={1}
+              max={20}
+              step={1}
+              className="w-full"
+            />
+          </div>
+        )}
+
+        {scoreAlgorithms.includes(selectedAlgorithm) && (
+          <div>
+            <label className="text-sm font-medium text-slate-300 mb-2 block">
+              Show Score As
+            </label>
+            <Select
+              value={algorithmOptions.scoreEncoding ?? "size"}
+              onValueChange={handleEncodingChange}
+            >
+              <SelectItem value="size" className="text-slate-200">
+                Node size
+              </SelectItem>
+              <SelectItem value="color" className="text-slate-200">
+                Node color
+              </SelectItem>
+            </Select>
+          </div>
+        )}
+
         <div>
           <label className="text-sm font-medium text-slate-300 mb-2 block">
             Animation Speed
@@ -99,6 +332,27 @@ export default function AlgorithmControls({
                 <p>• Time: O(V + E), Space: O(V)</p>
               </div>
             )}
+            {selectedAlgorithm === "yenKShortest" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Purple: root path, dashed red: removed edges</p>
+                <p>• Click a path in the results to show it</p>
+                <p>• Time: O(K·V·(E + V²)), Space: O(K·V + E)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "depthLimitedDfs" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• DFS that never goes deeper than the limit</p>
+                <p>• Dimmed nodes lie beyond the limit</p>
+                <p>• Time: O(b^l), Space: O(l)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "iddfs" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Repeats depth-limited DFS with limit 0, 1, 2, ...</p>
+                <p>• Shallowest path like BFS, memory like DFS</p>
+                <p>• Time: O(b^d), Space: O(d)</p>
+              </div>
+            )}
             {selectedAlgorithm === "dijkstra" && (
               <div className="text-xs text-slate-400 space-y-1">
                 <p>• Finds shortest weighted path</p>
@@ -106,6 +360,34 @@ export default function AlgorithmControls({
                 <p>• Time: O(V²), Space: O(V)</p>
               </div>
             )}
+            {selectedAlgorithm === "astar" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Expands the node with the lowest f = g + h</p>
+                <p>• h uses node positions toward the end node</p>
+                <p>• Time: O(V²), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "bidirectionalBfs" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• BFS from start (cyan) and end (pink) at once</p>
+                <p>• Expands the smaller frontier a level at a time</p>
+                <p>• Time: O(V + E), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "bidirectionalDijkstra" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Dijkstra forward from start, backward from end</p>
+                <p>• Stops when both frontier minima sum to ≥ best</p>
+                <p>• Time: O(V²), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "twoSat" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Build the implication graph from the formula first</p>
+                <p>• x and ¬x in one SCC: unsatisfiable (red cycle)</p>
+                <p>• Green literals are true in the assignment</p>
+              </div>
+            )}
             {selectedAlgorithm === "scc" && (
               <div className="text-xs text-slate-400 space-y-1">
                 <p>• Finds strongly connected components</p>
@@ -113,6 +395,253 @@ export default function AlgorithmControls({
                 <p>• Time: O(V + E), Space: O(V)</p>
               </div>
             )}
+            {selectedAlgorithm === "tarjanScc" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Single DFS with discovery index and lowlink</p>
+                <p>• SCC root when lowlink equals its index</p>
+                <p>• Time: O(V + E), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "articulationPoints" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• DFS discovery time (disc) and low-link (low)</p>
+                <p>• Cut vertices outlined, bridges dashed</p>
+                <p>• Time: O(V + E), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "edmondsKarp" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Start node is the source, end node the sink</p>
+                <p>• BFS finds the shortest residual path each round</p>
+                <p>• Time: O(V * E²), Space: O(E)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "dinic" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Level graph (L0, L1, ...) from a residual BFS</p>
+                <p>• Blocking flow pushed along level-increasing arcs</p>
+                <p>• Time: O(V² * E), Space: O(E)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "minCostFlow" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Edge labels: flow/capacity · $cost per unit</p>
+                <p>• h= badges: node potentials after each Dijkstra</p>
+                <p>• Time: O(F · V²), Space: O(V + E)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "bipartite" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Neighbors get the opposite color</p>
+                <p>• A same-colored edge closes an odd cycle</p>
+                <p>• Time: O(V + E), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "hopcroftKarp" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Matched edges solid, edges leaving the matching dashed</p>
+                <p>• Shortest alternating paths per BFS phase</p>
+                <p>• Time: O(E√V), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "hungarian" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• h= badges: row and column potentials</p>
+                <p>• Yellow edge: next column reached over a tight edge</p>
+                <p>• Time: O(n² · m), Space: O(n · m)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "eulerian" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Unbalanced nodes are outlined when no trail exists</p>
+                <p>• Dead ends pop from the stack onto the circuit</p>
+                <p>• Time: O(V + E), Space: O(E)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "tspNearestNeighbor" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Badges show distances to unvisited nodes</p>
+                <p>• Yellow leg goes to the closest one</p>
+                <p>
+                  • Legs off the graph are shortest paths (or straight lines)
+                </p>
+              </div>
+            )}
+            {selectedAlgorithm === "twoOpt" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Red dashed legs are removed, blue dashed legs added</p>
+                <p>• Δ is the cost change of the swap (negative improves)</p>
+                <p>• Stops when no swap lowers the cost</p>
+              </div>
+            )}
+            {selectedAlgorithm === "christofides" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Green: MST, teal: matching of outlined odd nodes</p>
+                <p>• Euler circuit is shortcut past repeated nodes</p>
+                <p>• At most 1.5× optimal with an exact matching</p>
+              </div>
+            )}
+            {selectedAlgorithm === "heldKarp" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Exact optimum, up to 15 nodes</p>
+                <p>• Shows the best partial path per subset size</p>
+                <p>• Time: O(2^V · V^2), Space: O(2^V · V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "pageRank" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Rank flows along out-edges, damped by d</p>
+                <p>• Stops when the rank vector changes less than tolerance</p>
+                <p>• Time: O(k(V + E)), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "degreeCentrality" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Incident edges over n - 1</p>
+                <p>• Directed graphs count in + out degree</p>
+                <p>• Time: O(V + E), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "closenessCentrality" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Shortest-path distances from each node</p>
+                <p>• Scaled by how many nodes it reaches</p>
+                <p>• Time: O(V³), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "betweennessCentrality" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Counts shortest paths through each node</p>
+                <p>• Brandes: dependencies summed in reverse order</p>
+                <p>• Time: O(V³), Space: O(V + E)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "labelPropagation" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Each node takes its neighbors' heaviest label</p>
+                <p>• Change the seed to try another visiting order</p>
+                <p>• Time: O(k(V + E)), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "louvain" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Local moves maximize the modularity gain</p>
+                <p>• Communities collapse into super-nodes per level</p>
+                <p>• Time: ~O(E log V), Space: O(V + E)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "transitiveClosure" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Warshall: try every node k as an intermediate</p>
+                <p>• Dashed blue edges are added by the closure</p>
+                <p>• Time: O(V³), Space: O(V²)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "transitiveReduction" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Drops edges implied by a longer path (DAG only)</p>
+                <p>• Dotted red edges are removed by the reduction</p>
+                <p>• Time: O(V·E), Space: O(V²)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "dagPaths" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Relaxes edges once, in topological order</p>
+                <p>• Schedule: edge weight = time until the next task</p>
+                <p>• Time: O(V + E), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "cycleDetection" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Blue nodes are on the DFS stack (gray)</p>
+                <p>• Green nodes are finished (black)</p>
+                <p>• Time: O(V + E), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "bronKerbosch" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• R: clique so far, P: candidates, X: excluded</p>
+                <p>• Branches only on non-neighbors of the pivot</p>
+                <p>• Time: O(3^(V/3)) worst case, Space: O(V²)</p>
+              </div>
+            )}
+            {(selectedAlgorithm === "treeLca" ||
+              selectedAlgorithm === "treeDiameter" ||
+              selectedAlgorithm === "treeCenter" ||
+              selectedAlgorithm === "eulerTour") && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• First checks for cycles, extra parents and connectivity</p>
+                <p>• Rooted at the first node (directed: the source)</p>
+                <p>
+                  •{" "}
+                  {selectedAlgorithm === "treeLca"
+                    ? "Orange rings: the two nodes being lifted"
+                    : selectedAlgorithm === "treeCenter"
+                      ? "Blue: leaves removed this round"
+                      : selectedAlgorithm === "eulerTour"
+                        ? "Yellow edges: descended, green: returned"
+                        : "Badges: hop distance from the BFS source"}
+                </p>
+              </div>
+            )}
+            {selectedAlgorithm === "vf2" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Badges show which comparison node maps here</p>
+                <p>• Rose ring: candidate pair rejected</p>
+                <p>• Time: O(V!·V) worst case, Space: O(V)</p>
+              </div>
+            )}
+            {(selectedAlgorithm === "greedyColoring" ||
+              selectedAlgorithm === "welshPowell" ||
+              selectedAlgorithm === "dsatur") && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Smallest color not used by any neighbor</p>
+                <p>
+                  •{" "}
+                  {selectedAlgorithm === "dsatur"
+                    ? "Next node: highest saturation (sat badge)"
+                    : selectedAlgorithm === "welshPowell"
+                      ? "Nodes taken by descending degree"
+                      : "Nodes taken in list order"}
+                </p>
+                <p>• Greedy clique gives a lower bound</p>
+              </div>
+            )}
+            {selectedAlgorithm === "prim" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Grows one tree from the start node</p>
+                <p>• Frontier edges kept in a priority queue</p>
+                <p>• Time: O(E log E), Space: O(E)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "kruskal" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Scans edges from lightest to heaviest</p>
+                <p>• Union-find rejects edges that close a cycle</p>
+                <p>• Time: O(E log E), Space: O(V)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "chuLiuEdmonds" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Each node takes its cheapest incoming edge</p>
+                <p>• Cycles contract into super-nodes, then expand</p>
+                <p>• Time: O(V·E), Space: O(V + E)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "floydWarshall" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Shortest paths between every pair of nodes</p>
+                <p>• Negative diagonal means a negative cycle</p>
+                <p>• Time: O(V³), Space: O(V²)</p>
+              </div>
+            )}
+            {selectedAlgorithm === "johnson" && (
+              <div className="text-xs text-slate-400 space-y-1">
+                <p>• Bellman-Ford potentials h from a virtual source</p>
+                <p>• w' = w + h(u) - h(v) ≥ 0, then Dijkstra from each node</p>
+                <p>• Time: O(VE log V) with a heap, Space: O(V²)</p>
+              </div>
+            )}
           </div>
         </div>
       </CardContent>
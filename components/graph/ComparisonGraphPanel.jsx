@@ -0,0 +1,210 @@
+import React, { useRef, useState } from "react";
+import { Card, CardHeader, CardTitle, CardContent } from "../ui/card";
+import Button from "../ui/button";
+
+/**
+ * ComparisonGraphPanel
+ *
+ * Holds the second graph used by the isomorphism search. The slot is filled
+ * by copying the current graph (then edit the canvas and compare) or by
+ * loading a GraphData JSON file ({ name, nodes, edges, isDirected }).
+ * Shows a small preview; once a match is found the preview is re-laid out
+ * with each comparison node placed on the node it maps to.
+ *
+ * Props:
+ * - comparisonGraph: { name, nodes, edges } | null
+ * - setComparisonGraph: (graph | null) => void
+ * - nodes, edges: current graph (copied into the slot)
+ * - isDirected: boolean (preview arrows)
+ * - algorithmState: object (isoMapping, comparisonLayout)
+ * - resetAlgorithmState: () => void
+ */
+export default function ComparisonGraphPanel({
+  comparisonGraph,
+  setComparisonGraph,
+  nodes,
+  edges,
+  isDirected,
+  algorithmState,
+  resetAlgorithmState,
+}) {
+  const fileRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const store = (graph) => {
+    setComparisonGraph(graph);
+    setError(null);
+    resetAlgorithmState();
+  };
+
+  const copyCurrent = () => {
+    store({
+      name: "Copy of current graph",
+      nodes: nodes.map((n) => ({ ...n })),
+      edges: edges.map((e) => ({ ...e })),
+    });
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        const data = JSON.parse(text);
+        if (!Array.isArray(data.nodes) || !Array.isArray(data.edges)) {
+          throw new Error("expected GraphData with nodes and edges arrays");
+        }
+        store({
+          name: data.name || file.name,
+          nodes: data.nodes.map((n, i) => ({
+            ...n,
+            id: String(n.id),
+            x: n.x ?? 60 + (i % 5) * 80,
+            y: n.y ?? 60 + Math.floor(i / 5) * 80,
+          })),
+          edges: data.edges.map((edge, i) => ({
+            ...edge,
+            id: edge.id ?? `cmp_edge_${i}`,
+            from: String(edge.from),
+            to: String(edge.to),
+          })),
+        });
+      })
+      .catch((err) => setError(`Could not load ${file.name}: ${err.message}`));
+  };
+
+  const layout = algorithmState.comparisonLayout;
+  const mapping = algorithmState.isoMapping || {};
+  const positioned = comparisonGraph
+    ? comparisonGraph.nodes.map((n) => ({ ...n, ...(layout?.[n.id] || {}) }))
+    : [];
+
+  // Fit the preview into a fixed viewBox
+  const preview = (() => {
+    if (positioned.length === 0) return null;
+    const xs = positioned.map((n) => n.x);
+    const ys = positioned.map((n) => n.y);
+    const [minX, minY] = [Math.min(...xs), Math.min(...ys)];
+    const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1);
+    const scale = 200 / span;
+    const pos = {};
+    positioned.forEach((n) => {
+      pos[n.id] = {
+        x: 20 + (n.x - minX) * scale,
+        y: 20 + (n.y - minY) * scale,
+      };
+    });
+    return pos;
+  })();
+
+  return (
+    <Card className="bg-slate-800/50 backdrop-blur-sm border-slate-700">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-slate-200">Comparison Graph</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex flex-wrap gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={copyCurrent}
+            disabled={nodes.length === 0}
+          >
+            Copy Current Graph
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => fileRef.current?.click()}
+          >
+            Load JSON File
+          </Button>
+          {comparisonGraph && (
+            <Button variant="outline" size="sm" onClick={() => store(null)}>
+              Clear
+            </Button>
+          )}
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={handleFile}
+          />
+        </div>
+        {error && <div className="text-xs text-rose-400">{error}</div>}
+        {!comparisonGraph ? (
+          <div className="text-xs text-slate-400">
+            No comparison graph loaded.
+          </div>
+        ) : (
+          <>
+            <div className="text-xs text-slate-400">
+              {comparisonGraph.name} · {comparisonGraph.nodes.length} nodes ·{" "}
+              {comparisonGraph.edges.length} edges
+              {layout && " · laid out to match"}
+            </div>
+            <svg
+              viewBox="0 0 240 240"
+              className="w-full h-48 rounded bg-slate-900/60"
+            >
+              <defs>
+                <marker
+                  id="comparison-arrow"
+                  viewBox="0 0 10 10"
+                  refX="19"
+                  refY="5"
+                  markerWidth="5"
+                  markerHeight="5"
+                  orient="auto-start-reverse"
+                >
+                  <path d="M 0 0 L 10 5 L 0 10 z" fill="#64748b" />
+                </marker>
+              </defs>
+              {comparisonGraph.edges.map((e) =>
+                preview?.[e.from] && preview?.[e.to] ? (
+                  <line
+                    key={e.id}
+                    x1={preview[e.from].x}
+                    y1={preview[e.from].y}
+                    x2={preview[e.to].x}
+                    y2={preview[e.to].y}
+                    stroke="#64748b"
+                    strokeWidth="2"
+                    markerEnd={
+                      isDirected ? "url(#comparison-arrow)" : undefined
+                    }
+                  />
+                ) : null,
+              )}
+              {positioned.map((n) => (
+                <g key={n.id}>
+                  <circle
+                    cx={preview[n.id].x}
+                    cy={preview[n.id].y}
+                    r="10"
+                    fill={mapping[n.id] !== undefined ? "#10b981" : "#6b7280"}
+                    stroke="#1f2937"
+                    strokeWidth="2"
+                  />
+                  <text
+                    x={preview[n.id].x}
+                    y={preview[n.id].y + 4}
+                    textAnchor="middle"
+                    fontSize="10"
+                    fontWeight="bold"
+                    fill="#ffffff"
+                  >
+                    {n.label ?? n.id}
+                  </text>
+                </g>
+              ))}
+            </svg>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
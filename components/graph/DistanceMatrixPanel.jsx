@@ -0,0 +1,181 @@
+import React, { useState } from "react";
+import { Card, CardHeader, CardTitle, CardContent } from "../ui/card";
+import { buildPathFromNextMatrix } from "./lib/stateNormalization";
+
+/**
+ * DistanceMatrixPanel
+ *
+ * Live view of the all-pairs matrices emitted by Floyd-Warshall steps.
+ * Highlights the k-row/k-column and the cell being relaxed, and lets the user
+ * click any cell to draw the reconstructed i -> j path on the canvas.
+ *
+ * Props:
+ * - algorithmState: object (matrixNodes, distMatrix, nextMatrix, matrixCell, negativeCycleNodes, path)
+ * - nodes: Array<{ id: string, label?: string }>
+ * - setAlgorithmState: (fn | value) => void
+ */
+export default function DistanceMatrixPanel({
+  algorithmState,
+  nodes,
+  setAlgorithmState,
+}) {
+  const [view, setView] = useState("dist");
+
+  const ids = algorithmState.matrixNodes || [];
+  const distMatrix = algorithmState.distMatrix || [];
+  const nextMatrix = algorithmState.nextMatrix || [];
+  const cell = algorithmState.matrixCell;
+  const path = Array.isArray(algorithmState.path) ? algorithmState.path : [];
+
+  const label = (id) => nodes.find((n) => n.id === id)?.label || id;
+
+  const handleCellClick = (i, j) => {
+    const route = buildPathFromNextMatrix(ids, nextMatrix, ids[i], ids[j]);
+    if (typeof setAlgorithmState === "function") {
+      setAlgorithmState((prev) => ({
+        ...prev,
+        path: route,
+        result:
+          route.length > 0
+            ? `Path ${label(ids[i])} → ${label(ids[j])}: ${distMatrix[i][j]}`
+            : `No path from ${label(ids[i])} to ${label(ids[j])}`,
+      }));
+    }
+  };
+
+  const cellClass = (i, j) => {
+    const value = distMatrix[i]?.[j];
+    if (cell && cell.i === i && cell.j === j) {
+      return cell.updated
+        ? "bg-green-500 text-slate-900"
+        : "bg-amber-400 text-slate-900";
+    }
+    if (i === j && value < 0) return "bg-rose-600 text-white";
+    if (cell && (i === cell.k || j === cell.k)) {
+      return "bg-indigo-500/30 text-slate-100";
+    }
+    return "bg-slate-800 text-slate-300";
+  };
+
+  const relaxationText = cell
+    ? (() => {
+        const [i, j, k] = [cell.i, cell.j, cell.k].map((x) => label(ids[x]));
+        return `k = ${k}: d[${i}][${j}] vs d[${i}][${k}] + d[${k}][${j}]`;
+      })()
+    : null;
+
+  const isSelected = (i, j) =>
+    path.length > 0 && path[0] === ids[i] && path[path.length - 1] === ids[j];
+
+  const format = (i, j) => {
+    if (view === "next") {
+      const hop = nextMatrix[i]?.[j];
+      return hop == null ? "–" : label(hop);
+    }
+    const value = distMatrix[i]?.[j];
+    return value === Infinity || value === undefined ? "∞" : value;
+  };
+
+  return (
+    <Card className="bg-slate-800/50 backdrop-blur-sm border-slate-700">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-slate-200">Distance Matrix</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {ids.length === 0 ? (
+          <div className="text-xs text-slate-400">
+            Run the algorithm to fill the matrix.
+          </div>
+        ) : (
+          <>
+            <div className="flex gap-2">
+              {[
+                ["dist", "Distances"],
+                ["next", "Next Hop"],
+              ].map(([key, text]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setView(key)}
+                  className={`px-2 py-1 rounded text-xs font-medium ${
+                    view === key
+                      ? "bg-blue-600 text-white"
+                      : "bg-slate-700 text-slate-300 hover:bg-slate-600"
+                  }`}
+                >
+                  {text}
+                </button>
+              ))}
+            </div>
+            <div className="overflow-auto">
+              <table className="text-xs border-collapse">
+                <thead>
+                  <tr>
+                    <th className="px-1 text-slate-500"></th>
+                    {ids.map((id, j) => (
+                      <th
+                        key={id}
+                        className={`px-1 font-semibold ${
+                          cell && cell.k === j
+                            ? "text-indigo-300"
+                            : "text-slate-400"
+                        }`}
+                      >
+                        {label(id)}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {ids.map((rowId, i) => (
+                    <tr key={rowId}>
+                      <th
+                        className={`px-1 font-semibold text-right ${
+                          cell && cell.k === i
+                            ? "text-indigo-300"
+                            : "text-slate-400"
+                        }`}
+                      >
+                        {label(rowId)}
+                      </th>
+                      {ids.map((colId, j) => (
+                        <td
+                          key={colId}
+                          onClick={() => handleCellClick(i, j)}
+                          title={`${label(rowId)} → ${label(colId)}`}
+                          className={`min-w-[1.75rem] px-1 py-0.5 text-center border border-slate-700 cursor-pointer ${cellClass(
+                            i,
+                            j,
+                          )} ${isSelected(i, j) ? "ring-2 ring-blue-400" : ""}`}
+                        >
+                          {format(i, j)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {cell && (
+              <div className="text-xs text-slate-400">
+                {relaxationText}
+                {cell.updated && (
+                  <span className="text-green-400 font-semibold">
+                    {" "}
+                    (updated)
+                  </span>
+                )}
+              </div>
+            )}
+            {algorithmState.negativeCycleNodes?.length > 0 && (
+              <div className="text-xs text-rose-300 font-medium">
+                Negative diagonal:{" "}
+                {algorithmState.negativeCycleNodes.map(label).join(", ")}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -13,7 +13,7 @@ import GraphToolbar from "./GraphToolbar";
  *
  * Props:
  * - nodes: Array<{ id: string, x: number, y: number, label?: string }>
- * - edges: Array<{ id: string, from: string, to: string, weight?: number }>
+ * - edges: Array<{ id: string, from: string, to: string, weight?: number, capacity?: number, cost?: number }>
  * - setNodes: (fn | value) => void
  * - setEdges: (fn | value) => void
  * - isDirected: boolean
@@ -24,6 +24,7 @@ import GraphToolbar from "./GraphToolbar";
  * - setStartNode: (id | null) => void
  * - setEndNode: (id | null) => void
  * - setAlgorithmState: (fn | value) => void
+ * - scoreEncoding: "size" | "color" how `algorithmState.scores` (PageRank, centrality) are shown
  * - utils: {
  *     useScaledCoords?: (canvasRef, onResize) => { getScaledCoords(e): {x,y}, canvasDimensions: {width, height} },
  *     draw?: {
@@ -33,6 +34,10 @@ import GraphToolbar from "./GraphToolbar";
  *       drawNodeDistance?: (ctx, node, distance, options?) => void,
  *       drawEdge?: (ctx, fromNode, toNode, options?) => void,
  *       shouldCurveEdge?: (isDirected, hasReverseEdge, fromNode, toNode) => boolean,
+ *       EDGE_STATE_STYLES?: { [state: string]: { color: string, lineWidth?: number, lineDash?: number[] } },
+ *       scoreRadius?: (t, base) => number,
+ *       scoreColor?: (t) => string,
+ *       drawSuperNode?: (ctx, members, options?) => void,
  *     },
  *     helpers?: {
  *       reconstructPathIfMissing?: (path, previous, { endNode, current }) => string[],
@@ -120,7 +125,23 @@ const fallbackDraw = {
     arrow: { length: 15, angle: 0.5 },
     curveOffset: 40,
   },
-  drawNodeCircle(ctx, node, { radius = 25, colors = {}, label } = {}) {
+  EDGE_STATE_STYLES: {
+    mst: { color: "#22c55e", lineWidth: 4 },
+    considering: { color: "#facc15", lineWidth: 4 },
+    rejected: { color: "#ef4444", lineWidth: 2, lineDash: [6, 4] },
+    bridge: { color: "#f97316", lineWidth: 5, lineDash: [10, 6] },
+    augmenting: { color: "#38bdf8", lineWidth: 5 },
+    level: { color: "#a78bfa", lineWidth: 3 },
+    cut: { color: "#e11d48", lineWidth: 5, lineDash: [4, 4] },
+    matched: { color: "#14b8a6", lineWidth: 5 },
+    alternating: { color: "#14b8a6", lineWidth: 4, lineDash: [8, 4] },
+    cycle: { color: "#f43f5e", lineWidth: 4 },
+    circuit: { color: "#34d399", lineWidth: 3 },
+    clique: { color: "#c084fc", lineWidth: 4 },
+    added: { color: "#38bdf8", lineWidth: 3, lineDash: [8, 4] },
+    removed: { color: "#f87171", lineWidth: 2, lineDash: [2, 6] },
+  },
+  drawNodeCircle(ctx, node, { radius = 25, colors = {}, label, ring } = {}) {
     const c = {
       nodeFill: "#6b7280",
       nodeBorder: "#1f2937",
@@ -134,12 +155,19 @@ const fallbackDraw = {
     ctx.strokeStyle = c.nodeBorder;
     ctx.lineWidth = 2;
     ctx.stroke();
+    if (ring) {
+      ctx.strokeStyle = ring;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, radius + 5, 0, Math.PI * 2);
+      ctx.stroke();
+    }
     ctx.fillStyle = c.nodeLabel;
     ctx.font = "bold 14px Inter";
     ctx.textAlign = "center";
     ctx.fillText(label ?? node.label ?? node.id, node.x, node.y + 5);
   },
-  drawNodeTimes(ctx, node, d, f, { radius = 25 } = {}) {
+  drawNodeTimes(ctx, node, d, f, { radius = 25, lowlink } = {}) {
     if (d === undefined && f === undefined) return;
     const timeText = `${d !== undefined ? d : ""}${f !== undefined ? ` / ${f}` : ""}`;
     ctx.font = "12px Inter";
@@ -157,19 +185,35 @@ const fallbackDraw = {
     ctx.fillStyle = "#cbd5e1";
     ctx.textAlign = "center";
     ctx.fillText(timeText, node.x, node.y - radius - 5 - rectHeight / 2 + 4);
+    if (lowlink !== undefined) {
+      const lowText = `low ${lowlink}`;
+      const lowWidth = ctx.measureText(lowText).width + rectPadding * 2;
+      const lowX = node.x + rectWidth / 2 + 2;
+      ctx.fillStyle = "#4c1d95";
+      ctx.fillRect(
+        lowX,
+        node.y - radius - rectHeight - 5,
+        lowWidth,
+        rectHeight,
+      );
+      ctx.fillStyle = "#e9d5ff";
+      ctx.fillText(
+        lowText,
+        lowX + lowWidth / 2,
+        node.y - radius - 5 - rectHeight / 2 + 4,
+      );
+    }
   },
-  drawNodeDistance(ctx, node, distance, { radius = 25 } = {}) {
+  drawNodeDistance(ctx, node, distance, { radius = 25, label } = {}) {
     if (distance === undefined) return;
+    const text = label ?? (distance === Infinity ? "∞" : String(distance));
+    ctx.font = "12px Inter";
+    const boxWidth = Math.max(36, ctx.measureText(text).width + 8);
     ctx.fillStyle = distance !== Infinity ? "#fbbf24" : "#37415180";
-    ctx.fillRect(node.x + radius - 5, node.y - radius - 15, 36, 20);
+    ctx.fillRect(node.x + radius - 5, node.y - radius - 15, boxWidth, 20);
     ctx.fillStyle = "#1f2937";
-    ctx.font = "12px Inter";
     ctx.textAlign = "center";
-    ctx.fillText(
-      distance === Infinity ? "∞" : String(distance),
-      node.x + radius + 13,
-      node.y - radius - 2,
-    );
+    ctx.fillText(text, node.x + radius - 5 + boxWidth / 2, node.y - radius - 2);
   },
   drawEdge(ctx, fromNode, toNode, options = {}) {
     const {
@@ -179,13 +223,16 @@ const fallbackDraw = {
       curved = false,
       curveOffset = 40,
       lineWidth = 2,
+      lineDash = [],
       arrow = {},
       weight,
       showWeight = true,
+      label,
     } = options;
 
     ctx.strokeStyle = color;
     ctx.lineWidth = lineWidth;
+    ctx.setLineDash(lineDash);
 
     if (curved) {
       const dx = toNode.x - fromNode.x;
@@ -256,22 +303,63 @@ const fallbackDraw = {
         ctx.stroke();
       }
     }
-
-    if (showWeight && weight !== undefined && weight !== null && weight !== 1) {
+    ctx.setLineDash([]);
+
+    const text =
+      label ??
+      (showWeight && weight !== undefined && weight !== null && weight !== 1
+        ? String(weight)
+        : null);
+    if (text !== null) {
       const midX = (fromNode.x + toNode.x) / 2;
       const midY = (fromNode.y + toNode.y) / 2;
+      ctx.font = "12px Inter";
+      const width = Math.max(20, ctx.measureText(text).width + 8);
       ctx.fillStyle = "#ffffff";
-      ctx.fillRect(midX - 10, midY - 8, 20, 16);
+      ctx.fillRect(midX - width / 2, midY - 8, width, 16);
       ctx.fillStyle = "#1f2937";
-      ctx.font = "12px Inter";
       ctx.textAlign = "center";
-      ctx.fillText(String(weight), midX, midY + 4);
+      ctx.fillText(text, midX, midY + 4);
     }
   },
   shouldCurveEdge(isDirected, hasReverseEdge, fromNode, toNode) {
     if (!isDirected || !hasReverseEdge) return false;
     return String(fromNode.id) < String(toNode.id);
   },
+  scoreRadius(t, base = 25) {
+    return base * (0.6 + 0.9 * t);
+  },
+  scoreColor(t) {
+    const low = [0x33, 0x41, 0x55];
+    const high = [0xf5, 0x9e, 0x0b];
+    return `rgb(${low.map((c, i) => Math.round(c + (high[i] - c) * t)).join(",")})`;
+  },
+  drawSuperNode(ctx, members, { radius = 25, label } = {}) {
+    if (!members || members.length === 0) return;
+    const cx = members.reduce((s, n) => s + n.x, 0) / members.length;
+    const cy = members.reduce((s, n) => s + n.y, 0) / members.length;
+    const r =
+      Math.max(...members.map((n) => Math.hypot(n.x - cx, n.y - cy))) +
+      radius +
+      12;
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+    ctx.fillStyle = "#c084fc26";
+    ctx.fill();
+    ctx.strokeStyle = "#c084fc";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([8, 6]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    if (label) {
+      ctx.font = "bold 14px Inter";
+      ctx.fillStyle = "#c084fc";
+      ctx.textAlign = "center";
+      ctx.fillText(label, cx, cy - r - 6);
+    }
+    ctx.restore();
+  },
 };
 
 const fallbackHelpers = {
@@ -308,6 +396,22 @@ const fallbackHelpers = {
 
 /* --------------------- Component Implementation --------------------- */
 
+// Algorithms whose steps color nodes by group through `sccColors`
+const GROUP_COLOR_ALGORITHMS = new Set([
+  "scc",
+  "tarjanScc",
+  "twoSat",
+  "bipartite",
+  "hopcroftKarp",
+  "greedyColoring",
+  "welshPowell",
+  "dsatur",
+  "labelPropagation",
+  "louvain",
+  "bronKerbosch",
+  "hungarian",
+]);
+
 export default function GraphCanvasView({
   nodes,
   edges,
@@ -321,6 +425,7 @@ export default function GraphCanvasView({
   setStartNode,
   setEndNode,
   setAlgorithmState,
+  scoreEncoding = "size",
   mode,
   onChangeMode,
   utils = {},
@@ -466,10 +571,31 @@ export default function GraphCanvasView({
   // Helpers
   const nodeRadius = draw?.DEFAULTS?.nodeRadius ?? 25;
 
+  // Scores (PageRank, centrality) normalized to [0, 1], or null when absent
+  const scoreOf = useCallback(
+    (nodeId) => {
+      const scores = algorithmState?.scores;
+      if (!scores || scores[nodeId] === undefined) return null;
+      const values = Object.values(scores);
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      return max > min ? (scores[nodeId] - min) / (max - min) : 0.5;
+    },
+    [algorithmState],
+  );
+
+  const radiusOf = useCallback(
+    (nodeId) => {
+      const t = scoreEncoding === "size" ? scoreOf(nodeId) : null;
+      return t === null ? nodeRadius : draw.scoreRadius(t, nodeRadius);
+    },
+    [scoreEncoding, scoreOf, nodeRadius, draw],
+  );
+
   const getNodeColor = useCallback(
     (nodeId) => {
       if (
-        selectedAlgorithm === "scc" &&
+        GROUP_COLOR_ALGORITHMS.has(selectedAlgorithm) &&
         algorithmState?.sccColors &&
         algorithmState.sccColors[nodeId]
       ) {
@@ -486,16 +612,31 @@ export default function GraphCanvasView({
             : [];
 
       if (
-        selectedAlgorithm === "scc" &&
+        (selectedAlgorithm === "scc" || selectedAlgorithm === "twoSat") &&
         algorithmState?.phase === "dfs1" &&
         finishOrder.includes(nodeId)
       ) {
         return "#f59e0b";
       }
 
+      if (scoreEncoding === "color" && nodeId !== algorithmState?.current) {
+        const t = scoreOf(nodeId);
+        if (t !== null) return draw.scoreColor(t);
+      }
+
       if (nodeId === startNode) return "#ef4444";
       if (nodeId === endNode) return "#f59e0b";
       if (algorithmState?.current === nodeId) return "#8b5cf6";
+      // Bron–Kerbosch frame: R (clique so far), P (candidates), X (excluded)
+      if (algorithmState?.cliqueR?.includes(nodeId)) return "#c084fc";
+      if (algorithmState?.cliqueP?.includes(nodeId)) return "#0ea5e9";
+      if (algorithmState?.cliqueX?.includes(nodeId)) return "#334155";
+      // Bidirectional search: meeting node, then one color per direction
+      if (algorithmState?.meetingNode === nodeId) return "#facc15";
+      if (algorithmState?.visitedForward?.includes(nodeId)) return "#22d3ee";
+      if (algorithmState?.visitedBackward?.includes(nodeId)) return "#f472b6";
+      if (algorithmState?.frontierForward?.includes(nodeId)) return "#a5f3fc";
+      if (algorithmState?.frontierBackward?.includes(nodeId)) return "#fbcfe8";
 
       let visited = algorithmState?.visited;
       if (!(visited instanceof Set)) {
@@ -506,9 +647,23 @@ export default function GraphCanvasView({
       }
 
       if (visited.has(nodeId)) return "#10b981";
+      // A* open set: discovered but not yet expanded
+      if (algorithmState?.openSet?.includes(nodeId)) return "#0ea5e9";
+      // Cycle detection: gray nodes still on the DFS stack
+      if (algorithmState?.dfsStack?.includes(nodeId)) return "#0ea5e9";
+      // Tree center: leaves removed in the current round
+      if (algorithmState?.leafLayer?.includes(nodeId)) return "#0ea5e9";
       return "#6b7280";
     },
-    [algorithmState, startNode, endNode, selectedAlgorithm],
+    [
+      algorithmState,
+      startNode,
+      endNode,
+      selectedAlgorithm,
+      scoreEncoding,
+      scoreOf,
+      draw,
+    ],
   );
 
   const getHighlightedPath = useCallback(() => {
@@ -540,7 +695,7 @@ export default function GraphCanvasView({
     return nodes.find((node) => {
       const dx = node.x - worldX;
       const dy = node.y - worldY;
-      return Math.hypot(dx, dy) <= nodeRadius;
+      return Math.hypot(dx, dy) <= radiusOf(node.id);
     });
   };
 
@@ -555,50 +710,108 @@ export default function GraphCanvasView({
     ctx.setTransform(scale, 0, 0, scale, pan.x, pan.y);
 
     const pathArr = getHighlightedPath();
+    // Steps may name path edges by id (e.g. Euler trails over parallel edges)
+    const pathEdgeIds =
+      Array.isArray(algorithmState?.pathEdges) &&
+      algorithmState.pathEdges.length > 0
+        ? new Set(algorithmState.pathEdges)
+        : null;
+    const onPath = (edge) =>
+      pathEdgeIds
+        ? pathEdgeIds.has(edge.id ?? `${edge.from}->${edge.to}`)
+        : isEdgeOnPath(edge, pathArr);
+
+    // Edge-level state (e.g. MST edges) keyed by edge id
+    const edgeStates = algorithmState?.edgeStates || {};
+    const edgeStateStyles = draw.EDGE_STATE_STYLES || {};
+    const edgeStyleFor = (edge) =>
+      edgeStateStyles[edgeStates[edge.id ?? `${edge.from}->${edge.to}`]];
+
+    // Max flow: steps may swap the graph for its residual arcs, the way
+    // showTransposed flips edges for SCC; otherwise edges show flow/capacity
+    const residualView =
+      algorithmState?.showResidual &&
+      Array.isArray(algorithmState?.residualEdges);
+    // Overlay edges (e.g. transitive closure) are drawn on top of the graph
+    const drawnEdges = residualView
+      ? algorithmState.residualEdges
+      : Array.isArray(algorithmState?.overlayEdges)
+        ? [...edges, ...algorithmState.overlayEdges]
+        : edges;
+    const drawDirected = isDirected || residualView;
+    const edgeFlows = residualView ? null : algorithmState?.edgeFlows;
+    const edgeLabelFor = (edge) => {
+      if (residualView) return String(edge.weight);
+      const key = edge.id ?? `${edge.from}->${edge.to}`;
+      const flow = edgeFlows?.[key];
+      if (flow) {
+        return flow.cost !== undefined
+          ? `${flow.flow}/${flow.capacity} · $${flow.cost}`
+          : `${flow.flow}/${flow.capacity}`;
+      }
+      // Johnson: original weight → reweighted w'
+      const reweighted = algorithmState?.reweighted?.[key];
+      if (reweighted !== undefined) return `${edge.weight ?? 1}→${reweighted}`;
+      // Flow networks: capacity and per-unit cost
+      if (edge.capacity !== undefined || edge.cost !== undefined) {
+        return `cap ${edge.capacity ?? edge.weight ?? 1} · $${edge.cost ?? 0}`;
+      }
+      return undefined;
+    };
 
-    // Draw edges (normal first, then path edges on top)
+    // Draw edges (normal first, then path edges, then stateful edges on top)
     const normalEdges = [];
     const pathEdges = [];
-    edges.forEach((e) =>
-      (isEdgeOnPath(e, pathArr) ? pathEdges : normalEdges).push(e),
-    );
+    const stateEdges = [];
+    drawnEdges.forEach((e) => {
+      if (edgeStyleFor(e)) stateEdges.push(e);
+      else if (onPath(e)) pathEdges.push(e);
+      else normalEdges.push(e);
+    });
 
     const hasReverse = (edge) =>
-      edges.some(
+      drawnEdges.some(
         (e) =>
           e.from === edge.to &&
           e.to === edge.from &&
-          (isDirected || edge.from !== edge.to),
+          (drawDirected || edge.from !== edge.to),
       );
 
     const colorNormal = draw?.DEFAULTS?.colors?.edge ?? "#475569";
     const colorPath = draw?.DEFAULTS?.colors?.edgePath ?? "#3b82f6";
 
-    const drawEdgeGroup = (group, color) => {
+    const drawEdgeGroup = (group, color, styleFor = () => null) => {
       group.forEach((edge) => {
+        const style = styleFor(edge) || {};
         let fromNode = nodes.find((n) => n.id === edge.from);
         let toNode = nodes.find((n) => n.id === edge.to);
 
-        if (selectedAlgorithm === "scc" && algorithmState?.showTransposed) {
+        if (
+          (selectedAlgorithm === "scc" || selectedAlgorithm === "twoSat") &&
+          algorithmState?.showTransposed
+        ) {
           [fromNode, toNode] = [toNode, fromNode];
         }
         if (!fromNode || !toNode) return;
 
         const curved = draw.shouldCurveEdge(
-          isDirected,
+          drawDirected,
           hasReverse(edge),
           fromNode,
           toNode,
         );
         draw.drawEdge(ctx, fromNode, toNode, {
-          color,
-          isDirected,
-          nodeRadius,
+          color: style.color ?? color,
+          isDirected: drawDirected,
+          nodeRadius: radiusOf(toNode.id),
           curved,
           curveOffset: draw?.DEFAULTS?.curveOffset ?? 40,
-          lineWidth: 2,
+          lineWidth: style.lineWidth ?? 2,
+          // Residual back-arcs (undo capacity) are dashed
+          lineDash: style.lineDash ?? (edge.reverse ? [6, 4] : undefined),
           weight: edge.weight,
           showWeight: true,
+          label: edgeLabelFor(edge),
           arrow: draw?.DEFAULTS?.arrow ?? { length: 15, angle: 0.5 },
         });
       });
@@ -606,6 +819,7 @@ export default function GraphCanvasView({
 
     drawEdgeGroup(normalEdges, colorNormal);
     drawEdgeGroup(pathEdges, colorPath);
+    drawEdgeGroup(stateEdges, colorNormal, edgeStyleFor);
 
     // Draw connecting guideline
     if (isConnecting && connectStart) {
@@ -621,40 +835,209 @@ export default function GraphCanvasView({
       ctx.setLineDash([]);
     }
 
-    // Draw nodes and labels
+    // Contracted super-nodes (Chu–Liu/Edmonds) enclose their member nodes
+    (algorithmState?.contractedNodes || []).forEach((superNode) => {
+      draw.drawSuperNode(
+        ctx,
+        nodes.filter((n) => superNode.members.includes(n.id)),
+        { radius: draw?.DEFAULTS?.nodeRadius ?? 25, label: superNode.label },
+      );
+    });
+
+    // Draw nodes and labels (dimmed past a depth-limited search's bound)
+    const beyondLimit = new Set([
+      ...(algorithmState?.beyondLimit || []),
+      ...(algorithmState?.peeledNodes || []),
+      ...(algorithmState?.excludedNodes || []),
+    ]);
     nodes.forEach((node) => {
+      const radius = radiusOf(node.id);
+      ctx.globalAlpha = beyondLimit.has(node.id) ? 0.3 : 1;
       draw.drawNodeCircle(ctx, node, {
-        radius: nodeRadius,
+        radius,
         colors: {
           nodeFill: getNodeColor(node.id),
           nodeBorder: "#1f2937",
           nodeLabel: "#ffffff",
         },
         label: node.label ?? node.id,
+        ring:
+          algorithmState?.articulationPoints?.includes(node.id) ||
+          algorithmState?.liftPointers?.includes(node.id) ||
+          algorithmState?.oddNodes?.includes(node.id)
+            ? (draw?.DEFAULTS?.colors?.nodeRing ?? "#f97316")
+            : algorithmState?.degreeIssues?.some((d) => d.id === node.id) ||
+                algorithmState?.treeViolations?.includes(node.id) ||
+                (algorithmState?.isoCandidate?.target === node.id &&
+                  !algorithmState.isoCandidate.feasible)
+              ? (draw?.DEFAULTS?.colors?.nodeRingIssue ?? "#f43f5e")
+              : undefined,
       });
 
+      if (algorithmState?.scores?.[node.id] !== undefined) {
+        draw.drawNodeDistance(ctx, node, algorithmState.scores[node.id], {
+          radius,
+          label: algorithmState.scores[node.id].toFixed(3),
+        });
+      }
+
       if (
-        (selectedAlgorithm === "dfs" || selectedAlgorithm === "scc") &&
+        selectedAlgorithm === "dsatur" &&
+        algorithmState?.saturation &&
+        algorithmState.coloring?.[node.id] === undefined
+      ) {
+        const sat = algorithmState.saturation[node.id];
+        if (sat !== undefined) {
+          draw.drawNodeDistance(ctx, node, sat, {
+            radius,
+            label: `sat ${sat}`,
+          });
+        }
+      }
+
+      if (selectedAlgorithm === "eulerian" && algorithmState?.degrees) {
+        const deg = algorithmState.degrees[node.id];
+        if (deg) {
+          draw.drawNodeDistance(ctx, node, 0, {
+            radius,
+            label:
+              deg.degree !== undefined
+                ? `deg ${deg.degree}`
+                : `in ${deg.in} · out ${deg.out}`,
+          });
+        }
+      }
+
+      if (
+        (selectedAlgorithm === "dfs" ||
+          selectedAlgorithm === "scc" ||
+          selectedAlgorithm === "twoSat" ||
+          selectedAlgorithm === "articulationPoints" ||
+          selectedAlgorithm === "tarjanScc") &&
         algorithmState?.discoveryTimes
       ) {
         const d = algorithmState.discoveryTimes[node.id];
         const f = algorithmState.finishTimes?.[node.id];
         if (d !== undefined) {
-          draw.drawNodeTimes(ctx, node, d, f, { radius: nodeRadius });
+          draw.drawNodeTimes(ctx, node, d, f, {
+            radius,
+            lowlink: algorithmState.lowlinks?.[node.id],
+          });
         }
       }
 
       if (
         (selectedAlgorithm === "dijkstra" ||
-          selectedAlgorithm === "bellmanFord") &&
+          selectedAlgorithm === "bellmanFord" ||
+          selectedAlgorithm === "dagPaths" ||
+          selectedAlgorithm === "johnson" ||
+          selectedAlgorithm === "treeDiameter" ||
+          selectedAlgorithm === "tspNearestNeighbor") &&
         algorithmState?.distances
       ) {
         const distance = algorithmState.distances[node.id];
         if (distance !== undefined) {
-          draw.drawNodeDistance(ctx, node, distance, { radius: nodeRadius });
+          draw.drawNodeDistance(ctx, node, distance, { radius });
+        }
+      }
+
+      if (
+        selectedAlgorithm === "bidirectionalDijkstra" &&
+        algorithmState?.distancesForward
+      ) {
+        const f = algorithmState.distancesForward[node.id];
+        const b = algorithmState.distancesBackward?.[node.id];
+        if (f !== undefined || b !== undefined) {
+          draw.drawNodeDistance(ctx, node, f ?? b, {
+            radius,
+            label: `${f ?? "∞"} / ${b ?? "∞"}`,
+          });
+        }
+      }
+
+      if (
+        ((selectedAlgorithm === "johnson" &&
+          algorithmState?.phase !== "dijkstra") ||
+          selectedAlgorithm === "minCostFlow" ||
+          selectedAlgorithm === "hungarian") &&
+        algorithmState?.potentials
+      ) {
+        const h = algorithmState.potentials[node.id];
+        if (h !== undefined) {
+          draw.drawNodeDistance(ctx, node, h, {
+            radius,
+            label: `h=${h === Infinity ? "∞" : h}`,
+          });
+        }
+      }
+
+      if (
+        (selectedAlgorithm === "depthLimitedDfs" ||
+          selectedAlgorithm === "iddfs" ||
+          selectedAlgorithm === "treeLca") &&
+        algorithmState?.depths?.[node.id] !== undefined
+      ) {
+        const depth = algorithmState.depths[node.id];
+        draw.drawNodeDistance(ctx, node, depth, {
+          radius,
+          label: `d${depth}`,
+        });
+      }
+
+      if (algorithmState?.isoBadges?.[node.id] !== undefined) {
+        draw.drawNodeDistance(ctx, node, 0, {
+          radius,
+          label: `= ${algorithmState.isoBadges[node.id]}`,
+        });
+      }
+
+      if (algorithmState?.spurNode === node.id) {
+        draw.drawNodeDistance(ctx, node, 0, { radius, label: "spur" });
+      }
+
+      if (algorithmState?.pivot === node.id) {
+        draw.drawNodeDistance(ctx, node, 0, { radius, label: "pivot" });
+      }
+
+      if (selectedAlgorithm === "dagPaths" && algorithmState?.earliestStart) {
+        const es = algorithmState.earliestStart[node.id];
+        const ls = algorithmState.latestStart?.[node.id];
+        if (es !== undefined) {
+          draw.drawNodeDistance(ctx, node, es, {
+            radius,
+            label: ls === undefined ? `ES ${es}` : `${es}–${ls}`,
+          });
+        }
+      }
+
+      if (selectedAlgorithm === "astar" && algorithmState?.gScore) {
+        const g = algorithmState.gScore[node.id];
+        if (g !== undefined) {
+          const h = algorithmState.hScore?.[node.id] ?? 0;
+          const f = algorithmState.fScore?.[node.id] ?? g + h;
+          const fmt = (v) => (Number.isInteger(v) ? String(v) : v.toFixed(1));
+          draw.drawNodeDistance(ctx, node, g, {
+            radius,
+            label: `${fmt(g)}+${fmt(h)}=${fmt(f)}`,
+          });
+        }
+      }
+
+      if (
+        (selectedAlgorithm === "dinic" ||
+          selectedAlgorithm === "hopcroftKarp") &&
+        algorithmState?.levels
+      ) {
+        const level = algorithmState.levels[node.id];
+        if (level !== undefined) {
+          draw.drawNodeDistance(ctx, node, level, {
+            radius,
+            label: `L${level}`,
+          });
         }
       }
     });
+    ctx.globalAlpha = 1;
   }, [
     canvasRef,
     canvasDimensions,
@@ -673,6 +1056,7 @@ export default function GraphCanvasView({
     algorithmState,
     draw,
     nodeRadius,
+    radiusOf,
   ]);
 
   useEffect(() => {
@@ -136,6 +136,63 @@ export default function NodeEdgeManager({
       setIsDirected(true); // SCC requires a directed graph
       resetAlgorithmState();
     },
+    logistics: () => {
+      const logisticsNodes = [
+        { id: "S", x: 100, y: 200, label: "S" },
+        { id: "W1", x: 280, y: 100, label: "W1" },
+        { id: "W2", x: 280, y: 300, label: "W2" },
+        { id: "R1", x: 480, y: 100, label: "R1" },
+        { id: "R2", x: 480, y: 300, label: "R2" },
+        { id: "T", x: 660, y: 200, label: "T" },
+      ];
+      // capacity = units per day, cost = price per unit; weight mirrors cost
+      const logisticsEdges = [
+        { id: "e1", from: "S", to: "W1", capacity: 4, cost: 2, weight: 2 },
+        { id: "e2", from: "S", to: "W2", capacity: 3, cost: 1, weight: 1 },
+        { id: "e3", from: "W1", to: "R1", capacity: 3, cost: 3, weight: 3 },
+        { id: "e4", from: "W1", to: "R2", capacity: 2, cost: 5, weight: 5 },
+        { id: "e5", from: "W2", to: "R1", capacity: 2, cost: 6, weight: 6 },
+        { id: "e6", from: "W2", to: "R2", capacity: 3, cost: 2, weight: 2 },
+        { id: "e7", from: "R1", to: "T", capacity: 4, cost: 1, weight: 1 },
+        { id: "e8", from: "R2", to: "T", capacity: 3, cost: 2, weight: 2 },
+      ];
+      setNodes(logisticsNodes);
+      setEdges(logisticsEdges);
+      setIsDirected(true); // flow networks are directed
+      resetAlgorithmState();
+    },
+    assignment: () => {
+      const assignmentNodes = [
+        { id: "W1", x: 200, y: 80, label: "W1" },
+        { id: "W2", x: 200, y: 200, label: "W2" },
+        { id: "W3", x: 200, y: 320, label: "W3" },
+        { id: "J1", x: 500, y: 80, label: "J1" },
+        { id: "J2", x: 500, y: 200, label: "J2" },
+        { id: "J3", x: 500, y: 320, label: "J3" },
+      ];
+      const costs = [
+        ["W1", "J1", 9],
+        ["W1", "J2", 2],
+        ["W1", "J3", 7],
+        ["W2", "J1", 6],
+        ["W2", "J2", 4],
+        ["W2", "J3", 3],
+        ["W3", "J1", 5],
+        ["W3", "J2", 8],
+        ["W3", "J3", 1],
+      ];
+      setNodes(assignmentNodes);
+      setEdges(
+        costs.map(([from, to, cost], i) => ({
+          id: `e${i + 1}`,
+          from,
+          to,
+          weight: cost,
+        })),
+      );
+      setIsDirected(false);
+      resetAlgorithmState();
+    },
   };
 
   return (
@@ -212,6 +269,22 @@ export default function NodeEdgeManager({
             >
               SCC Example (Directed)
             </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={createSampleGraphs.logistics}
+              className="w-full border-slate-600 text-slate-300 hover:bg-slate-700"
+            >
+              Logistics (Flow)
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={createSampleGraphs.assignment}
+              className="w-full border-slate-600 text-slate-300 hover:bg-slate-700"
+            >
+              Assignment
+            </Button>
           </div>
         </div>
 
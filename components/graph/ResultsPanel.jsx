@@ -7,6 +7,8 @@ export default function ResultsPanel({
   startNode,
   endNode,
   nodes,
+  edges = [],
+  setAlgorithmState,
 }) {
   // Progress calculation
   const totalNodes = nodes.length;
@@ -62,8 +64,10 @@ export default function ResultsPanel({
   })();
 
   // SCC results
+  const isSccAlgorithm =
+    selectedAlgorithm === "scc" || selectedAlgorithm === "tarjanScc";
   const showSCC =
-    selectedAlgorithm === "scc" &&
+    (isSccAlgorithm || selectedAlgorithm === "twoSat") &&
     algorithmState.foundSccs &&
     algorithmState.foundSccs.length > 0;
 
@@ -103,9 +107,1130 @@ export default function ResultsPanel({
     </div>
   ) : null;
 
+  // A* scores: g (cost so far), h (heuristic), f = g + h
+  const gScore = algorithmState.gScore || {};
+  const showScores =
+    selectedAlgorithm === "astar" && Object.keys(gScore).length > 0;
+  const fmtScore = (v) =>
+    v === undefined ? "–" : Number.isInteger(v) ? v : v.toFixed(1);
+  const openSet = algorithmState.openSet || [];
+  const scoreList = showScores ? (
+    <div className="mb-2">
+      <div className="text-xs text-slate-400 mb-1">
+        Open Set (by f):{" "}
+        <span className="text-sky-300">
+          {openSet.length > 0
+            ? openSet
+                .map((id) => nodes.find((n) => n.id === id)?.label || id)
+                .join(", ")
+            : "Empty"}
+        </span>
+      </div>
+      <div className="text-xs text-slate-400 mb-1">Scores (g + h = f)</div>
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(gScore).map(([id, g]) => {
+          const node = nodes.find((n) => n.id === id);
+          const h = algorithmState.hScore?.[id];
+          const f = algorithmState.fScore?.[id];
+          const isOpen = openSet.includes(id);
+          return (
+            <span
+              key={id}
+              className={`px-2 py-1 rounded text-xs font-semibold shadow-sm ${
+                isOpen
+                  ? "bg-sky-400 text-slate-900"
+                  : "bg-amber-300 text-slate-900"
+              }`}
+              title={isOpen ? "Open" : "Closed"}
+            >
+              {node?.label || id}: {fmtScore(g)} + {fmtScore(h)} = {fmtScore(f)}
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  ) : null;
+
+  // MST results (Prim & Kruskal)
+  const isMst = selectedAlgorithm === "prim" || selectedAlgorithm === "kruskal";
+  const nodeLabel = (id) => nodes.find((n) => n.id === id)?.label || id;
+  const edgeLabel = (e) =>
+    `${nodeLabel(e.from)}–${nodeLabel(e.to)} (${e.weight})`;
+  const edgeStates = algorithmState.edgeStates || {};
+  const edgeStateClass = {
+    mst: "bg-green-500 text-slate-900",
+    considering: "bg-yellow-400 text-slate-900",
+    rejected: "bg-rose-600/20 text-rose-300 line-through",
+  };
+
+  const acceptedEdges = algorithmState.acceptedEdges || [];
+  const mstEdgeList =
+    isMst && acceptedEdges.length > 0 ? (
+      <div className="mb-2">
+        <div className="text-xs text-slate-400 mb-1">
+          MST Edges (weight{" "}
+          {acceptedEdges.reduce((sum, e) => sum + e.weight, 0)})
+        </div>
+        <div className="text-xs text-green-300 font-semibold">
+          {acceptedEdges.map(edgeLabel).join(", ")}
+        </div>
+      </div>
+    ) : null;
+
+  // Kruskal: sorted edge list with per-edge status
+  const sortedEdges = algorithmState.sortedEdges || [];
+  const sortedEdgeList =
+    selectedAlgorithm === "kruskal" && sortedEdges.length > 0 ? (
+      <div className="mb-2">
+        <div className="text-xs text-slate-400 mb-1">Edges by Weight</div>
+        <div className="flex flex-wrap gap-2">
+          {sortedEdges.map((e) => (
+            <span
+              key={e.id}
+              className={`px-2 py-1 rounded text-xs font-semibold ${
+                edgeStateClass[edgeStates[e.id]] ||
+                "bg-slate-700 text-slate-300"
+              }`}
+            >
+              {edgeLabel(e)}
+            </span>
+          ))}
+        </div>
+      </div>
+    ) : null;
+
+  // Kruskal: union-find forest grouped by root
+  const disjointSet = algorithmState.disjointSet || {};
+  const disjointSetList = (() => {
+    if (selectedAlgorithm !== "kruskal") return null;
+    const ids = Object.keys(disjointSet);
+    if (ids.length === 0) return null;
+    const findRoot = (id) => {
+      let cur = id;
+      while (disjointSet[cur] !== undefined && disjointSet[cur] !== cur)
+        cur = disjointSet[cur];
+      return cur;
+    };
+    const groups = {};
+    ids.forEach((id) => {
+      const root = findRoot(id);
+      (groups[root] = groups[root] || []).push(id);
+    });
+    return (
+      <div className="mb-2">
+        <div className="text-xs text-slate-400 mb-1">Disjoint Sets</div>
+        <div className="space-y-1">
+          {Object.entries(groups).map(([root, members]) => (
+            <div key={root} className="text-xs text-slate-200">
+              <span className="font-semibold text-lime-300">
+                {nodeLabel(root)}
+              </span>
+              {": "}
+              {members
+                .map((id) =>
+                  disjointSet[id] === id
+                    ? nodeLabel(id)
+                    : `${nodeLabel(id)}→${nodeLabel(disjointSet[id])}`,
+                )
+                .join(", ")}
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  })();
+
+  // Prim: frontier priority queue
+  const frontier = algorithmState.frontier || [];
+  const frontierList =
+    selectedAlgorithm === "prim" && algorithmState.step > 0 ? (
+      <div className="mb-2">
+        <div className="text-xs text-slate-400 mb-1">
+          Frontier (Priority Queue)
+        </div>
+        <div className="text-xs text-blue-300">
+          {frontier.length > 0 ? frontier.map(edgeLabel).join(", ") : "Empty"}
+        </div>
+      </div>
+    ) : null;
+
+  const currentEdge = algorithmState.currentEdge;
+
+  // Articulation points and bridges
+  const articulationList =
+    selectedAlgorithm === "articulationPoints" && algorithmState.step > 0 ? (
+      <div className="mb-2 space-y-2">
+        <div>
+          <div className="text-xs text-slate-400 mb-1">Articulation Points</div>
+          <div className="text-xs text-orange-300 font-semibold">
+            {(algorithmState.articulationPoints || []).length > 0
+              ? algorithmState.articulationPoints
+                  .map((id) => nodes.find((n) => n.id === id)?.label || id)
+                  .join(", ")
+              : "None"}
+          </div>
+        </div>
+        <div>
+          <div className="text-xs text-slate-400 mb-1">Bridges</div>
+          <div className="text-xs text-orange-300 font-semibold">
+            {(algorithmState.bridges || []).length > 0
+              ? algorithmState.bridges
+                  .map(
+                    (e) =>
+                      `${nodes.find((n) => n.id === e.from)?.label || e.from}–${
+                        nodes.find((n) => n.id === e.to)?.label || e.to
+                      }`,
+                  )
+                  .join(", ")
+              : "None"}
+          </div>
+        </div>
+      </div>
+    ) : null;
+
+  // Max flow: running flow value, last augmenting path and the final min cut
+  const isMaxFlow =
+    selectedAlgorithm === "edmondsKarp" ||
+    selectedAlgorithm === "dinic" ||
+    selectedAlgorithm === "minCostFlow";
+  const augmentingPath = algorithmState.augmentingPath || [];
+  const minCut = algorithmState.minCut;
+  const flowBlock =
+    isMaxFlow && algorithmState.step > 0 ? (
+      <div className="mb-2 space-y-2">
+        <div className="flex items-center gap-2 text-xs">
+          <span className="text-slate-400">Flow:</span>
+          <span className="font-semibold text-sky-300">
+            {algorithmState.maxFlow ?? 0}
+          </span>
+          {algorithmState.flowCost != null && (
+            <>
+              <span className="text-slate-400">Cost:</span>
+              <span className="font-semibold text-amber-300">
+                {algorithmState.flowCost}
+              </span>
+            </>
+          )}
+        </div>
+        {augmentingPath.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">
+              Augmenting Path
+              {algorithmState.bottleneck != null &&
+                ` (bottleneck ${algorithmState.bottleneck}`}
+              {algorithmState.bottleneck != null &&
+                (algorithmState.pathCost != null
+                  ? `, $${algorithmState.pathCost} per unit)`
+                  : ")")}
+            </div>
+            <div className="text-xs text-sky-300 font-semibold">
+              {augmentingPath.map(nodeLabel).join(" → ")}
+            </div>
+          </div>
+        )}
+        {minCut && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">
+              Minimum Cut (capacity {minCut.capacity})
+            </div>
+            <div className="text-xs text-rose-300 font-semibold">
+              {minCut.edges.length > 0
+                ? minCut.edges.map(edgeLabel).join(", ")
+                : "None"}
+            </div>
+            <div className="text-xs text-slate-400 mt-1">
+              Source side: {minCut.sourceSide.map(nodeLabel).join(", ")}
+            </div>
+          </div>
+        )}
+      </div>
+    ) : null;
+
+  // Bipartite: the two sides, the odd cycle when there is none, and the matching
+  const isBipartite =
+    selectedAlgorithm === "bipartite" ||
+    selectedAlgorithm === "hopcroftKarp" ||
+    selectedAlgorithm === "hungarian";
+  const isMatching =
+    selectedAlgorithm === "hopcroftKarp" || selectedAlgorithm === "hungarian";
+  const partition = algorithmState.partition || {};
+  const oddCycle = algorithmState.oddCycle || [];
+  const matching = algorithmState.matching || [];
+  const bipartiteBlock =
+    isBipartite && algorithmState.step > 0 ? (
+      <div className="mb-2 space-y-2">
+        {selectedAlgorithm === "bipartite" &&
+          [0, 1].map((s) => (
+            <div key={s} className="text-xs text-slate-200">
+              <span
+                className={`font-semibold ${
+                  s === 0 ? "text-blue-400" : "text-pink-400"
+                }`}
+              >
+                Side {s === 0 ? "A" : "B"}:
+              </span>{" "}
+              {Object.keys(partition)
+                .filter((id) => partition[id] === s)
+                .map(nodeLabel)
+                .join(", ") || "None"}
+            </div>
+          ))}
+        {oddCycle.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Odd Cycle</div>
+            <div className="text-xs text-rose-300 font-semibold">
+              {oddCycle.map(nodeLabel).join(" → ")}
+            </div>
+          </div>
+        )}
+        {isMatching && oddCycle.length === 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">
+              {selectedAlgorithm === "hungarian"
+                ? `Assignment (${matching.length}, cost ${
+                    algorithmState.assignmentCost ?? 0
+                  })`
+                : `Matching (${matching.length})`}
+            </div>
+            <div className="text-xs text-teal-300 font-semibold">
+              {matching.length > 0
+                ? matching
+                    .map((e) => `${nodeLabel(e.from)}–${nodeLabel(e.to)}`)
+                    .join(", ")
+                : "Empty"}
+            </div>
+          </div>
+        )}
+        {selectedAlgorithm === "hungarian" &&
+          algorithmState.potentialShift != null &&
+          !algorithmState.finished && (
+            <div className="text-xs text-slate-400">
+              Potentials shifted by slack{" "}
+              <span className="font-semibold text-amber-300">
+                {algorithmState.potentialShift}
+              </span>
+            </div>
+          )}
+        {isMatching && augmentingPath.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Alternating Path</div>
+            <div className="text-xs text-sky-300 font-semibold">
+              {augmentingPath.map(nodeLabel).join(" → ")}
+            </div>
+          </div>
+        )}
+      </div>
+    ) : null;
+
+  // Euler: Hierholzer sub-tour stack, circuit so far and edges consumed
+  const eulerStack = algorithmState.eulerStack || [];
+  const eulerCircuit = algorithmState.eulerCircuit || [];
+  const edgeCount = edges.length;
+  const eulerBlock =
+    selectedAlgorithm === "eulerian" && algorithmState.step > 0 ? (
+      <div className="mb-2 space-y-2">
+        {(algorithmState.degreeIssues || []).length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Degree Violations</div>
+            <div className="text-xs text-rose-300 font-semibold">
+              {algorithmState.degreeIssues
+                .map((d) =>
+                  d.degree !== undefined
+                    ? `${nodeLabel(d.id)}: ${d.degree}`
+                    : `${nodeLabel(d.id)}: in ${d.in}, out ${d.out}`,
+                )
+                .join(", ")}
+            </div>
+          </div>
+        )}
+        {algorithmState.phase !== "trace" && eulerStack.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Sub-tour Stack</div>
+            <div className="text-xs text-blue-300 font-semibold">
+              {eulerStack.map(nodeLabel).join(" → ")}
+            </div>
+          </div>
+        )}
+        {eulerCircuit.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Circuit</div>
+            <div className="text-xs text-emerald-300 font-semibold">
+              {eulerCircuit.map(nodeLabel).join(" → ")}
+            </div>
+          </div>
+        )}
+        {algorithmState.consumedEdges && (
+          <div className="text-xs text-slate-400">
+            Edges consumed:{" "}
+            {algorithmState.phase === "trace"
+              ? (algorithmState.pathEdges || []).length
+              : algorithmState.consumedEdges.length}{" "}
+            / {edgeCount}
+          </div>
+        )}
+      </div>
+    ) : null;
+
+  // TSP: tour so far and its cost, 2-opt swaps with their cost deltas,
+  // Christofides odd nodes and circuit, Held–Karp subset layers
+  const isTsp =
+    selectedAlgorithm === "tspNearestNeighbor" ||
+    selectedAlgorithm === "twoOpt" ||
+    selectedAlgorithm === "christofides" ||
+    selectedAlgorithm === "heldKarp";
+  const tspTour = algorithmState.tspTour || [];
+  const swapLog = algorithmState.swapLog || [];
+  const twoOptSwap = algorithmState.twoOptSwap;
+  const oddNodes = algorithmState.oddNodes || [];
+  const legLabel = ([u, v]) => `${nodeLabel(u)}–${nodeLabel(v)}`;
+  const tspBlock =
+    isTsp && algorithmState.step > 0 ? (
+      <div className="mb-2 space-y-2">
+        {tspTour.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">
+              Tour
+              {algorithmState.tourCost != null &&
+                ` · cost ${algorithmState.tourCost}`}
+            </div>
+            <div className="text-xs text-emerald-300 font-semibold">
+              {(tspTour.length === nodes.length
+                ? [...tspTour, tspTour[0]]
+                : tspTour
+              )
+                .map(nodeLabel)
+                .join(" → ")}
+            </div>
+          </div>
+        )}
+        {twoOptSwap && (
+          <div className="text-xs text-slate-300">
+            {twoOptSwap.applied ? "Applied" : "Best swap"}: remove{" "}
+            {twoOptSwap.removed.map(legLabel).join(", ")}, add{" "}
+            {twoOptSwap.added.map(legLabel).join(", ")} ·{" "}
+            <span className="font-semibold text-amber-300">
+              Δ {twoOptSwap.delta}
+            </span>
+          </div>
+        )}
+        {swapLog.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">
+              Swaps ({swapLog.length})
+            </div>
+            {swapLog.map((swap, idx) => (
+              <div key={idx} className="text-xs text-slate-300">
+                {idx + 1}. {swap.removed.map(legLabel).join(", ")} →{" "}
+                {swap.added.map(legLabel).join(", ")} · Δ {swap.delta} · cost{" "}
+                {swap.cost}
+              </div>
+            ))}
+          </div>
+        )}
+        {oddNodes.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Odd-Degree Nodes</div>
+            <div className="text-xs text-orange-300 font-semibold">
+              {oddNodes.map(nodeLabel).join(", ")}
+            </div>
+          </div>
+        )}
+        {selectedAlgorithm === "christofides" && eulerCircuit.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Euler Circuit</div>
+            <div className="text-xs text-slate-300">
+              {eulerCircuit.map(nodeLabel).join(" → ")}
+            </div>
+          </div>
+        )}
+        {selectedAlgorithm === "heldKarp" &&
+          algorithmState.dpStates != null && (
+            <div className="text-xs text-slate-400">
+              Subsets up to size {algorithmState.subsetSize} ·{" "}
+              {algorithmState.dpStates} states computed
+            </div>
+          )}
+      </div>
+    ) : null;
+
+  // Vertex coloring: colors used vs clique lower bound, ordering, saturation
+  const isColoring =
+    selectedAlgorithm === "greedyColoring" ||
+    selectedAlgorithm === "welshPowell" ||
+    selectedAlgorithm === "dsatur";
+  const coloring = algorithmState.coloring || {};
+  const cliqueBound = algorithmState.cliqueBound || [];
+  const saturation = algorithmState.saturation || {};
+  const coloringBlock =
+    isColoring && algorithmState.step > 0 ? (
+      <div className="mb-2 space-y-2">
+        <div className="flex items-center gap-2 text-xs">
+          <span className="text-slate-400">Colors Used:</span>
+          <span className="font-semibold text-fuchsia-300">
+            {algorithmState.colorsUsed ?? 0}
+          </span>
+          {cliqueBound.length > 0 && (
+            <>
+              <span className="text-slate-400">Lower Bound:</span>
+              <span
+                className={`font-semibold ${
+                  cliqueBound.length === algorithmState.colorsUsed
+                    ? "text-green-400"
+                    : "text-amber-300"
+                }`}
+              >
+                {cliqueBound.length}
+              </span>
+            </>
+          )}
+        </div>
+        {cliqueBound.length > 0 && (
+          <div className="text-xs text-slate-400">
+            Clique: {cliqueBound.map(nodeLabel).join(", ")}
+          </div>
+        )}
+        {(algorithmState.colorOrder || []).length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Order</div>
+            <div className="flex flex-wrap gap-2">
+              {algorithmState.colorOrder.map((id) => (
+                <span
+                  key={id}
+                  className="px-2 py-1 rounded text-xs font-semibold bg-slate-700 text-slate-200"
+                  style={
+                    sccColors[id]
+                      ? { backgroundColor: sccColors[id], color: "#0f172a" }
+                      : undefined
+                  }
+                >
+                  {nodeLabel(id)}
+                  {coloring[id] !== undefined && ` · ${coloring[id]}`}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+        {(algorithmState.blockedColors || []).length > 0 && (
+          <div className="text-xs text-slate-400">
+            Neighbor colors of {nodeLabel(algorithmState.current)}:{" "}
+            {algorithmState.blockedColors.join(", ")}
+          </div>
+        )}
+        {selectedAlgorithm === "dsatur" &&
+          Object.keys(saturation).some((id) => coloring[id] === undefined) && (
+            <div>
+              <div className="text-xs text-slate-400 mb-1">Saturation</div>
+              <div className="text-xs text-slate-200">
+                {Object.keys(saturation)
+                  .filter((id) => coloring[id] === undefined)
+                  .map((id) => `${nodeLabel(id)}: ${saturation[id]}`)
+                  .join(", ")}
+              </div>
+            </div>
+          )}
+      </div>
+    ) : null;
+
+  // Cycle detection stack and the cycle found (also reported by topological sort)
+  const dfsStack = algorithmState.dfsStack || [];
+  const cycle = algorithmState.cycle || [];
+  const cycleBlock =
+    dfsStack.length > 0 || cycle.length > 0 ? (
+      <div className="mb-2 space-y-2">
+        {dfsStack.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">DFS Stack</div>
+            <div className="text-xs text-sky-300 font-semibold">
+              {dfsStack.map(nodeLabel).join(" → ")}
+            </div>
+          </div>
+        )}
+        {cycle.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Cycle</div>
+            <div className="text-xs text-rose-300 font-semibold">
+              {cycle.map(nodeLabel).join(" → ")}
+            </div>
+          </div>
+        )}
+      </div>
+    ) : null;
+
+  // PageRank / centrality: nodes ranked by score
+  const scores = algorithmState.scores;
+  const scoreBlock = scores ? (
+    <div className="mb-2 space-y-2">
+      {algorithmState.iteration != null && (
+        <div className="text-xs text-slate-400">
+          Iteration {algorithmState.iteration}
+          {algorithmState.delta != null &&
+            ` · Δ = ${algorithmState.delta.toExponential(2)}`}
+        </div>
+      )}
+      <div>
+        <div className="text-xs text-slate-400 mb-1">
+          {algorithmState.scoreName || "Scores"}
+        </div>
+        <div className="space-y-1">
+          {(() => {
+            const max = Math.max(...Object.values(scores), 0);
+            return Object.entries(scores)
+              .sort(([, a], [, b]) => b - a)
+              .map(([id, score]) => (
+                <div key={id} className="flex items-center gap-2 text-xs">
+                  <span className="w-10 text-slate-200 font-semibold">
+                    {nodeLabel(id)}
+                  </span>
+                  <div className="flex-1 h-2 bg-slate-700 rounded">
+                    <div
+                      className="h-2 bg-amber-400 rounded"
+                      style={{
+                        width: `${max > 0 ? (score / max) * 100 : 0}%`,
+                      }}
+                    />
+                  </div>
+                  <span className="w-12 text-right text-slate-300">
+                    {score.toFixed(3)}
+                  </span>
+                </div>
+              ));
+          })()}
+        </div>
+      </div>
+    </div>
+  ) : null;
+
+  // Community detection: modularity, Louvain level/pass and members per community
+  const isCommunity =
+    selectedAlgorithm === "labelPropagation" || selectedAlgorithm === "louvain";
+  const communities = algorithmState.communities || {};
+  const communityBlock =
+    isCommunity && algorithmState.step > 0 ? (
+      <div className="mb-2 space-y-2">
+        <div className="flex items-center gap-2 text-xs">
+          <span className="text-slate-400">Modularity:</span>
+          <span className="font-semibold text-teal-300">
+            {algorithmState.modularity != null
+              ? algorithmState.modularity.toFixed(3)
+              : "–"}
+          </span>
+        </div>
+        {selectedAlgorithm === "louvain" &&
+          algorithmState.louvainLevel != null && (
+            <div className="text-xs text-slate-400">
+              Level {algorithmState.louvainLevel}
+              {algorithmState.louvainPass
+                ? ` · pass ${algorithmState.louvainPass}`
+                : ""}{" "}
+              · {algorithmState.superNodes} node
+              {algorithmState.superNodes === 1 ? "" : "s"} in level graph
+            </div>
+          )}
+        {selectedAlgorithm === "labelPropagation" &&
+          algorithmState.iteration != null && (
+            <div className="text-xs text-slate-400">
+              Iteration {algorithmState.iteration}
+            </div>
+          )}
+        <div className="space-y-1">
+          {Object.entries(
+            Object.keys(communities).reduce((groups, id) => {
+              (groups[communities[id]] = groups[communities[id]] || []).push(
+                id,
+              );
+              return groups;
+            }, {}),
+          ).map(([c, members]) => (
+            <div key={c} className="flex items-center gap-2 text-xs">
+              <div
+                className="w-3 h-3 rounded-full"
+                style={{ backgroundColor: sccColors[members[0]] }}
+              />
+              <span className="text-slate-200">
+                {members.map(nodeLabel).join(", ")}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    ) : null;
+
+  // Yen: accepted paths (click to highlight), candidates and the last spur search
+  const kPaths = algorithmState.kPaths || [];
+  const candidatePaths = algorithmState.candidatePaths || [];
+  const showKPath = (idx) => {
+    if (typeof setAlgorithmState !== "function") return;
+    setAlgorithmState((prev) => ({
+      ...prev,
+      selectedPath: idx,
+      path: kPaths[idx].nodes,
+      pathEdges: kPaths[idx].edgeIds,
+      visited: new Set(kPaths[idx].nodes),
+      edgeStates: {},
+      spurNode: null,
+      excludedNodes: [],
+    }));
+  };
+  const yenBlock =
+    selectedAlgorithm === "yenKShortest" && kPaths.length > 0 ? (
+      <div className="mb-2 space-y-2">
+        <div>
+          <div className="text-xs text-slate-400 mb-1">
+            Shortest Paths ({kPaths.length})
+          </div>
+          <div className="space-y-1">
+            {kPaths.map((p, idx) => (
+              <button
+                key={idx}
+                type="button"
+                onClick={() => showKPath(idx)}
+                className={`block w-full text-left text-xs px-2 py-1 rounded ${
+                  algorithmState.selectedPath === idx
+                    ? "bg-orange-500/20 text-orange-300 font-semibold"
+                    : "text-slate-200 hover:bg-slate-700"
+                }`}
+              >
+                {idx + 1}. {p.nodes.map(nodeLabel).join(" → ")} · {p.cost}
+              </button>
+            ))}
+          </div>
+        </div>
+        {algorithmState.spurNote && (
+          <div className="text-xs text-yellow-300">
+            {algorithmState.spurNote}
+          </div>
+        )}
+        {!algorithmState.finished && candidatePaths.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Candidates</div>
+            {candidatePaths.map((p, idx) => (
+              <div key={idx} className="text-xs text-slate-300">
+                {p.nodes.map(nodeLabel).join(" → ")} · {p.cost}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    ) : null;
+
+  // Bidirectional search: meeting node and expansions per direction vs one-sided run
+  const expansions = algorithmState.expansions;
+  const bidirectionalBlock = expansions ? (
+    <div className="mb-2 space-y-1 text-xs">
+      <div className="flex items-center gap-2">
+        <span className="text-slate-400">Meeting Node:</span>
+        <span className="font-semibold text-yellow-300">
+          {algorithmState.meetingNode
+            ? nodeLabel(algorithmState.meetingNode)
+            : "–"}
+        </span>
+      </div>
+      <div className="flex items-center gap-2">
+        <div className="w-3 h-3 rounded-full bg-cyan-400" />
+        <span className="text-slate-400">Forward expanded:</span>
+        <span className="text-slate-200">{expansions.forward}</span>
+      </div>
+      <div className="flex items-center gap-2">
+        <div className="w-3 h-3 rounded-full bg-pink-400" />
+        <span className="text-slate-400">Backward expanded:</span>
+        <span className="text-slate-200">{expansions.backward}</span>
+      </div>
+      <div className="flex items-center gap-2">
+        <span className="text-slate-400">
+          Total vs{" "}
+          {selectedAlgorithm === "bidirectionalBfs" ? "BFS" : "Dijkstra"}:
+        </span>
+        <span className="font-semibold text-slate-200">
+          {expansions.forward + expansions.backward} /{" "}
+          {expansions.unidirectional}
+        </span>
+      </div>
+    </div>
+  ) : null;
+
+  // DAG scheduling: earliest / latest start and slack per task in topological order
+  const earliestStart = algorithmState.earliestStart || {};
+  const scheduleBlock =
+    selectedAlgorithm === "dagPaths" &&
+    Object.keys(earliestStart).length > 0 ? (
+      <div className="mb-2">
+        <div className="text-xs text-slate-400 mb-1">
+          Schedule
+          {algorithmState.projectDuration != null &&
+            ` · project duration ${algorithmState.projectDuration}`}
+        </div>
+        <table className="text-xs w-full">
+          <thead>
+            <tr className="text-slate-400">
+              <th className="text-left font-normal">Task</th>
+              <th className="text-right font-normal">ES</th>
+              <th className="text-right font-normal">LS</th>
+              <th className="text-right font-normal">Slack</th>
+            </tr>
+          </thead>
+          <tbody>
+            {(algorithmState.order || Object.keys(earliestStart)).map((id) => {
+              const slack = algorithmState.slack?.[id];
+              return (
+                <tr
+                  key={id}
+                  className={
+                    slack === 0
+                      ? "text-rose-300 font-semibold"
+                      : "text-slate-200"
+                  }
+                >
+                  <td>{nodeLabel(id)}</td>
+                  <td className="text-right">{earliestStart[id]}</td>
+                  <td className="text-right">
+                    {algorithmState.latestStart?.[id] ?? "–"}
+                  </td>
+                  <td className="text-right">{slack ?? "–"}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {Object.keys(algorithmState.slack || {}).length > 0 && (
+          <div className="text-xs text-slate-400 mt-1">
+            Zero-slack tasks (red) are critical
+          </div>
+        )}
+      </div>
+    ) : null;
+
+  // Johnson: potentials from Bellman-Ford and the reweighted edges
+  const potentials = algorithmState.potentials || {};
+  const reweighted = algorithmState.reweighted || {};
+  const johnsonBlock =
+    selectedAlgorithm === "johnson" && Object.keys(potentials).length > 0 ? (
+      <div className="mb-2 space-y-2">
+        <div>
+          <div className="text-xs text-slate-400 mb-1">Potentials h(v)</div>
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(potentials).map(([id, h]) => (
+              <span
+                key={id}
+                className="px-2 py-1 rounded text-xs font-semibold bg-fuchsia-300 text-slate-900"
+              >
+                {nodeLabel(id)}: {h === Infinity ? "∞" : h}
+              </span>
+            ))}
+          </div>
+        </div>
+        {Object.keys(reweighted).length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">
+              Reweighted edges w + h(u) − h(v)
+            </div>
+            <div className="space-y-1">
+              {edges
+                .filter((e) => reweighted[e.id] !== undefined)
+                .map((e) => (
+                  <div key={e.id} className="text-xs text-slate-200">
+                    {nodeLabel(e.from)}–{nodeLabel(e.to)}: {e.weight ?? 1} →{" "}
+                    {reweighted[e.id]}
+                  </div>
+                ))}
+            </div>
+          </div>
+        )}
+      </div>
+    ) : null;
+
+  // Depth-limited DFS / IDDFS: current bound and nodes cut off at it
+  const depthBlock =
+    (selectedAlgorithm === "depthLimitedDfs" ||
+      selectedAlgorithm === "iddfs") &&
+    algorithmState.depthLimit != null ? (
+      <div className="mb-2 space-y-1 text-xs">
+        <div className="flex items-center gap-2">
+          <span className="text-slate-400">Depth Bound:</span>
+          <span className="font-semibold text-teal-300">
+            {algorithmState.depthLimit}
+          </span>
+          {algorithmState.current &&
+            algorithmState.depths?.[algorithmState.current] !== undefined && (
+              <span className="text-slate-400">
+                · current depth {algorithmState.depths[algorithmState.current]}
+              </span>
+            )}
+        </div>
+        {algorithmState.cutoff?.length > 0 && (
+          <div className="flex items-center gap-2">
+            <span className="text-slate-400">Cut off at:</span>
+            <span className="text-slate-200">
+              {algorithmState.cutoff.map(nodeLabel).join(", ")}
+            </span>
+          </div>
+        )}
+      </div>
+    ) : null;
+
+  // Bron–Kerbosch: current R / P / X frame and the maximal cliques found
+  const cliques = algorithmState.cliques || [];
+  const cliqueBlock =
+    selectedAlgorithm === "bronKerbosch" && algorithmState.step > 0 ? (
+      <div className="mb-2 space-y-2">
+        {!algorithmState.finished && (
+          <div className="space-y-1 text-xs">
+            <div className="text-slate-400">
+              Recursion depth {algorithmState.recursionDepth ?? 0}
+              {algorithmState.pivot &&
+                ` · pivot ${nodeLabel(algorithmState.pivot)}`}
+            </div>
+            {[
+              ["R", algorithmState.cliqueR, "text-purple-300"],
+              ["P", algorithmState.cliqueP, "text-sky-300"],
+              ["X", algorithmState.cliqueX, "text-slate-400"],
+            ].map(([name, set, color]) => (
+              <div key={name} className="flex items-center gap-2">
+                <span className="text-slate-400 w-4">{name}:</span>
+                <span className={`font-semibold ${color}`}>
+                  {"{"}
+                  {(set || []).map(nodeLabel).join(", ")}
+                  {"}"}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+        {cliques.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">
+              Maximal Cliques ({cliques.length})
+            </div>
+            <div className="space-y-1">
+              {cliques.map((clique, idx) => {
+                const isMax =
+                  algorithmState.maxClique &&
+                  clique.join() === algorithmState.maxClique.join();
+                return (
+                  <div
+                    key={idx}
+                    className={`text-xs ${
+                      isMax ? "text-purple-300 font-semibold" : "text-slate-200"
+                    }`}
+                  >
+                    {"{"}
+                    {clique.map(nodeLabel).join(", ")}
+                    {"}"}
+                    {isMax && " ★ maximum"}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+    ) : null;
+
+  // Chu–Liu/Edmonds: live super-nodes and their members
+  const contractedNodes = algorithmState.contractedNodes || [];
+  const contractionBlock =
+    selectedAlgorithm === "chuLiuEdmonds" && contractedNodes.length > 0 ? (
+      <div className="mb-2 space-y-1 text-xs">
+        <div className="text-slate-400">Super-Nodes</div>
+        {contractedNodes.map((c) => (
+          <div key={c.id} className="flex items-center gap-2">
+            <span className="font-semibold text-purple-300">{c.label}</span>
+            <span className="text-slate-200">
+              {"{"}
+              {c.members.map(nodeLabel).join(", ")}
+              {"}"}
+            </span>
+          </div>
+        ))}
+      </div>
+    ) : null;
+
+  // VF2: search depth, the pair being tried and the current partial mapping
+  const isoBadges = algorithmState.isoBadges || {};
+  const isoCandidate = algorithmState.isoCandidate;
+  const isoBlock =
+    selectedAlgorithm === "vf2" && algorithmState.step > 0 ? (
+      <div className="mb-2 space-y-1 text-xs">
+        <div className="text-slate-400">
+          Depth {algorithmState.searchDepth ?? 0} · States explored{" "}
+          {algorithmState.statesExplored ?? 0}
+        </div>
+        {isoCandidate && (
+          <div
+            className={
+              isoCandidate.feasible ? "text-green-400" : "text-rose-300"
+            }
+          >
+            Try {isoCandidate.label} → {nodeLabel(isoCandidate.target)}{" "}
+            {isoCandidate.feasible ? "✓" : "✗"}
+          </div>
+        )}
+        {Object.keys(isoBadges).length > 0 && (
+          <div>
+            <div className="text-slate-400 mb-1">Mapping</div>
+            {Object.entries(isoBadges).map(([target, label]) => (
+              <div key={target} className="text-slate-200">
+                {label} → {nodeLabel(target)}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    ) : null;
+
+  // Tree algorithms: failed tree check, LCA ancestor table and lifts,
+  // leaf-peeling rounds and the Euler tour with its depth array
+  const ancestors = algorithmState.ancestors || {};
+  const ancestorIds = Object.keys(ancestors);
+  const eulerTour = algorithmState.eulerTour || [];
+  const tourRange = algorithmState.tourRange;
+  const treeBlock =
+    algorithmState.treeViolations?.length > 0 ? (
+      <div className="mb-2 text-xs">
+        <span className="text-slate-400">Offending nodes: </span>
+        <span className="font-semibold text-rose-300">
+          {algorithmState.treeViolations.map(nodeLabel).join(", ")}
+        </span>
+      </div>
+    ) : selectedAlgorithm === "treeLca" && ancestorIds.length > 0 ? (
+      <div className="mb-2 space-y-2">
+        <div>
+          <div className="text-xs text-slate-400 mb-1">Ancestor Table</div>
+          <table className="text-xs text-slate-200">
+            <thead>
+              <tr>
+                <th className="pr-3 text-left text-slate-400">Node</th>
+                {ancestors[ancestorIds[0]].map((_, k) => (
+                  <th key={k} className="pr-3 text-left text-slate-400">
+                    2^{k}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {ancestorIds.map((id) => (
+                <tr
+                  key={id}
+                  className={
+                    algorithmState.liftPointers?.includes(id)
+                      ? "text-orange-300 font-semibold"
+                      : ""
+                  }
+                >
+                  <td className="pr-3">{nodeLabel(id)}</td>
+                  {ancestors[id].map((a, k) => (
+                    <td key={k} className="pr-3">
+                      {nodeLabel(a)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        {algorithmState.liftLog?.length > 0 && (
+          <div>
+            <div className="text-xs text-slate-400 mb-1">Lifts</div>
+            {algorithmState.liftLog.map((line, idx) => (
+              <div key={idx} className="text-xs text-slate-200">
+                {line}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    ) : selectedAlgorithm === "treeCenter" && algorithmState.peelRound ? (
+      <div className="mb-2 space-y-1 text-xs">
+        <div className="flex items-center gap-2">
+          <span className="text-slate-400">Round:</span>
+          <span className="font-semibold text-green-300">
+            {algorithmState.peelRound}
+          </span>
+          <span className="text-slate-400">
+            · {algorithmState.peeledNodes?.length ?? 0} peeled
+          </span>
+        </div>
+        {algorithmState.leafLayer?.length > 0 && (
+          <div className="flex items-center gap-2">
+            <span className="text-slate-400">Removing leaves:</span>
+            <span className="text-sky-300">
+              {algorithmState.leafLayer.map(nodeLabel).join(", ")}
+            </span>
+          </div>
+        )}
+      </div>
+    ) : selectedAlgorithm === "eulerTour" && eulerTour.length > 0 ? (
+      <div className="mb-2">
+        <div className="text-xs text-slate-400 mb-1">
+          Euler Tour ({eulerTour.length} entries)
+        </div>
+        <div className="overflow-x-auto">
+          <table className="text-xs text-slate-200">
+            <tbody>
+              {[
+                ["#", (_, i) => i],
+                ["Node", (id) => nodeLabel(id)],
+                ["Depth", (_, i) => algorithmState.tourDepths?.[i]],
+              ].map(([name, cell]) => (
+                <tr key={name}>
+                  <td className="pr-2 text-slate-400">{name}</td>
+                  {eulerTour.map((id, i) => (
+                    <td
+                      key={i}
+                      className={`px-1 text-center ${
+                        tourRange?.min === i
+                          ? "text-green-300 font-semibold"
+                          : tourRange &&
+                              i >= tourRange.from &&
+                              i <= tourRange.to
+                            ? "text-amber-300"
+                            : ""
+                      }`}
+                    >
+                      {cell(id, i)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    ) : null;
+
+  // Tarjan stack (nodes of SCCs still being assembled)
+  const tarjanStack = algorithmState.tarjanStack || [];
+  const showTarjanStack =
+    selectedAlgorithm === "tarjanScc" && !algorithmState.finished;
+
+  // Cross-check of the final SCCs against the other SCC algorithm
+  const comparison = isSccAlgorithm ? algorithmState.sccComparison : null;
+  const comparisonBlock = comparison ? (
+    <div className="mb-2">
+      <div
+        className={`text-xs font-semibold mb-1 ${
+          comparison.agree ? "text-green-400" : "text-rose-300"
+        }`}
+      >
+        {comparison.agree
+          ? `${comparison.algorithm} agrees (${comparison.sccs.length} SCCs)`
+          : `${comparison.algorithm} disagrees (${comparison.sccs.length} SCCs)`}
+      </div>
+      <div className="space-y-1">
+        {comparison.sccs.map((scc, idx) => (
+          <div key={idx} className="text-xs text-slate-300">
+            {comparison.algorithm} {idx + 1}:{" "}
+            {scc
+              .map((id) => nodes.find((n) => n.id === id)?.label || id)
+              .join(", ")}
+          </div>
+        ))}
+      </div>
+    </div>
+  ) : null;
+
   // Algorithm phase/stage
   let phaseLabel = null;
-  if (selectedAlgorithm === "scc") {
+  if (selectedAlgorithm === "scc" || selectedAlgorithm === "twoSat") {
     switch (algorithmState.phase) {
       case "dfs1":
         phaseLabel = "Phase: First DFS (Original Graph)";
@@ -116,12 +1241,156 @@ export default function ResultsPanel({
       case "dfs2":
         phaseLabel = "Phase: Second DFS (Transposed Graph)";
         break;
+      case "assign":
+        phaseLabel = "Phase: Assign Variables in Topological Order";
+        break;
+      case "conflict":
+        phaseLabel = "Phase: Contradiction Found";
+        break;
       case "finished":
         phaseLabel = "Phase: Finished";
         break;
       default:
         phaseLabel = null;
     }
+  } else if (isMaxFlow) {
+    phaseLabel =
+      {
+        init: "Phase: Zero Flow",
+        bfs: "Phase: BFS in Residual Graph",
+        augment: "Phase: Augment Along Path",
+        levelGraph: "Phase: Build Level Graph (Residual)",
+        blockingFlow: "Phase: Push Blocking Flow",
+        potentials: "Phase: Initial Potentials (Bellman-Ford)",
+        dijkstra: "Phase: Dijkstra on Reduced Costs (Residual)",
+        finished: "Phase: Finished (Min Cut)",
+      }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "hopcroftKarp") {
+    phaseLabel =
+      {
+        bfs: "Phase: BFS Layers from Free Left Nodes",
+        augment: "Phase: Flip Alternating Paths",
+        finished: "Phase: Finished",
+      }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "hungarian") {
+    phaseLabel =
+      {
+        row: "Phase: Add Next Row",
+        potentials: "Phase: Shift Potentials by Minimum Slack",
+        augment: "Phase: Flip Alternating Path",
+        finished: "Phase: Finished",
+      }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "louvain") {
+    phaseLabel =
+      {
+        localMove: "Phase: Local Moves",
+        aggregate: "Phase: Aggregate Communities",
+        finished: "Phase: Finished",
+      }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "eulerian") {
+    phaseLabel =
+      {
+        walk: "Phase: Walk Unused Edges",
+        backtrack: "Phase: Pop Onto Circuit",
+        trace: "Phase: Trace Circuit",
+      }[algorithmState.phase] || null;
+  } else if (isTsp) {
+    phaseLabel =
+      algorithmState.phase === "layer"
+        ? `Phase: Best Paths Through ${algorithmState.subsetSize} Node${
+            algorithmState.subsetSize === 1 ? "" : "s"
+          }`
+        : {
+            construct: "Phase: Move to Nearest Unvisited Node",
+            initial: "Phase: Nearest-Neighbor Tour",
+            evaluate: "Phase: Best 2-opt Swap",
+            swap: "Phase: Swap Applied",
+            mst: "Phase: Minimum Spanning Tree",
+            odd: "Phase: Odd-Degree Nodes",
+            match: "Phase: Match Odd Nodes",
+            euler: "Phase: Euler Circuit",
+            shortcut: "Phase: Shortcut Repeated Nodes",
+            trace: "Phase: Trace Optimal Tour",
+            finished: "Phase: Finished",
+          }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "dagPaths") {
+    phaseLabel =
+      {
+        relax: "Phase: Relax Edges in Topological Order",
+        forward: "Phase: Forward Pass (Earliest Start)",
+        backward: "Phase: Backward Pass (Latest Start)",
+        finished: "Phase: Finished",
+      }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "johnson") {
+    phaseLabel =
+      algorithmState.phase === "dijkstra"
+        ? `Phase: Dijkstra from ${nodeLabel(algorithmState.dijkstraSource)}`
+        : {
+            potentials: "Phase: Bellman-Ford from Virtual Source",
+            reweight: "Phase: Reweighting",
+            finished: "Phase: Finished",
+          }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "chuLiuEdmonds") {
+    phaseLabel =
+      {
+        select: "Phase: Cheapest Incoming Edges",
+        cycle: "Phase: Cycle Found",
+        contract: "Phase: Contract Cycle into Super-Node",
+        expand: "Phase: Expand Super-Node",
+        finished: "Phase: Finished",
+      }[algorithmState.phase] || null;
+    if (phaseLabel && algorithmState.contractionLevel > 0) {
+      phaseLabel += ` (level ${algorithmState.contractionLevel})`;
+    }
+  } else if (selectedAlgorithm === "yenKShortest") {
+    phaseLabel =
+      {
+        spur: `Phase: Spur Searches for Path ${kPaths.length + 1}`,
+        accept: `Phase: Accept Path ${kPaths.length}`,
+        finished: "Phase: Finished",
+      }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "treeLca") {
+    phaseLabel =
+      {
+        depth: "Phase: Root the Tree and Record Depths",
+        table: "Phase: Build Ancestor Table",
+        lift: "Phase: Lift Toward the LCA",
+        finished: "Phase: Finished",
+      }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "treeDiameter") {
+    phaseLabel =
+      {
+        bfs1: "Phase: BFS to Find One End",
+        bfs2: "Phase: BFS from That End",
+        finished: "Phase: Finished",
+      }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "treeCenter") {
+    phaseLabel =
+      {
+        peel: "Phase: Peel Leaves",
+        finished: "Phase: Finished",
+      }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "eulerTour") {
+    phaseLabel =
+      {
+        tour: "Phase: Depth-First Tour",
+        finished: "Phase: Finished",
+      }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "vf2") {
+    phaseLabel =
+      {
+        try: "Phase: Extend Mapping",
+        backtrack: "Phase: Backtrack",
+        match: "Phase: Match Found",
+        finished: "Phase: Finished",
+      }[algorithmState.phase] || null;
+  } else if (selectedAlgorithm === "tarjanScc") {
+    phaseLabel =
+      algorithmState.phase === "finished"
+        ? "Phase: Finished"
+        : algorithmState.phase === "tarjan"
+          ? "Phase: DFS with Lowlinks"
+          : null;
   }
 
   // BFS queue
@@ -151,7 +1420,11 @@ export default function ResultsPanel({
   // Distances (Dijkstra & Bellman-Ford)
   // Support both Dijkstra and Bellman-Ford so distances appear for both algorithms.
   const showDistances =
-    (selectedAlgorithm === "dijkstra" || selectedAlgorithm === "bellmanFord") &&
+    (selectedAlgorithm === "dijkstra" ||
+      selectedAlgorithm === "bellmanFord" ||
+      selectedAlgorithm === "dagPaths" ||
+      selectedAlgorithm === "johnson" ||
+      selectedAlgorithm === "treeDiameter") &&
     algorithmState.distances &&
     Object.keys(algorithmState.distances).length > 0;
   const distanceList = showDistances ? (
@@ -159,7 +1432,10 @@ export default function ResultsPanel({
       <div className="text-xs text-slate-400 mb-1">
         {selectedAlgorithm === "bellmanFord"
           ? "Distances (Bellman-Ford)"
-          : "Distances"}
+          : selectedAlgorithm === "dagPaths" &&
+              algorithmState.dagMode === "longest"
+            ? "Longest Distances"
+            : "Distances"}
       </div>
       <div className="flex flex-wrap gap-2">
         {Object.entries(algorithmState.distances).map(([id, dist]) => {
@@ -232,7 +1508,51 @@ export default function ResultsPanel({
           </div>
         )}
         {distanceList}
+        {scoreList}
+        {showTarjanStack && (
+          <div className="mb-2">
+            <div className="text-xs text-slate-400 mb-1">Tarjan Stack</div>
+            <div className="text-xs text-purple-300">
+              {tarjanStack.length > 0
+                ? tarjanStack
+                    .map((id) => nodes.find((n) => n.id === id)?.label || id)
+                    .join(", ")
+                : "Empty"}
+            </div>
+          </div>
+        )}
         {sccList}
+        {comparisonBlock}
+        {articulationList}
+        {flowBlock}
+        {bipartiteBlock}
+        {eulerBlock}
+        {tspBlock}
+        {coloringBlock}
+        {cycleBlock}
+        {scoreBlock}
+        {communityBlock}
+        {bidirectionalBlock}
+        {yenBlock}
+        {scheduleBlock}
+        {johnsonBlock}
+        {depthBlock}
+        {cliqueBlock}
+        {contractionBlock}
+        {isoBlock}
+        {treeBlock}
+        {isMst && currentEdge && (
+          <div className="flex items-center gap-2 text-xs">
+            <span className="text-slate-400">Current Edge:</span>
+            <span className="font-semibold text-yellow-300">
+              {edgeLabel(currentEdge)}
+            </span>
+          </div>
+        )}
+        {frontierList}
+        {sortedEdgeList}
+        {disjointSetList}
+        {mstEdgeList}
         {/* Topological order display (if algorithm emitted `order`) */}
         {algorithmState.order && algorithmState.order.length > 0 && (
           <div className="mb-2">
@@ -271,6 +1591,11 @@ export default function ResultsPanel({
               </div>
             </div>
           )}
+        {algorithmState.edgeNote && !algorithmState.finished && (
+          <div className="mt-2 text-xs text-yellow-300">
+            {algorithmState.edgeNote}
+          </div>
+        )}
         {algorithmState.result && (
           <div className="mt-2 text-xs text-green-400 font-semibold">
             {algorithmState.result}
@@ -0,0 +1,106 @@
+import React, { useState } from "react";
+import { Card, CardHeader, CardTitle, CardContent } from "../ui/card";
+import Button from "../ui/button";
+import { buildImplicationGraph } from "../../algorithms";
+
+/**
+ * TwoSatPanel
+ *
+ * Text entry for a 2-CNF formula. "Build Implication Graph" replaces the
+ * canvas with the formula's implication graph (x on top, ¬x below, directed)
+ * so the 2-SAT algorithm can run Kosaraju on it. Once a run finishes, shows
+ * the satisfying assignment or the variable whose x and ¬x share an SCC.
+ *
+ * Props:
+ * - formula: string
+ * - setFormula: (text) => void
+ * - setNodes, setEdges, setIsDirected: graph setters
+ * - setStartNode, setEndNode: cleared when the graph is replaced
+ * - algorithmState: object (satAssignment, satConflict, finished)
+ * - resetAlgorithmState: () => void
+ */
+export default function TwoSatPanel({
+  formula,
+  setFormula,
+  setNodes,
+  setEdges,
+  setIsDirected,
+  setStartNode,
+  setEndNode,
+  algorithmState,
+  resetAlgorithmState,
+}) {
+  const [built, setBuilt] = useState(null);
+
+  const buildGraph = () => {
+    const graph = buildImplicationGraph(formula);
+    setBuilt(graph);
+    if (graph.error) return;
+    setNodes(graph.nodes);
+    setEdges(graph.edges);
+    setIsDirected(true);
+    setStartNode(null);
+    setEndNode(null);
+    resetAlgorithmState();
+  };
+
+  const assignment = algorithmState.satAssignment || {};
+  const conflict = algorithmState.satConflict;
+
+  return (
+    <Card className="bg-slate-800/50 backdrop-blur-sm border-slate-700">
+      <CardHeader className="pb-3">
+        <CardTitle className="text-slate-200">2-CNF Formula</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <textarea
+          value={formula}
+          onChange={(e) => setFormula(e.target.value)}
+          rows={3}
+          spellCheck={false}
+          className="w-full rounded bg-slate-900/60 border border-slate-600 p-2 text-sm font-mono text-slate-200"
+          placeholder="(a ∨ ¬b) ∧ (¬a ∨ c)"
+        />
+        <div className="text-xs text-slate-400">
+          Clauses: ∧ &amp; and , ; or new line · Literals: ∨ | or · Negation: ¬
+          ! ~ -
+        </div>
+        <Button variant="outline" size="sm" onClick={buildGraph}>
+          Build Implication Graph
+        </Button>
+        {built?.error && (
+          <div className="text-xs text-rose-400">{built.error}</div>
+        )}
+        {built && !built.error && (
+          <div className="text-xs text-slate-400">
+            {built.variables.length} variables · {built.clauses.length} clauses
+            → {built.nodes.length} literals, {built.edges.length} implications
+          </div>
+        )}
+        {algorithmState.finished &&
+          (conflict ? (
+            <div className="text-xs text-rose-300 font-semibold">
+              Unsatisfiable: {conflict} and ¬{conflict} imply each other
+            </div>
+          ) : (
+            Object.keys(assignment).length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(assignment).map(([x, value]) => (
+                  <span
+                    key={x}
+                    className={`px-2 py-1 rounded text-xs font-semibold ${
+                      value
+                        ? "bg-green-500 text-slate-900"
+                        : "bg-slate-600 text-slate-200"
+                    }`}
+                  >
+                    {x} = {value ? "T" : "F"}
+                  </span>
+                ))}
+              </div>
+            )
+          ))}
+      </CardContent>
+    </Card>
+  );
+}
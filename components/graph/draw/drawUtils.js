@@ -7,6 +7,9 @@
  * - drawNodeTimes(ctx, node, d, f, options)
  * - drawNodeDistance(ctx, node, distance, options)
  * - drawEdge(ctx, fromNode, toNode, options)
+ * - EDGE_STATE_STYLES: per-state edge styles for edge-level highlighting
+ * - scoreRadius(t, base), scoreColor(t): encode a normalized score (PageRank, centrality)
+ * - drawSuperNode(ctx, members, options): contracted super-node around its member nodes
  * - drawArrowhead(ctx, x, y, angle, options)
  * - geometry helpers: quadraticPointAt, quadraticTangentAt
  */
@@ -26,14 +29,34 @@ export const DEFAULTS = {
     nodeLabel: "#ffffff",
     timesBg: "#111827",
     timesText: "#cbd5e1",
+    lowlinkBg: "#4c1d95", // deep violet
+    lowlinkText: "#e9d5ff",
     edge: "#475569", // slate
     edgePath: "#3b82f6", // blue
+    edgeMst: "#22c55e", // green
+    edgeConsidering: "#facc15", // yellow
+    edgeRejected: "#ef4444", // red
+    edgeBridge: "#f97316", // orange
+    edgeAugmenting: "#38bdf8", // sky
+    edgeLevel: "#a78bfa", // violet
+    edgeCut: "#e11d48", // rose
+    edgeMatched: "#14b8a6", // teal
+    edgeCycle: "#f43f5e", // rose
+    edgeCircuit: "#34d399", // emerald
+    edgeClique: "#c084fc", // purple
+    edgeAdded: "#38bdf8", // sky
+    edgeRemoved: "#f87171", // red
+    nodeRingIssue: "#f43f5e", // rose
+    nodeRing: "#f97316", // orange
     arrow: "#475569",
     weightBg: "#ffffff",
     weightText: "#1f2937",
     distanceBox: "#fbbf24", // amber
     distanceBoxInfinity: "#37415180", // translucent muted
     distanceText: "#1f2937",
+    scoreLow: "#334155", // slate
+    scoreHigh: "#f59e0b", // amber
+    superNode: "#c084fc", // purple
   },
   fonts: {
     nodeLabel: "bold 14px Inter",
@@ -46,11 +69,117 @@ export const DEFAULTS = {
   curveOffset: 40,
 };
 
+/**
+ * Styles for edge-level algorithm state (step.edgeStates: { edgeId: state }).
+ * Drawn on top of normal and path edges so they stay distinguishable.
+ */
+export const EDGE_STATE_STYLES = {
+  mst: { color: DEFAULTS.colors.edgeMst, lineWidth: 4 },
+  considering: { color: DEFAULTS.colors.edgeConsidering, lineWidth: 4 },
+  rejected: {
+    color: DEFAULTS.colors.edgeRejected,
+    lineWidth: 2,
+    lineDash: [6, 4],
+  },
+  bridge: {
+    color: DEFAULTS.colors.edgeBridge,
+    lineWidth: 5,
+    lineDash: [10, 6],
+  },
+  augmenting: { color: DEFAULTS.colors.edgeAugmenting, lineWidth: 5 },
+  level: { color: DEFAULTS.colors.edgeLevel, lineWidth: 3 },
+  cut: { color: DEFAULTS.colors.edgeCut, lineWidth: 5, lineDash: [4, 4] },
+  matched: { color: DEFAULTS.colors.edgeMatched, lineWidth: 5 },
+  alternating: {
+    color: DEFAULTS.colors.edgeMatched,
+    lineWidth: 4,
+    lineDash: [8, 4],
+  },
+  cycle: { color: DEFAULTS.colors.edgeCycle, lineWidth: 4 },
+  circuit: { color: DEFAULTS.colors.edgeCircuit, lineWidth: 3 },
+  clique: { color: DEFAULTS.colors.edgeClique, lineWidth: 4 },
+  added: { color: DEFAULTS.colors.edgeAdded, lineWidth: 3, lineDash: [8, 4] },
+  removed: {
+    color: DEFAULTS.colors.edgeRemoved,
+    lineWidth: 2,
+    lineDash: [2, 6],
+  },
+};
+
+/**
+ * Node radius for a score normalized to [0, 1]: 0.6x to 1.5x the base radius
+ * @param {number} t
+ * @param {number} [base]
+ * @returns {number}
+ */
+export function scoreRadius(t, base = DEFAULTS.nodeRadius) {
+  return base * (0.6 + 0.9 * t);
+}
+
+/**
+ * Node fill for a score normalized to [0, 1], from scoreLow to scoreHigh
+ * @param {number} t
+ * @returns {string} hex color
+ */
+export function scoreColor(t) {
+  const parse = (hex) =>
+    [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  const low = parse(DEFAULTS.colors.scoreLow);
+  const high = parse(DEFAULTS.colors.scoreHigh);
+  return `#${low
+    .map((c, i) =>
+      Math.round(c + (high[i] - c) * t)
+        .toString(16)
+        .padStart(2, "0"),
+    )
+    .join("")}`;
+}
+
+/**
+ * Draw a contracted super-node (e.g. a Chu–Liu/Edmonds cycle) as a
+ * translucent dashed disc enclosing its member nodes, labelled above
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {Node[]} members
+ * @param {{ label?: string, radius?: number, colors?: { superNode?: string } }} [options]
+ */
+export function drawSuperNode(ctx, members, options = {}) {
+  if (!members || members.length === 0) return;
+  const radius = options.radius ?? DEFAULTS.nodeRadius;
+  const colors = { ...DEFAULTS.colors, ...(options.colors || {}) };
+  const cx = members.reduce((s, n) => s + n.x, 0) / members.length;
+  const cy = members.reduce((s, n) => s + n.y, 0) / members.length;
+  const r =
+    Math.max(...members.map((n) => Math.hypot(n.x - cx, n.y - cy))) +
+    radius +
+    12;
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+  ctx.globalAlpha = 0.15;
+  ctx.fillStyle = colors.superNode;
+  ctx.fill();
+  ctx.globalAlpha = 1;
+  ctx.strokeStyle = colors.superNode;
+  ctx.lineWidth = 2;
+  ctx.setLineDash([8, 6]);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  if (options.label) {
+    ctx.font = DEFAULTS.fonts.nodeLabel;
+    ctx.fillStyle = colors.superNode;
+    ctx.textAlign = "center";
+    ctx.fillText(options.label, cx, cy - r - 6);
+  }
+  ctx.restore();
+}
+
 /**
  * Draws a node as a filled circle with border and centered label
+ * Pass `ring` (a color) to outline the node, e.g. for articulation points.
  * @param {CanvasRenderingContext2D} ctx
  * @param {Node} node
- * @param {{ radius?: number, colors?: { nodeFill?: string, nodeBorder?: string, nodeLabel?: string }, label?: string }} [options]
+ * @param {{ radius?: number, colors?: { nodeFill?: string, nodeBorder?: string, nodeLabel?: string }, label?: string, ring?: string }} [options]
  */
 export function drawNodeCircle(ctx, node, options = {}) {
   const radius = options.radius ?? DEFAULTS.nodeRadius;
@@ -66,6 +195,14 @@ export function drawNodeCircle(ctx, node, options = {}) {
   ctx.lineWidth = 2;
   ctx.stroke();
 
+  if (options.ring) {
+    ctx.strokeStyle = options.ring;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(node.x, node.y, radius + 5, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
   if (label) {
     ctx.fillStyle = colors.nodeLabel;
     ctx.font = DEFAULTS.fonts.nodeLabel;
@@ -76,11 +213,12 @@ export function drawNodeCircle(ctx, node, options = {}) {
 
 /**
  * Draw discovery/finish time badge above the node
+ * When `lowlink` is given (Tarjan / low-link DFS) a second badge is drawn to its right.
  * @param {CanvasRenderingContext2D} ctx
  * @param {Node} node
  * @param {number | undefined} d
  * @param {number | undefined} f
- * @param {{ radius?: number, colors?: { timesBg?: string, timesText?: string }, padding?: number }} [options]
+ * @param {{ radius?: number, lowlink?: number, colors?: { timesBg?: string, timesText?: string, lowlinkBg?: string, lowlinkText?: string }, padding?: number }} [options]
  */
 export function drawNodeTimes(ctx, node, d, f, options = {}) {
   if (d === undefined && f === undefined) return;
@@ -105,38 +243,54 @@ export function drawNodeTimes(ctx, node, d, f, options = {}) {
   ctx.fillStyle = colors.timesText;
   ctx.textAlign = "center";
   ctx.fillText(text, node.x, node.y - radius - 5 - rectHeight / 2 + 4);
+
+  if (options.lowlink !== undefined) {
+    const lowText = `low ${options.lowlink}`;
+    const lowWidth = ctx.measureText(lowText).width + padding * 2;
+    const lowX = node.x + rectWidth / 2 + 2;
+    ctx.fillStyle = colors.lowlinkBg;
+    ctx.fillRect(lowX, node.y - radius - rectHeight - 5, lowWidth, rectHeight);
+    ctx.fillStyle = colors.lowlinkText;
+    ctx.fillText(
+      lowText,
+      lowX + lowWidth / 2,
+      node.y - radius - 5 - rectHeight / 2 + 4,
+    );
+  }
 }
 
 /**
  * Draw a distance badge near the node (for shortest path algorithms)
+ * Pass `label` to show custom text (e.g. A* "g+h=f"); the box widens to fit.
  * @param {CanvasRenderingContext2D} ctx
  * @param {Node} node
  * @param {number | typeof Infinity | undefined} distance
- * @param {{ radius?: number, colors?: { distanceBox?: string, distanceBoxInfinity?: string, distanceText?: string } }} [options]
+ * @param {{ radius?: number, label?: string, colors?: { distanceBox?: string, distanceBoxInfinity?: string, distanceText?: string } }} [options]
  */
 export function drawNodeDistance(ctx, node, distance, options = {}) {
   if (distance === undefined) return;
   const radius = options.radius ?? DEFAULTS.nodeRadius;
   const colors = { ...DEFAULTS.colors, ...(options.colors || {}) };
+  const text =
+    options.label ?? (distance === Infinity ? "∞" : String(distance));
+
+  ctx.font = DEFAULTS.fonts.small;
+  const boxWidth = Math.max(36, ctx.measureText(text).width + 8);
 
   // background box
   ctx.fillStyle =
     distance !== Infinity ? colors.distanceBox : colors.distanceBoxInfinity;
-  ctx.fillRect(node.x + radius - 5, node.y - radius - 15, 36, 20);
+  ctx.fillRect(node.x + radius - 5, node.y - radius - 15, boxWidth, 20);
 
   // text
   ctx.fillStyle = colors.distanceText;
-  ctx.font = DEFAULTS.fonts.small;
   ctx.textAlign = "center";
-  ctx.fillText(
-    distance === Infinity ? "∞" : String(distance),
-    node.x + radius + 13,
-    node.y - radius - 2,
-  );
+  ctx.fillText(text, node.x + radius - 5 + boxWidth / 2, node.y - radius - 2);
 }
 
 /**
  * Draw a simple weight label near the edge midpoint
+ * The box widens for longer text such as "flow/capacity" labels.
  * @param {CanvasRenderingContext2D} ctx
  * @param {number} x
  * @param {number} y
@@ -145,12 +299,14 @@ export function drawNodeDistance(ctx, node, distance, options = {}) {
  */
 export function drawWeightLabel(ctx, x, y, weight, options = {}) {
   const colors = { ...DEFAULTS.colors, ...(options.colors || {}) };
+  const text = String(weight);
+  ctx.font = DEFAULTS.fonts.small;
+  const width = Math.max(20, ctx.measureText(text).width + 8);
   ctx.fillStyle = colors.weightBg;
-  ctx.fillRect(x - 10, y - 8, 20, 16);
+  ctx.fillRect(x - width / 2, y - 8, width, 16);
   ctx.fillStyle = colors.weightText;
-  ctx.font = DEFAULTS.fonts.small;
   ctx.textAlign = "center";
-  ctx.fillText(String(weight), x, y + 4);
+  ctx.fillText(text, x, y + 4);
 }
 
 /**
@@ -215,17 +371,19 @@ export function quadraticTangentAt(p0, p1, p2, t) {
  * @param {CanvasRenderingContext2D} ctx
  * @param {Node} fromNode
  * @param {Node} toNode
- * @param {{ color?: string, lineWidth?: number }} [options]
+ * @param {{ color?: string, lineWidth?: number, lineDash?: number[] }} [options]
  */
 export function drawStraightEdgeLine(ctx, fromNode, toNode, options = {}) {
   const color = options.color ?? DEFAULTS.colors.edge;
   const lineWidth = options.lineWidth ?? 2;
   ctx.strokeStyle = color;
   ctx.lineWidth = lineWidth;
+  ctx.setLineDash(options.lineDash ?? []);
   ctx.beginPath();
   ctx.moveTo(fromNode.x, fromNode.y);
   ctx.lineTo(toNode.x, toNode.y);
   ctx.stroke();
+  ctx.setLineDash([]);
 }
 
 /**
@@ -233,7 +391,7 @@ export function drawStraightEdgeLine(ctx, fromNode, toNode, options = {}) {
  * @param {CanvasRenderingContext2D} ctx
  * @param {Node} fromNode
  * @param {Node} toNode
- * @param {{ color?: string, lineWidth?: number, curveOffset?: number }} [options]
+ * @param {{ color?: string, lineWidth?: number, curveOffset?: number, lineDash?: number[] }} [options]
  */
 export function drawCurvedEdgeLine(ctx, fromNode, toNode, options = {}) {
   const color = options.color ?? DEFAULTS.colors.edge;
@@ -250,10 +408,12 @@ export function drawCurvedEdgeLine(ctx, fromNode, toNode, options = {}) {
 
   ctx.strokeStyle = color;
   ctx.lineWidth = lineWidth;
+  ctx.setLineDash(options.lineDash ?? []);
   ctx.beginPath();
   ctx.moveTo(fromNode.x, fromNode.y);
   ctx.quadraticCurveTo(mx + offsetX, my + offsetY, toNode.x, toNode.y);
   ctx.stroke();
+  ctx.setLineDash([]);
 }
 
 /**
@@ -270,10 +430,14 @@ export function drawCurvedEdgeLine(ctx, fromNode, toNode, options = {}) {
  *   curved?: boolean,
  *   curveOffset?: number,
  *   lineWidth?: number,
+ *   lineDash?: number[],
  *   arrow?: { length?: number, angleDelta?: number, color?: string },
  *   weight?: number | string,
- *   showWeight?: boolean
+ *   showWeight?: boolean,
+ *   label?: string
  * }} [options]
+ *
+ * `label` replaces the weight label and is always shown (e.g. max-flow "flow/capacity").
  */
 export function drawEdge(ctx, fromNode, toNode, options = {}) {
   const {
@@ -283,9 +447,11 @@ export function drawEdge(ctx, fromNode, toNode, options = {}) {
     curved = false,
     curveOffset = DEFAULTS.curveOffset,
     lineWidth = 2,
+    lineDash,
     arrow = {},
     weight,
     showWeight = true,
+    label,
   } = options;
 
   // Draw the edge path
@@ -294,9 +460,10 @@ export function drawEdge(ctx, fromNode, toNode, options = {}) {
       color,
       lineWidth,
       curveOffset,
+      lineDash,
     });
   } else {
-    drawStraightEdgeLine(ctx, fromNode, toNode, { color, lineWidth });
+    drawStraightEdgeLine(ctx, fromNode, toNode, { color, lineWidth, lineDash });
   }
 
   // Draw arrowhead for directed edges
@@ -339,9 +506,16 @@ export function drawEdge(ctx, fromNode, toNode, options = {}) {
   }
 
   // Weight label
-  if (showWeight && weight !== undefined && weight !== null && weight !== 1) {
-    const midX = (fromNode.x + toNode.x) / 2;
-    const midY = (fromNode.y + toNode.y) / 2;
+  const midX = (fromNode.x + toNode.x) / 2;
+  const midY = (fromNode.y + toNode.y) / 2;
+  if (label !== undefined) {
+    drawWeightLabel(ctx, midX, midY, label);
+  } else if (
+    showWeight &&
+    weight !== undefined &&
+    weight !== null &&
+    weight !== 1
+  ) {
     drawWeightLabel(ctx, midX, midY, weight);
   }
 }
@@ -143,6 +143,35 @@ export function buildPathFromPrevious(previous, target) {
   return path;
 }
 
+/**
+ * Build an i -> j path from an all-pairs next-hop matrix (Floyd-Warshall).
+ * Returns [] when j is unreachable from i. Walks at most one hop per node so a
+ * negative cycle in the matrix cannot loop forever.
+ * @param {Array<string>} matrixNodes row/column order of the matrix
+ * @param {Array<Array<string|null>>} nextMatrix
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array<string>}
+ */
+export function buildPathFromNextMatrix(matrixNodes, nextMatrix, from, to) {
+  if (!Array.isArray(matrixNodes) || !Array.isArray(nextMatrix)) return [];
+  const index = {};
+  matrixNodes.forEach((id, i) => {
+    index[id] = i;
+  });
+  if (index[from] === undefined || index[to] === undefined) return [];
+  if (nextMatrix[index[from]]?.[index[to]] == null) return [];
+
+  const path = [from];
+  let cur = from;
+  while (cur !== to && path.length <= matrixNodes.length) {
+    cur = nextMatrix[index[cur]][index[to]];
+    if (cur == null) return [];
+    path.push(cur);
+  }
+  return cur === to ? path : [];
+}
+
 /**
  * Choose a reasonable target for path reconstruction when explicit target is not given:
  * - prefer endNode if provided
@@ -249,7 +278,9 @@ export function computeTopologicalViolations(order, edges, isDirected) {
  *  discoveryTimes?: any,
  *  finishTimes?: any,
  *  finished?: boolean,
- *  result?: string|null
+ *  result?: string|null,
+ *  edgeStates?: Record<string, string>,
+ *  [key:string]: any
  * }} step
  * @param {{
  *  visited?: Set<string>,
@@ -321,10 +352,137 @@ export function normalizeStepAgainstPrev(step, prevState, context = {}) {
     "finishOrderStack",
     "foundSccs",
     "showTransposed",
+    "lowlinks",
+    "tarjanStack",
+    "sccComparison",
+    "articulationPoints",
+    "bridges",
     "discoveryTimes",
     "finishTimes",
     "finished",
     "result",
+    "edgeStates",
+    "sortedEdges",
+    "acceptedEdges",
+    "rejectedEdges",
+    "currentEdge",
+    "disjointSet",
+    "frontier",
+    "gScore",
+    "hScore",
+    "fScore",
+    "openSet",
+    "closedSet",
+    "matrixNodes",
+    "distMatrix",
+    "nextMatrix",
+    "matrixCell",
+    "negativeCycleNodes",
+    "edgeFlows",
+    "residualEdges",
+    "showResidual",
+    "augmentingPath",
+    "bottleneck",
+    "levels",
+    "minCut",
+    "maxFlow",
+    "partition",
+    "oddCycle",
+    "matching",
+    "pathEdges",
+    "degrees",
+    "degreeIssues",
+    "eulerStack",
+    "eulerCircuit",
+    "consumedEdges",
+    "coloring",
+    "colorOrder",
+    "saturation",
+    "blockedColors",
+    "colorsUsed",
+    "cliqueBound",
+    "dfsStack",
+    "cycle",
+    "scores",
+    "scoreName",
+    "iteration",
+    "delta",
+    "pathCounts",
+    "dependencies",
+    "communities",
+    "modularity",
+    "louvainLevel",
+    "louvainPass",
+    "superNodes",
+    "visitedForward",
+    "visitedBackward",
+    "frontierForward",
+    "frontierBackward",
+    "meetingNode",
+    "direction",
+    "distancesForward",
+    "distancesBackward",
+    "expansions",
+    "dagMode",
+    "earliestStart",
+    "latestStart",
+    "slack",
+    "projectDuration",
+    "potentials",
+    "reweighted",
+    "dijkstraSource",
+    "depthLimit",
+    "depths",
+    "beyondLimit",
+    "cutoff",
+    "overlayEdges",
+    "resultEdges",
+    "edgeNote",
+    "cliqueR",
+    "cliqueP",
+    "cliqueX",
+    "pivot",
+    "recursionDepth",
+    "cliques",
+    "maxClique",
+    "contractedNodes",
+    "contractionLevel",
+  "isoMapping",
+  "isoBadges",
+  "isoCandidate",
+  "searchDepth",
+  "statesExplored",
+  "comparisonLayout",
+  "treeViolations",
+  "ancestors",
+  "liftPointers",
+  "liftLog",
+  "leafLayer",
+  "peeledNodes",
+  "peelRound",
+  "eulerTour",
+  "tourDepths",
+  "tourRange",
+  "kPaths",
+  "candidatePaths",
+  "selectedPath",
+  "spurNode",
+  "rootPath",
+  "excludedNodes",
+  "spurNote",
+  "flowCost",
+  "pathCost",
+  "assignmentCost",
+  "potentialShift",
+  "satAssignment",
+  "satConflict",
+  "tspTour",
+  "tourCost",
+  "twoOptSwap",
+  "swapLog",
+  "oddNodes",
+  "subsetSize",
+  "dpStates",
   ];
   passthroughKeys.forEach((k) => {
     if (step[k] !== undefined) next[k] = step[k];
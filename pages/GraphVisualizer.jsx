@@ -2,12 +2,23 @@ import React, { useState, useCallback, useRef, useEffect } from "react";
 import { Card } from "../components/ui/card";
 import Button from "../components/ui/button";
 import Badge from "../components/ui/badge";
-import { Play, Pause, RotateCcw, Save, Upload, Settings } from "lucide-react";
+import {
+  Play,
+  Pause,
+  RotateCcw,
+  Save,
+  Upload,
+  Settings,
+  Check,
+} from "lucide-react";
 
 import GraphCanvas from "../components/graph/GraphCanvas";
 import AlgorithmControls from "../components/graph/AlgorithmControls";
 import NodeEdgeManager from "../components/graph/NodeEdgeManager";
 import ResultsPanel from "../components/graph/ResultsPanel";
+import DistanceMatrixPanel from "../components/graph/DistanceMatrixPanel";
+import ComparisonGraphPanel from "../components/graph/ComparisonGraphPanel";
+import TwoSatPanel from "../components/graph/TwoSatPanel";
 import algoLib from "../algorithms";
 
 export default function GraphVisualizer() {
@@ -31,15 +42,186 @@ export default function GraphVisualizer() {
     foundSccs: [],
     sccColors: {},
     showTransposed: false,
+    // Tarjan SCC lowlinks/stack and cross-check against the other SCC algorithm
+    lowlinks: {},
+    tarjanStack: [],
+    sccComparison: null,
+    // Articulation points and bridges
+    articulationPoints: [],
+    bridges: [],
     // Discovery/Finish Times
     discoveryTimes: {},
     finishTimes: {},
     // Topological order validation results (array of violating edges)
     orderViolations: [],
+    // Edge-level highlighting (MST) keyed by edge id
+    edgeStates: {},
+    sortedEdges: [],
+    acceptedEdges: [],
+    rejectedEdges: [],
+    currentEdge: null,
+    disjointSet: {},
+    frontier: [],
+    // A* scores and open/closed sets
+    gScore: {},
+    hScore: {},
+    fScore: {},
+    openSet: [],
+    closedSet: [],
+    // Floyd-Warshall matrices
+    matrixNodes: [],
+    distMatrix: [],
+    nextMatrix: [],
+    matrixCell: null,
+    negativeCycleNodes: [],
+    // Max flow: per-edge flow, residual graph, augmenting path and min cut
+    edgeFlows: {},
+    residualEdges: [],
+    showResidual: false,
+    augmentingPath: [],
+    bottleneck: null,
+    levels: {},
+    minCut: null,
+    maxFlow: null,
+    // Bipartite two-coloring and matching
+    partition: {},
+    oddCycle: [],
+    matching: [],
+    // Euler path/circuit: id-based path edges, degrees and Hierholzer stacks
+    pathEdges: [],
+    degrees: {},
+    degreeIssues: [],
+    eulerStack: [],
+    eulerCircuit: [],
+    consumedEdges: [],
+    // Vertex coloring: color indices, ordering, DSatur saturation, clique bound
+    coloring: {},
+    colorOrder: [],
+    saturation: {},
+    blockedColors: [],
+    colorsUsed: 0,
+    cliqueBound: [],
+    // Cycle detection: DFS stack (gray nodes) and the cycle found
+    dfsStack: [],
+    cycle: [],
+    // PageRank / centrality scores
+    scores: null,
+    scoreName: null,
+    iteration: null,
+    delta: null,
+    pathCounts: {},
+    dependencies: {},
+    // Community detection
+    communities: {},
+    modularity: null,
+    louvainLevel: null,
+    louvainPass: null,
+    superNodes: null,
+    // Bidirectional search
+    visitedForward: [],
+    visitedBackward: [],
+    frontierForward: [],
+    frontierBackward: [],
+    meetingNode: null,
+    direction: null,
+    distancesForward: {},
+    distancesBackward: {},
+    expansions: null,
+    // DAG shortest / longest paths and scheduling
+    dagMode: null,
+    earliestStart: {},
+    latestStart: {},
+    slack: {},
+    projectDuration: null,
+    // Johnson: potentials, reweighted edges and current Dijkstra source
+    potentials: {},
+    reweighted: {},
+    dijkstraSource: null,
+    // Depth-limited DFS / IDDFS
+    depthLimit: null,
+    depths: {},
+    beyondLimit: [],
+    cutoff: [],
+    // Transitive closure / reduction: overlay and replacement edge list,
+    // and why the edge under review is kept or removed
+    overlayEdges: [],
+    resultEdges: null,
+    edgeNote: null,
+    // Bron–Kerbosch recursion frame and reported cliques
+    cliqueR: [],
+    cliqueP: [],
+    cliqueX: [],
+    pivot: null,
+    recursionDepth: null,
+    cliques: [],
+    maxClique: null,
+    // Chu–Liu/Edmonds super-nodes
+    contractedNodes: [],
+    contractionLevel: null,
+    // VF2 partial mapping (comparison node -> current node) and search stats
+    isoMapping: {},
+    isoBadges: {},
+    isoCandidate: null,
+    searchDepth: null,
+    statesExplored: 0,
+    comparisonLayout: null,
+    // Tree algorithms: why a graph is not a tree, LCA lifting, leaf peeling, Euler tour
+    treeViolations: [],
+    ancestors: {},
+    liftPointers: [],
+    liftLog: [],
+    leafLayer: [],
+    peeledNodes: [],
+    peelRound: null,
+    eulerTour: [],
+    tourDepths: [],
+    tourRange: null,
+    // Yen's K shortest paths: accepted / candidate paths and the spur search
+    kPaths: [],
+    candidatePaths: [],
+    selectedPath: null,
+    spurNode: null,
+    rootPath: [],
+    excludedNodes: [],
+    spurNote: null,
+    // Min-cost flow and Hungarian assignment costs (node potentials reuse `potentials`)
+    flowCost: null,
+    pathCost: null,
+    assignmentCost: null,
+    potentialShift: null,
+    // 2-SAT: variable assignment decided so far, or the contradictory variable
+    satAssignment: {},
+    satConflict: null,
+    // TSP: tour in visiting order and its cost, 2-opt swap under review and
+    // applied swaps, odd MST nodes (Christofides), Held–Karp subset layer
+    tspTour: [],
+    tourCost: null,
+    twoOptSwap: null,
+    swapLog: [],
+    oddNodes: [],
+    subsetSize: null,
+    dpStates: null,
   });
   const [animationSpeed, setAnimationSpeed] = useState(500);
   const [startNode, setStartNode] = useState(null);
   const [endNode, setEndNode] = useState(null);
+  // Per-algorithm settings forwarded to the algorithm as options (e.g. A* heuristic)
+  const [algorithmOptions, setAlgorithmOptions] = useState({
+    heuristic: "euclidean",
+    damping: 0.85,
+    tolerance: 1e-6,
+    scoreEncoding: "size",
+    seed: 1,
+    dagMode: "shortest",
+    depthLimit: 3,
+    isoMode: "isomorphism",
+    pathCount: 3,
+    tspEuclidean: false,
+  });
+  // Second graph held for the isomorphism search ({ name, nodes, edges })
+  const [comparisonGraph, setComparisonGraph] = useState(null);
+  // 2-CNF formula text turned into an implication graph for 2-SAT
+  const [satFormula, setSatFormula] = useState("(a ∨ ¬b) ∧ (¬a ∨ c) ∧ (b ∨ c)");
   const intervalRef = useRef(null);
 
   const algorithms = {
@@ -55,23 +237,87 @@ export default function GraphVisualizer() {
       description:
         "Explores as far as possible first. Useful for connectivity, cycles and discovery/finish times. Time: O(V + E), Space: O(V).",
     },
+    depthLimitedDfs: {
+      name: "Depth-Limited DFS",
+      color: "#059669",
+      description:
+        "DFS that stops descending at a fixed depth limit. Nodes past the limit are dimmed; if the target lies deeper the search reports a cutoff. Time: O(b^l), Space: O(l) for branching factor b and limit l.",
+    },
+    iddfs: {
+      name: "Iterative Deepening DFS",
+      color: "#14b8a6",
+      description:
+        "Runs depth-limited DFS with limits 0, 1, 2, ... up to the maximum depth. Finds a shallowest path like BFS while using only DFS memory. Time: O(b^d), Space: O(d).",
+    },
     dijkstra: {
       name: "Dijkstra's Algorithm",
       color: "#f59e0b",
       description:
         "Finds shortest weighted path (non-negative weights). Good for single-source shortest paths. Time: O(V²) in this implementation, Space: O(V).",
+      endRequired: true,
+    },
+    astar: {
+      name: "A* Search",
+      color: "#eab308",
+      description:
+        "Dijkstra guided by a heuristic estimate of the remaining distance (f = g + h), using node positions. The heuristic is scaled so it never overestimates, so the path stays optimal. Time: O(V²) in this implementation, Space: O(V).",
+      endRequired: true,
+    },
+    bidirectionalBfs: {
+      name: "Bidirectional BFS",
+      color: "#06b6d4",
+      description:
+        "Runs BFS from the start and the end at the same time, expanding the smaller frontier level by level until the searches meet. Usually expands far fewer nodes than one-sided BFS. Time: O(V + E), Space: O(V).",
+      endRequired: true,
+    },
+    bidirectionalDijkstra: {
+      name: "Bidirectional Dijkstra",
+      color: "#ec4899",
+      description:
+        "Runs Dijkstra forward from the start and backward from the end, stopping once the two frontier minima add up to the best meeting distance. Non-negative weights only. Time: O(V²) in this implementation, Space: O(V).",
+      endRequired: true,
+    },
+    yenKShortest: {
+      name: "K Shortest Paths (Yen)",
+      color: "#f97316",
+      description:
+        "Finds the K cheapest simple paths from start to end. Each node of the last accepted path is tried as a spur node: the root path before it is kept, edges already used from that root are removed, and Dijkstra finds the rest. The cheapest candidate becomes the next path. Non-negative weights only. Time: O(K·V·(E + V²)) here, Space: O(K·V + E).",
+      endRequired: true,
     },
     scc: {
       name: "Strongly Connected Components",
       color: "#8b5cf6",
       description:
         "Finds strongly connected components using Kosaraju's algorithm. Visualized in two DFS passes and a transpose phase. Time: O(V + E), Space: O(V).",
+      startOptional: true,
+    },
+    tarjanScc: {
+      name: "Tarjan's SCC",
+      color: "#a855f7",
+      description:
+        "Finds strongly connected components in a single DFS, tracking each node's discovery index and lowlink on an explicit stack. Results are cross-checked against Kosaraju. Time: O(V + E), Space: O(V).",
+      startOptional: true,
+    },
+    twoSat: {
+      name: "2-SAT (Implication Graph)",
+      color: "#a855f7",
+      description:
+        "Decides a 2-CNF formula entered in the formula panel. Each clause (a ∨ b) becomes the implications ¬a → b and ¬b → a; Kosaraju's SCC algorithm then runs on that graph. The formula is unsatisfiable exactly when some x and ¬x share an SCC; otherwise x is true when its SCC comes after ¬x's in topological order. Time: O(V + E), Space: O(V + E).",
+      startOptional: true,
+    },
+    articulationPoints: {
+      name: "Articulation Points & Bridges",
+      color: "#fb923c",
+      description:
+        "DFS low-link method on undirected graphs: a node is a cut vertex when a child subtree cannot reach above it, and an edge is a bridge when its subtree cannot reach back past it. Time: O(V + E), Space: O(V).",
+      startOptional: true,
     },
     bellmanFord: {
       name: "Bellman-Ford",
       color: "#f97316",
       description:
         "Shortest paths allowing negative edge weights and detects negative cycles. Slower than Dijkstra for non-negative graphs. Time: O(V * E), Space: O(V).",
+      endRequired: true,
     },
     topologicalSort: {
       name: "Topological Sort",
@@ -79,6 +325,250 @@ export default function GraphVisualizer() {
       description:
         "Computes a topological ordering of a DAG using Kahn's algorithm. If a cycle exists, topological sorting is not possible.",
     },
+    dagPaths: {
+      name: "DAG Paths & Critical Path",
+      color: "#0891b2",
+      description:
+        "Relaxes edges in topological order for single-source shortest or longest paths (negative weights allowed). Scheduling mode reads edge weights as durations and reports earliest start, latest start and slack, highlighting the critical path. Time: O(V + E), Space: O(V).",
+      startOptional: true,
+    },
+    transitiveClosure: {
+      name: "Transitive Closure",
+      color: "#0ea5e9",
+      description:
+        "Warshall's algorithm: allows each node in turn as an intermediate and adds an edge for every newly reachable pair. Added edges are overlaid; Apply to Graph makes them real. Time: O(V³), Space: O(V²).",
+      startOptional: true,
+    },
+    transitiveReduction: {
+      name: "Transitive Reduction",
+      color: "#64748b",
+      description:
+        "Removes every DAG edge implied by a longer path (and duplicate edges), keeping reachability unchanged. Removed edges are marked; Apply to Graph deletes them. Time: O(V·E), Space: O(V²).",
+      startOptional: true,
+    },
+    prim: {
+      name: "Prim's MST",
+      color: "#22c55e",
+      description:
+        "Grows a minimum spanning tree from the start node (or the first node) by repeatedly taking the cheapest frontier edge from a priority queue. Undirected graphs only. Time: O(E log E), Space: O(E).",
+      startOptional: true,
+    },
+    kruskal: {
+      name: "Kruskal's MST",
+      color: "#84cc16",
+      description:
+        "Builds a minimum spanning forest by scanning edges in weight order and keeping those that join two different union-find sets. Undirected graphs only. Time: O(E log E), Space: O(V).",
+      startOptional: true,
+    },
+    chuLiuEdmonds: {
+      name: "Min Arborescence (Chu–Liu/Edmonds)",
+      color: "#65a30d",
+      description:
+        "Directed MST rooted at the start node. Every node picks its cheapest incoming edge; cycles are contracted into super-nodes with adjusted entering weights, solved recursively and expanded back. Time: O(V·E), Space: O(V + E).",
+    },
+    floydWarshall: {
+      name: "Floyd-Warshall",
+      color: "#ec4899",
+      description:
+        "All-pairs shortest paths by allowing each node in turn as an intermediate (k). Handles negative weights; a negative diagonal entry reveals a negative cycle. Click a matrix cell to draw its path. Time: O(V³), Space: O(V²).",
+      startOptional: true,
+    },
+    johnson: {
+      name: "Johnson's Algorithm",
+      color: "#d946ef",
+      description:
+        "All-pairs shortest paths for sparse graphs with negative weights. Bellman-Ford from a virtual source gives node potentials, edges are reweighted to be non-negative, then Dijkstra runs from every node. Time: O(VE log V) with a heap (O(V³) here), Space: O(V²).",
+      startOptional: true,
+    },
+    edmondsKarp: {
+      name: "Max Flow (Edmonds-Karp)",
+      color: "#0ea5e9",
+      description:
+        "Maximum flow from the start node (source) to the end node (sink), using edge capacities (or weights when unset). Repeatedly augments along the shortest path in the residual graph found by BFS, then shows the minimum cut. Directed graphs only. Time: O(V * E²), Space: O(E).",
+      endRequired: true,
+    },
+    dinic: {
+      name: "Max Flow (Dinic)",
+      color: "#0284c7",
+      description:
+        "Maximum flow from source (start node) to sink (end node) with edge capacities (or weights). Each phase builds a BFS level graph over the residual graph and pushes a blocking flow along level-increasing arcs. Directed graphs only. Time: O(V² * E), Space: O(E).",
+      endRequired: true,
+    },
+    minCostFlow: {
+      name: "Min-Cost Max Flow",
+      color: "#0369a1",
+      description:
+        "Sends the maximum flow from source (start node) to sink (end node) at the lowest total cost, using each edge's capacity and per-unit cost. Bellman-Ford sets initial node potentials; each round runs Dijkstra on reduced costs, updates the potentials and augments along the cheapest path. Directed graphs only. Time: O(F · V²), Space: O(V + E).",
+      endRequired: true,
+    },
+    bipartite: {
+      name: "Bipartite Check",
+      color: "#60a5fa",
+      description:
+        "Two-colors the graph with BFS, starting from the start node (or the first node) in each component. Either yields the two sides of a bipartition or stops at the odd cycle that rules one out. Edge direction is ignored. Time: O(V + E), Space: O(V).",
+      startOptional: true,
+    },
+    hopcroftKarp: {
+      name: "Bipartite Matching (Hopcroft-Karp)",
+      color: "#14b8a6",
+      description:
+        "Maximum matching on a bipartite graph. Each phase layers the graph by BFS from the free left nodes, then flips vertex-disjoint shortest alternating paths so every one adds a matched edge. Edge direction is ignored. Time: O(E√V), Space: O(V).",
+      startOptional: true,
+    },
+    hungarian: {
+      name: "Assignment (Hungarian)",
+      color: "#0d9488",
+      description:
+        "Minimum-cost assignment of the smaller side of a bipartite graph to the larger, using edge costs (or weights). Rows are added one at a time; row and column potentials are shifted by the smallest slack until a free column is reached over tight edges, then the alternating path is flipped. Edge direction is ignored. Time: O(n² · m), Space: O(n · m).",
+      startOptional: true,
+    },
+    eulerian: {
+      name: "Euler Path / Circuit (Hierholzer)",
+      color: "#34d399",
+      description:
+        "Checks the degree conditions (in/out degree when directed, at most two odd-degree nodes when undirected), then splices sub-tours from a stack into a single trail that uses every edge exactly once. Starts from the start node when the conditions allow. Time: O(V + E), Space: O(E).",
+      startOptional: true,
+    },
+    tspNearestNeighbor: {
+      name: "TSP: Nearest Neighbor",
+      color: "#fb923c",
+      description:
+        "Builds a traveling salesman tour from the start node by always moving to the closest unvisited node, then returns home. Distances are shortest paths over the edge weights, or straight-line node distances with 'Euclidean Distances' on. Fast but with no quality guarantee. Time: O(V^2) after the distance matrix.",
+      startOptional: true,
+    },
+    twoOpt: {
+      name: "TSP: 2-opt Improvement",
+      color: "#f97316",
+      description:
+        "Starts from the nearest-neighbor tour and repeatedly replaces two legs (a, b) and (c, d) with (a, c) and (b, d), reversing the tour between them, whenever that lowers the cost. Each step shows the swap and its cost delta; stops at a 2-optimal tour. Time: O(V^2) per swap.",
+      startOptional: true,
+    },
+    christofides: {
+      name: "TSP: Christofides-style",
+      color: "#ea580c",
+      description:
+        "Minimum spanning tree, plus a minimum-weight perfect matching on its odd-degree nodes (exact up to 16 odd nodes, greedy beyond), gives a graph with an Euler circuit; skipping repeated nodes turns the circuit into a tour. With an exact matching the tour costs at most 1.5× the optimum. Time: O(V^2) plus the matching.",
+      startOptional: true,
+    },
+    heldKarp: {
+      name: "TSP: Held–Karp (Exact)",
+      color: "#c2410c",
+      description:
+        "Exact traveling salesman tour by dynamic programming over subsets: the cheapest path from the start through each subset of nodes, ending at each node, built by subset size. Limited to 15 nodes. Time: O(2^V · V^2), Space: O(2^V · V).",
+      startOptional: true,
+    },
+    cycleDetection: {
+      name: "Cycle Detection",
+      color: "#f43f5e",
+      description:
+        "DFS that stops at the first cycle and highlights it. Directed graphs use white/gray/black coloring (an edge into a gray node closes a cycle); undirected graphs ignore only the edge a node was reached through. Time: O(V + E), Space: O(V).",
+      startOptional: true,
+    },
+    pageRank: {
+      name: "PageRank",
+      color: "#fbbf24",
+      description:
+        "Power iteration of the random-surfer model: with probability d follow an out-edge, otherwise jump to a random node. Iterates until the rank vector changes by less than the tolerance. Node size or color shows the rank. Time: O(k(V + E)), Space: O(V).",
+      startOptional: true,
+    },
+    degreeCentrality: {
+      name: "Degree Centrality",
+      color: "#facc15",
+      description:
+        "Number of incident edges divided by n - 1 (in + out degree when directed). Node size or color shows the score. Time: O(V + E), Space: O(V).",
+      startOptional: true,
+    },
+    closenessCentrality: {
+      name: "Closeness Centrality",
+      color: "#fcd34d",
+      description:
+        "How near a node is to everything it can reach: reachable count over total shortest-path distance, scaled by the reachable fraction. Uses edge weights (non-negative). Time: O(V³) here, Space: O(V).",
+      startOptional: true,
+    },
+    betweennessCentrality: {
+      name: "Betweenness Centrality (Brandes)",
+      color: "#fde68a",
+      description:
+        "Fraction of shortest paths between other node pairs that pass through each node. Brandes' algorithm counts shortest paths from every source and accumulates dependencies backwards. Uses edge weights (non-negative). Time: O(V³) here, Space: O(V + E).",
+      startOptional: true,
+    },
+    labelPropagation: {
+      name: "Label Propagation",
+      color: "#2dd4bf",
+      description:
+        "Community detection where every node repeatedly adopts the label carrying the most edge weight among its neighbors until labels settle. Visiting order and ties come from a seeded shuffle. Edge direction is ignored. Time: O(k(V + E)), Space: O(V).",
+      startOptional: true,
+    },
+    louvain: {
+      name: "Louvain Communities",
+      color: "#5eead4",
+      description:
+        "Greedy modularity optimization: local-move passes shift nodes into the neighboring community with the best modularity gain, then communities are aggregated into super-nodes and the process repeats level by level. Edge direction is ignored. Time: ~O(E log V), Space: O(V + E).",
+      startOptional: true,
+    },
+    bronKerbosch: {
+      name: "Maximal Cliques (Bron–Kerbosch)",
+      color: "#c084fc",
+      description:
+        "Lists every maximal clique of an undirected graph by growing R from candidates P while excluding X, branching only on non-neighbors of a pivot. Each clique is highlighted as it is reported. Time: O(3^(V/3)) worst case, Space: O(V²).",
+      startOptional: true,
+    },
+    vf2: {
+      name: "Graph Isomorphism (VF2)",
+      color: "#2dd4bf",
+      description:
+        "Matches the comparison graph against the current graph by extending a partial node mapping one pair at a time, pruning pairs whose mapped neighborhoods or frontier counts disagree and backtracking on dead ends. Finds a full isomorphism or an induced subgraph match. Time: O(V!·V) worst case, Space: O(V).",
+      startOptional: true,
+    },
+    treeLca: {
+      name: "Tree LCA (Binary Lifting)",
+      color: "#4ade80",
+      description:
+        "Checks the graph is a tree, roots it (first node, or the source in directed mode) and builds a table of 2^k-th ancestors. The deeper of start and end is lifted to the same depth, then both jump by decreasing powers of two until their parents meet. Time: O(V log V) preprocessing, O(log V) per query, Space: O(V log V).",
+      endRequired: true,
+    },
+    treeDiameter: {
+      name: "Tree Diameter (Double BFS)",
+      color: "#22c55e",
+      description:
+        "Checks the graph is a tree, then runs BFS from any node: the farthest node it reaches is one end of a longest path, and a second BFS from there finds the other end. Lengths count edges. Time: O(V), Space: O(V).",
+      startOptional: true,
+    },
+    treeCenter: {
+      name: "Tree Center (Leaf Peeling)",
+      color: "#16a34a",
+      description:
+        "Checks the graph is a tree, then removes all leaves round by round. The one or two nodes left are the center, the nodes whose farthest node is as close as possible. Time: O(V), Space: O(V).",
+      startOptional: true,
+    },
+    eulerTour: {
+      name: "Euler Tour (Tree)",
+      color: "#15803d",
+      description:
+        "Checks the graph is a tree, then walks it depth-first, writing a node on entry and after each child, for 2V - 1 entries with a depth array. With start and end selected, the shallowest entry between their first visits is their LCA. Time: O(V), Space: O(V).",
+      startOptional: true,
+    },
+    greedyColoring: {
+      name: "Greedy Coloring",
+      color: "#f472b6",
+      description:
+        "Colors nodes in list order (start node first), giving each the smallest color not used by a neighbor. Fast, but the order can force far more colors than needed. Edge direction is ignored. Time: O(V + E), Space: O(V).",
+      startOptional: true,
+    },
+    welshPowell: {
+      name: "Welsh-Powell Coloring",
+      color: "#e879f9",
+      description:
+        "Greedy coloring in descending degree order, so the most constrained nodes are colored first. Edge direction is ignored. Time: O(V log V + E), Space: O(V).",
+      startOptional: true,
+    },
+    dsatur: {
+      name: "DSatur Coloring",
+      color: "#d946ef",
+      description:
+        "Greedy coloring that always picks the uncolored node with the most distinct neighbor colors (saturation degree), breaking ties by degree. Exact on bipartite graphs. Edge direction is ignored. Time: O(V²), Space: O(V).",
+      startOptional: true,
+    },
   };
 
   const resetAlgorithmState = useCallback(() => {
@@ -96,9 +586,136 @@ export default function GraphVisualizer() {
       foundSccs: [],
       sccColors: {},
       showTransposed: false,
+      lowlinks: {},
+      tarjanStack: [],
+      sccComparison: null,
+      articulationPoints: [],
+      bridges: [],
       discoveryTimes: {},
       finishTimes: {},
       orderViolations: [],
+      edgeStates: {},
+      sortedEdges: [],
+      acceptedEdges: [],
+      rejectedEdges: [],
+      currentEdge: null,
+      disjointSet: {},
+      frontier: [],
+      gScore: {},
+      hScore: {},
+      fScore: {},
+      openSet: [],
+      closedSet: [],
+      matrixNodes: [],
+      distMatrix: [],
+      nextMatrix: [],
+      matrixCell: null,
+      negativeCycleNodes: [],
+      edgeFlows: {},
+      residualEdges: [],
+      showResidual: false,
+      augmentingPath: [],
+      bottleneck: null,
+      levels: {},
+      minCut: null,
+      maxFlow: null,
+      partition: {},
+      oddCycle: [],
+      matching: [],
+      pathEdges: [],
+      degrees: {},
+      degreeIssues: [],
+      eulerStack: [],
+      eulerCircuit: [],
+      consumedEdges: [],
+      coloring: {},
+      colorOrder: [],
+      saturation: {},
+      blockedColors: [],
+      colorsUsed: 0,
+      cliqueBound: [],
+      dfsStack: [],
+      cycle: [],
+      scores: null,
+      scoreName: null,
+      iteration: null,
+      delta: null,
+      pathCounts: {},
+      dependencies: {},
+      communities: {},
+      modularity: null,
+      louvainLevel: null,
+      louvainPass: null,
+      superNodes: null,
+      visitedForward: [],
+      visitedBackward: [],
+      frontierForward: [],
+      frontierBackward: [],
+      meetingNode: null,
+      direction: null,
+      distancesForward: {},
+      distancesBackward: {},
+      expansions: null,
+      dagMode: null,
+      earliestStart: {},
+      latestStart: {},
+      slack: {},
+      projectDuration: null,
+      potentials: {},
+      reweighted: {},
+      dijkstraSource: null,
+      depthLimit: null,
+      depths: {},
+      beyondLimit: [],
+      cutoff: [],
+      overlayEdges: [],
+      resultEdges: null,
+      edgeNote: null,
+      cliqueR: [],
+      cliqueP: [],
+      cliqueX: [],
+      pivot: null,
+      recursionDepth: null,
+      cliques: [],
+      maxClique: null,
+      contractedNodes: [],
+      contractionLevel: null,
+      isoMapping: {},
+      isoBadges: {},
+      isoCandidate: null,
+      searchDepth: null,
+      statesExplored: 0,
+      comparisonLayout: null,
+      treeViolations: [],
+      ancestors: {},
+      liftPointers: [],
+      liftLog: [],
+      leafLayer: [],
+      peeledNodes: [],
+      peelRound: null,
+      eulerTour: [],
+      tourDepths: [],
+      tourRange: null,
+      kPaths: [],
+      candidatePaths: [],
+      selectedPath: null,
+      spurNode: null,
+      rootPath: [],
+      excludedNodes: [],
+      spurNote: null,
+      flowCost: null,
+      pathCost: null,
+      assignmentCost: null,
+      potentialShift: null,
+      satAssignment: {},
+      satConflict: null,
+      tspTour: [],
+      tourCost: null,
+      twoOptSwap: null,
+      swapLog: [],
+      oddNodes: [],
+      subsetSize: null,
+      dpStates: null,
     });
     setIsPlaying(false);
     if (intervalRef.current) {
@@ -116,20 +733,25 @@ export default function GraphVisualizer() {
       }
       try {
         return fn(nodesArg, edgesArg, {
+          ...algorithmOptions,
           isDirected,
           startNode: startNodeId,
           endNode: endNodeId,
+          pattern: comparisonGraph,
         });
       } catch (err) {
         console.error("Algorithm execution error:", err);
         return [{ finished: true }];
       }
     },
-    [isDirected],
+    [isDirected, algorithmOptions, comparisonGraph],
   );
 
   const playAlgorithm = useCallback(() => {
-    if ((!startNode && selectedAlgorithm !== "scc") || nodes.length === 0)
+    if (
+      (!startNode && !algorithms[selectedAlgorithm]?.startOptional) ||
+      nodes.length === 0
+    )
       return;
 
     resetAlgorithmState();
@@ -137,16 +759,16 @@ export default function GraphVisualizer() {
 
     try {
       // Centralized algorithm dispatcher
-      if (selectedAlgorithm === "dijkstra" && !endNode) {
-        alert("Please select an end node for Dijkstra's Algorithm.");
-        return;
-      }
-      if (selectedAlgorithm === "bellmanFord" && !endNode) {
-        // Require explicit end node for Bellman-Ford (matches Dijkstra behavior)
-        alert("Please select an end node for Bellman-Ford.");
+      if (algorithms[selectedAlgorithm]?.endRequired && !endNode) {
+        alert(
+          `Please select an end node for ${algorithms[selectedAlgorithm].name}.`,
+        );
         return;
       }
-      if (selectedAlgorithm === "scc" && !isDirected) {
+      if (
+        (selectedAlgorithm === "scc" || selectedAlgorithm === "tarjanScc") &&
+        !isDirected
+      ) {
         alert(
           "Strongly Connected Components algorithm is designed for directed graphs. Please enable 'Directed Graph' mode.",
         );
@@ -335,7 +957,7 @@ export default function GraphVisualizer() {
             previousObj = {};
           }
 
-          // Normalize order (topological sort) to an array; if present, also expose as result and mark visited
+          // Normalize order to an array; for the topological sort, also expose it as result and mark visited
           let orderArr = undefined;
           if (step.order !== undefined) {
             orderArr = Array.isArray(step.order)
@@ -343,7 +965,11 @@ export default function GraphVisualizer() {
               : Array.from(step.order || []);
           }
 
-          if (orderArr && !step.result) {
+          if (
+            orderArr &&
+            !step.result &&
+            selectedAlgorithm === "topologicalSort"
+          ) {
             const labelOrder = orderArr.map((id) => {
               const n = nodes.find((nn) => nn.id === id);
               return (n && n.label) || id;
@@ -370,10 +996,137 @@ export default function GraphVisualizer() {
             "finishOrderStack",
             "foundSccs",
             "showTransposed",
+            "lowlinks",
+            "tarjanStack",
+            "sccComparison",
+            "articulationPoints",
+            "bridges",
             "discoveryTimes",
             "finishTimes",
             "finished",
             "result",
+            "edgeStates",
+            "sortedEdges",
+            "acceptedEdges",
+            "rejectedEdges",
+            "currentEdge",
+            "disjointSet",
+            "frontier",
+            "gScore",
+            "hScore",
+            "fScore",
+            "openSet",
+            "closedSet",
+            "matrixNodes",
+            "distMatrix",
+            "nextMatrix",
+            "matrixCell",
+            "negativeCycleNodes",
+            "edgeFlows",
+            "residualEdges",
+            "showResidual",
+            "augmentingPath",
+            "bottleneck",
+            "levels",
+            "minCut",
+            "maxFlow",
+            "partition",
+            "oddCycle",
+            "matching",
+            "pathEdges",
+            "degrees",
+            "degreeIssues",
+            "eulerStack",
+            "eulerCircuit",
+            "consumedEdges",
+            "coloring",
+            "colorOrder",
+            "saturation",
+            "blockedColors",
+            "colorsUsed",
+            "cliqueBound",
+            "dfsStack",
+            "cycle",
+            "scores",
+            "scoreName",
+            "iteration",
+            "delta",
+            "pathCounts",
+            "dependencies",
+            "communities",
+            "modularity",
+            "louvainLevel",
+            "louvainPass",
+            "superNodes",
+            "visitedForward",
+            "visitedBackward",
+            "frontierForward",
+            "frontierBackward",
+            "meetingNode",
+            "direction",
+            "distancesForward",
+            "distancesBackward",
+            "expansions",
+            "dagMode",
+            "earliestStart",
+            "latestStart",
+            "slack",
+            "projectDuration",
+            "potentials",
+            "reweighted",
+            "dijkstraSource",
+            "depthLimit",
+            "depths",
+            "beyondLimit",
+            "cutoff",
+            "overlayEdges",
+            "resultEdges",
+            "edgeNote",
+            "cliqueR",
+            "cliqueP",
+            "cliqueX",
+            "pivot",
+            "recursionDepth",
+            "cliques",
+            "maxClique",
+            "contractedNodes",
+            "contractionLevel",
+            "isoMapping",
+            "isoBadges",
+            "isoCandidate",
+            "searchDepth",
+            "statesExplored",
+            "comparisonLayout",
+            "treeViolations",
+            "ancestors",
+            "liftPointers",
+            "liftLog",
+            "leafLayer",
+            "peeledNodes",
+            "peelRound",
+            "eulerTour",
+            "tourDepths",
+            "tourRange",
+            "kPaths",
+            "candidatePaths",
+            "selectedPath",
+            "spurNode",
+            "rootPath",
+            "excludedNodes",
+            "spurNote",
+            "flowCost",
+            "pathCost",
+            "assignmentCost",
+            "potentialShift",
+            "satAssignment",
+            "satConflict",
+            "tspTour",
+            "tourCost",
+            "twoOptSwap",
+            "swapLog",
+            "oddNodes",
+            "subsetSize",
+            "dpStates",
           ];
           scalarKeys.forEach((k) => {
             if (step[k] !== undefined) next[k] = step[k];
@@ -413,6 +1166,13 @@ export default function GraphVisualizer() {
     }
   };
 
+  // Replace the graph's edges with an algorithm's result (closure / reduction)
+  const applyResultEdges = () => {
+    if (!algorithmState.resultEdges) return;
+    setEdges(algorithmState.resultEdges.map((e) => ({ ...e })));
+    resetAlgorithmState();
+  };
+
   const saveGraph = () => {
     alert("Save functionality is not implemented yet.");
   };
@@ -493,8 +1253,10 @@ export default function GraphVisualizer() {
                   <Button
                     onClick={togglePlayPause}
                     disabled={
-                      (selectedAlgorithm !== "scc" && !startNode) ||
-                      (selectedAlgorithm === "dijkstra" && !endNode) ||
+                      (!algorithms[selectedAlgorithm]?.startOptional &&
+                        !startNode) ||
+                      (algorithms[selectedAlgorithm]?.endRequired &&
+                        !endNode) ||
                       nodes.length === 0
                     }
                     className="bg-emerald-600 hover:bg-emerald-700"
@@ -514,6 +1276,16 @@ export default function GraphVisualizer() {
                     <RotateCcw className="w-4 h-4 mr-2" />
                     Reset
                   </Button>
+                  {algorithmState.finished && algorithmState.resultEdges && (
+                    <Button
+                      variant="outline"
+                      onClick={applyResultEdges}
+                      className="border-sky-600 text-sky-300 hover:bg-slate-700"
+                    >
+                      <Check className="w-4 h-4 mr-2" />
+                      Apply to Graph
+                    </Button>
+                  )}
                 </div>
 
                 <GraphCanvas
@@ -529,6 +1301,7 @@ export default function GraphVisualizer() {
                   setStartNode={setStartNode}
                   setEndNode={setEndNode}
                   setAlgorithmState={setAlgorithmState}
+                  scoreEncoding={algorithmOptions.scoreEncoding}
                 />
               </div>
             </Card>
@@ -542,6 +1315,8 @@ export default function GraphVisualizer() {
               algorithms={algorithms}
               animationSpeed={animationSpeed}
               setAnimationSpeed={setAnimationSpeed}
+              algorithmOptions={algorithmOptions}
+              setAlgorithmOptions={setAlgorithmOptions}
               resetAlgorithmState={resetAlgorithmState}
             />
 
@@ -573,7 +1348,44 @@ export default function GraphVisualizer() {
               startNode={startNode}
               endNode={endNode}
               nodes={nodes}
+              edges={edges}
+              setAlgorithmState={setAlgorithmState}
             />
+
+            {(selectedAlgorithm === "floydWarshall" ||
+              selectedAlgorithm === "johnson") && (
+              <DistanceMatrixPanel
+                algorithmState={algorithmState}
+                nodes={nodes}
+                setAlgorithmState={setAlgorithmState}
+              />
+            )}
+
+            {selectedAlgorithm === "twoSat" && (
+              <TwoSatPanel
+                formula={satFormula}
+                setFormula={setSatFormula}
+                setNodes={setNodes}
+                setEdges={setEdges}
+                setIsDirected={setIsDirected}
+                setStartNode={setStartNode}
+                setEndNode={setEndNode}
+                algorithmState={algorithmState}
+                resetAlgorithmState={resetAlgorithmState}
+              />
+            )}
+
+            {selectedAlgorithm === "vf2" && (
+              <ComparisonGraphPanel
+                comparisonGraph={comparisonGraph}
+                setComparisonGraph={setComparisonGraph}
+                nodes={nodes}
+                edges={edges}
+                isDirected={isDirected}
+                algorithmState={algorithmState}
+                resetAlgorithmState={resetAlgorithmState}
+              />
+            )}
           </div>
         </div>
       </div>